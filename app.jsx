@@ -1,610 +1,9265 @@
 import React, { useReducer, useCallback, useRef, useEffect, useState } from 'react';
 import { 
   Search, Star, GitFork, AlertCircle, BookOpen, 
-  Calendar, ExternalLink, Bookmark, FileText, 
+  ExternalLink, Bookmark, FileText, 
   TrendingUp, BarChart2, X, Loader, Filter,
-  Github, Database, BarChart3, Check, RefreshCw
+  Github, Database, BarChart3, Check, RefreshCw,
+  Settings, Key, Gauge, Tag, Folder, FolderPlus,
+  Plus, Trash2, GitCompare, HeartPulse,
+  RotateCcw, GitMerge, CloudOff, Pencil,
+  User, LogOut, Mail, Upload, Download, ArrowDownUp,
+  Users, UserPlus, MessageSquare, ChevronDown, Copy,
+  GitPullRequest, Package, Bell, Save, Sparkles, Network,
+  Keyboard, CornerDownLeft, LayoutGrid, List, Table, ChevronUp,
+  Sun, Moon, Monitor, Server
 } from 'lucide-react';
 import { initializeApp } from 'firebase/app';
 import { 
   getAuth, 
   signInAnonymously, 
   onAuthStateChanged,
-  signInWithCustomToken
+  signInWithCustomToken,
+  signInWithCredential,
+  linkWithPopup,
+  linkWithCredential,
+  GithubAuthProvider,
+  EmailAuthProvider,
+  signOut,
+  connectAuthEmulator
 } from 'firebase/auth';
 import { 
-  getFirestore, 
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
   doc, 
   setDoc, 
   deleteDoc, 
+  updateDoc,
+  addDoc,
+  writeBatch,
+  arrayRemove,
+  arrayUnion,
+  deleteField,
+  getDoc,
+  getDocs,
+  runTransaction,
   collection, 
   onSnapshot,
-  query
+  query,
+  orderBy,
+  limit,
+  where,
+  connectFirestoreEmulator
 } from 'firebase/firestore';
 
 // --- Firebase Configuration & Init ---
 const firebaseConfig = JSON.parse(__firebase_config);
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+// Optional, for local testing against the Auth emulator (e.g. "http://127.0.0.1:9099")
+if (typeof __auth_emulator_url !== 'undefined' && __auth_emulator_url) {
+  connectAuthEmulator(auth, __auth_emulator_url);
+}
+const githubProvider = new GithubAuthProvider();
+// Writes made while offline are kept in IndexedDB and replayed once connectivity returns
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
+// Optional, for trying firestore.rules against the Firestore emulator (e.g. "127.0.0.1:8080")
+if (typeof __firestore_emulator_host !== 'undefined' && __firestore_emulator_host) {
+  const [host, port] = __firestore_emulator_host.split(':');
+  connectFirestoreEmulator(db, host, Number(port));
+}
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
-// --- State Management ---
-const initialState = {
-  user: null,
-  repos: [],
-  bookmarks: new Map(), // Map<String, Repo>
-  notes: new Map(),     // Map<String, { content, updatedAt }>
-  filters: {
-    query: "react",
-    sort: "stars",
-    language: "",
-    view: "discover"
-  },
-  ui: {
-    loading: false,
-    error: null,
-    selectedRepo: null,
-    modalOpen: false,
-    noteText: "",
-    syncing: false
-  }
+// --- Search Query Builder ---
+
+// Structured GitHub search qualifiers; all of them compose into the `q` parameter
+const QUALIFIER_DEFAULTS = {
+  minStars: "",
+  maxStars: "",
+  minForks: "",
+  maxForks: "",
+  pushedFrom: "",
+  pushedTo: "",
+  createdFrom: "",
+  createdTo: "",
+  topic: "",
+  license: "",
+  owner: "",
+  ownerType: "user",
+  excludeArchived: false,
+  templateOnly: false
 };
 
-function appReducer(state, action) {
-  switch (action.type) {
-    case 'SET_USER':
-      return { ...state, user: action.payload };
-    
-    case 'SET_REPOS':
-      return { ...state, repos: action.payload };
-    
-    case 'SET_BOOKMARKS':
-      return { ...state, bookmarks: action.payload };
-    
-    case 'SET_NOTES':
-      return { ...state, notes: action.payload };
-    
-    case 'UPDATE_FILTERS':
-      return { 
-        ...state, 
-        filters: { ...state.filters, ...action.payload }
-      };
-    
-    case 'SET_LOADING':
-      return { 
-        ...state, 
-        ui: { ...state.ui, loading: action.payload }
-      };
-    
-    case 'SET_SYNCING':
-      return {
-        ...state,
-        ui: { ...state.ui, syncing: action.payload }
-      };
+const LANGUAGE_OPTIONS = [
+  { value: "javascript", label: "JavaScript" },
+  { value: "typescript", label: "TypeScript" },
+  { value: "python", label: "Python" },
+  { value: "rust", label: "Rust" },
+  { value: "go", label: "Go" },
+  { value: "java", label: "Java" }
+];
 
-    case 'SET_ERROR':
-      return { 
-        ...state, 
-        ui: { ...state.ui, error: action.payload }
-      };
-    
-    case 'OPEN_MODAL':
-      return {
-        ...state,
-        ui: {
-          ...state.ui,
-          modalOpen: true,
-          selectedRepo: action.repo,
-          noteText: state.notes.get(String(action.repo.id))?.content || ""
-        }
-      };
-    
-    case 'CLOSE_MODAL':
-      return {
-        ...state,
-        ui: {
-          ...state.ui,
-          modalOpen: false,
-          selectedRepo: null,
-          noteText: ""
-        }
-      };
-    
-    case 'UPDATE_NOTE':
-      return {
-        ...state,
-        ui: { ...state.ui, noteText: action.payload }
-      };
-    
-    default:
-      return state;
+const formatRange = (min, max) => {
+  if (min !== "" && max !== "") return `${min}..${max}`;
+  if (min !== "") return `>=${min}`;
+  if (max !== "") return `<=${max}`;
+  return null;
+};
+
+// Inverse of formatRange; also understands the `>`, `<`, `*` and exact-value forms GitHub accepts
+const parseRange = (value, isNumeric) => {
+  // Exclusive bounds become inclusive ones: numbers step by one, plain dates by one day
+  const bump = (v, delta) => {
+    if (isNumeric) return String(Number(v) + delta);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return v;
+    const date = new Date(`${v}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return v;
+    date.setUTCDate(date.getUTCDate() + delta);
+    return date.toISOString().slice(0, 10);
+  };
+  let match;
+  if ((match = value.match(/^(.+?)\.\.(.+)$/))) {
+    return {
+      min: match[1] === '*' ? "" : match[1],
+      max: match[2] === '*' ? "" : match[2]
+    };
   }
-}
+  if ((match = value.match(/^>=(.+)$/))) return { min: match[1], max: "" };
+  if ((match = value.match(/^>(.+)$/))) return { min: bump(match[1], 1), max: "" };
+  if ((match = value.match(/^<=(.+)$/))) return { min: "", max: match[1] };
+  if ((match = value.match(/^<(.+)$/))) return { min: "", max: bump(match[1], -1) };
+  return { min: value, max: value };
+};
 
-// --- Custom Hooks ---
+const splitList = (value) => value.split(/[\s,]+/).filter(Boolean);
 
-const useGitHubAPI = () => {
-  const fetchRepositories = useCallback(async (filters) => {
-    const { query, sort, language } = filters;
-    if (!query) return [];
-    
-    let searchQuery = query;
-    if (language) searchQuery += ` language:${language}`;
-    
-    // Add a little delay to prevent rate limiting during rapid typing
-    const response = await fetch(
-      `https://api.github.com/search/repositories?q=${encodeURIComponent(searchQuery)}&sort=${sort}&order=desc&per_page=12`
-    );
-    
-    if (!response.ok) {
-      if (response.status === 403) {
-        throw new Error("GitHub API rate limit exceeded. Please wait a minute.");
+const buildSearchQuery = (filters) => {
+  const parts = [];
+  const add = (qualifier, value) => {
+    if (value !== null && value !== "") parts.push(`${qualifier}:${value}`);
+  };
+
+  if (filters.query.trim()) parts.push(filters.query.trim());
+  add('language', filters.language);
+  add('stars', formatRange(filters.minStars, filters.maxStars));
+  add('forks', formatRange(filters.minForks, filters.maxForks));
+  add('pushed', formatRange(filters.pushedFrom, filters.pushedTo));
+  add('created', formatRange(filters.createdFrom, filters.createdTo));
+  splitList(filters.topic).forEach(topic => add('topic', topic));
+  add('license', filters.license.trim());
+  add(filters.ownerType === 'org' ? 'org' : 'user', filters.owner.trim());
+  if (filters.excludeArchived) parts.push('archived:false');
+  if (filters.templateOnly) parts.push('is:template');
+
+  return parts.join(' ');
+};
+
+// Pulls recognised qualifiers out of a raw query string and returns them as filter
+// updates. Anything we don't model (e.g. `in:readme`) stays in the free-text query.
+const parseSearchQuery = (raw) => {
+  const updates = {};
+  const text = [];
+  const topics = [];
+  const tokens = raw.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+
+  tokens.forEach(token => {
+    const match = token.match(/^([a-z]+):(.+)$/i);
+    if (!match) {
+      text.push(token);
+      return;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2].replace(/"/g, '');
+    switch (key) {
+      case 'language':
+        updates.language = value.toLowerCase();
+        break;
+      case 'stars':
+      case 'forks': {
+        const { min, max } = parseRange(value, true);
+        const suffix = key === 'stars' ? 'Stars' : 'Forks';
+        updates[`min${suffix}`] = min;
+        updates[`max${suffix}`] = max;
+        break;
+      }
+      case 'pushed':
+      case 'created': {
+        const { min, max } = parseRange(value, false);
+        updates[`${key}From`] = min;
+        updates[`${key}To`] = max;
+        break;
       }
-      throw new Error("Failed to fetch repositories.");
+      case 'topic':
+        topics.push(value);
+        break;
+      case 'license':
+        updates.license = value;
+        break;
+      case 'user':
+      case 'org':
+        updates.owner = value;
+        updates.ownerType = key;
+        break;
+      case 'archived':
+        if (value === 'false') updates.excludeArchived = true;
+        else text.push(token);
+        break;
+      case 'is':
+        if (value === 'template') updates.templateOnly = true;
+        else text.push(token);
+        break;
+      default:
+        text.push(token);
     }
-    
-    const data = await response.json();
-    return data.items || [];
-  }, []);
+  });
 
-  return { fetchRepositories };
+  if (topics.length) updates.topic = topics.join(', ');
+  return { ...updates, query: text.join(' ') };
 };
 
-// --- Components ---
-
-const MetricBadge = ({ icon: Icon, value, colorClass, label }) => (
-  <div className="flex items-center gap-2 px-3 py-2 bg-slate-50 rounded-lg border border-slate-100">
-    <Icon className={`w-4 h-4 ${colorClass}`} />
-    <span className="font-semibold text-slate-700">{typeof value === 'number' ? value.toLocaleString() : value}</span>
-    {label && <span className="text-xs text-slate-500 uppercase tracking-wide">{label}</span>}
-  </div>
-);
+const countActiveQualifiers = (filters) =>
+  Object.keys(QUALIFIER_DEFAULTS)
+    .filter(key => key !== 'ownerType')
+    .filter(key => filters[key] !== QUALIFIER_DEFAULTS[key])
+    .length;
 
-const RepositoryMetrics = ({ metrics }) => {
-  const { stars, forks, issues, watchers, license, updatedAt } = metrics;
-  
-  return (
-    <div className="bg-slate-50 rounded-xl p-6 border border-slate-200">
-      <div className="flex items-center gap-2 mb-4 text-slate-800 font-semibold">
-        <BarChart3 className="w-5 h-5 text-slate-500" />
-        <span>Repository Analytics</span>
-      </div>
-      
-      <div className="grid grid-cols-2 gap-3 mb-4">
-        <MetricBadge 
-          icon={Star} 
-          value={stars} 
-          colorClass="text-amber-500" 
-          label="Stars" 
-        />
-        <MetricBadge 
-          icon={GitFork} 
-          value={forks} 
-          colorClass="text-blue-500" 
-          label="Forks" 
-        />
-        <MetricBadge 
-          icon={AlertCircle} 
-          value={issues} 
-          colorClass="text-red-500" 
-          label="Issues" 
-        />
-        <MetricBadge 
-          icon={Database} 
-          value={watchers} 
-          colorClass="text-purple-500" 
-          label="Watchers" 
-        />
-      </div>
-      
-      <div className="flex justify-between text-sm text-slate-500 pt-4 border-t border-slate-200">
-        <span>License: <span className="font-medium text-slate-700">{license || "None"}</span></span>
-        <span>Updated: <span className="font-medium text-slate-700">{updatedAt}</span></span>
-      </div>
-    </div>
-  );
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().slice(0, 10);
 };
 
-const RepositoryCard = ({ 
-  repository, 
-  isBookmarked, 
-  onBookmarkToggle, 
-  onDetailsOpen 
-}) => {
-  const {
-    name,
-    owner,
-    description,
-    stargazers_count,
-    forks_count,
-    open_issues_count,
-    language,
-    updated_at
-  } = repository;
+// --- Bookmark Organization ---
 
-  const handleBookmarkClick = (e) => {
-    e.stopPropagation();
-    onBookmarkToggle(repository);
-  };
+// Bookmark docs are the repo object plus a `bookmark` map holding our own metadata.
+// Docs written before collections existed have no such map, hence the defaults.
+const getBookmarkMeta = (repo) => ({
+  tags: [],
+  collections: [],
+  bookmarkedAt: null,
+  baseline: null,    // metrics snapshot at bookmark time
+  previous: null,    // metrics snapshot before the most recent refresh
+  refreshedAt: null,
+  missing: false,
+  healthSignals: null,
+  ...repo.bookmark
+});
 
-  return (
-    <article 
-      className="group bg-white border border-slate-200 rounded-xl p-6 cursor-pointer transition-all hover:-translate-y-1 hover:shadow-xl hover:border-blue-200 flex flex-col h-full"
-      onClick={() => onDetailsOpen(repository)}
-    >
-      <header className="flex justify-between items-start mb-4">
-        <div className="flex items-center gap-3">
-          <img 
-            src={owner.avatar_url} 
-            alt={owner.login}
-            className="w-10 h-10 rounded-full border border-slate-100"
-          />
-          <h3 className="font-bold text-lg text-slate-800 group-hover:text-blue-600 transition-colors line-clamp-1">
-            {name}
-          </h3>
-        </div>
-        <button 
-          className={`p-2 rounded-full transition-colors ${
-            isBookmarked 
-              ? 'text-amber-500 bg-amber-50' 
-              : 'text-slate-300 hover:text-slate-500 hover:bg-slate-50'
-          }`}
-          onClick={handleBookmarkClick}
-        >
-          <Bookmark className={isBookmarked ? "fill-current" : ""} size={20} />
-        </button>
-      </header>
+const takeMetricsSnapshot = (repo, at) => ({
+  stars: repo.stargazers_count,
+  forks: repo.forks_count,
+  issues: repo.open_issues_count,
+  watchers: repo.watchers_count,
+  fullName: repo.full_name,
+  archived: Boolean(repo.archived),
+  at
+});
 
-      <p className="text-slate-600 text-sm leading-relaxed mb-6 line-clamp-3 flex-grow">
-        {description || "No description available for this repository."}
-      </p>
+const formatCompact = (value) =>
+  new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 })
+    .format(value)
+    .toLowerCase();
 
-      <div className="flex gap-4 mb-6">
-        <div className="flex items-center gap-1 text-slate-600 text-sm">
-          <Star size={14} className="text-amber-500" />
-          <span className="font-medium">{stargazers_count.toLocaleString()}</span>
-        </div>
-        <div className="flex items-center gap-1 text-slate-600 text-sm">
-          <GitFork size={14} className="text-blue-500" />
-          <span className="font-medium">{forks_count.toLocaleString()}</span>
-        </div>
-      </div>
+const formatDelta = (value) => `${value > 0 ? '+' : ''}${formatCompact(value)}`;
 
-      <footer className="flex justify-between items-center pt-4 border-t border-slate-100 mt-auto">
-        {language ? (
-          <span className="flex items-center gap-2 text-xs font-medium text-slate-500">
-            <span className="w-2 h-2 rounded-full bg-blue-500"></span>
-            {language}
-          </span>
-        ) : <span></span>}
-        
-        <button className="text-blue-600 text-sm font-medium flex items-center gap-1 hover:underline">
-          Analyze <TrendingUp size={14} />
-        </button>
-      </footer>
-    </article>
-  );
+const describeDeltas = (repo, snapshot) => [
+  `${formatDelta(repo.stargazers_count - snapshot.stars)} stars`,
+  `${formatDelta(repo.forks_count - snapshot.forks)} forks`,
+  `${formatDelta(repo.open_issues_count - snapshot.issues)} open issues`
+].join(', ');
+
+// Badges shown on a bookmarked card describing how the repo drifted since it was saved
+const getBookmarkChanges = (repo) => {
+  const { baseline, previous, missing } = getBookmarkMeta(repo);
+  const changes = [];
+
+  if (missing) {
+    changes.push({ label: "not found", tone: "red", title: "GitHub returned 404 on the last refresh." });
+  }
+  if (repo.archived) {
+    changes.push({ label: "archived", tone: "amber", title: "The repository is archived (read-only)." });
+  }
+  if (!baseline) return changes;
+
+  if (baseline.fullName.toLowerCase() !== repo.full_name.toLowerCase()) {
+    const [oldOwner] = baseline.fullName.split('/');
+    const moved = oldOwner.toLowerCase() !== repo.owner.login.toLowerCase();
+    changes.push({
+      label: moved ? "moved" : "renamed",
+      tone: "blue",
+      title: `Bookmarked as ${baseline.fullName}`
+    });
+  }
+
+  const starDelta = repo.stargazers_count - baseline.stars;
+  if (starDelta !== 0) {
+    const lines = [`Since bookmarking: ${describeDeltas(repo, baseline)}`];
+    if (previous) lines.push(`Since last refresh: ${describeDeltas(repo, previous)}`);
+    changes.push({
+      label: `${formatDelta(starDelta)} stars`,
+      tone: starDelta > 0 ? "green" : "red",
+      title: lines.join('\n')
+    });
+  }
+
+  return changes;
 };
 
-const SearchFilters = ({ filters, onFiltersChange }) => {
-  const { query, sort, language } = filters;
+const REFRESH_STALE_MS = 6 * 60 * 60 * 1000;
+const REFRESH_BATCH_SIZE = 5;
+// Requests left untouched by the refresh job so searches keep working afterwards
+const REFRESH_QUOTA_RESERVE = 10;
 
-  return (
-    <div className="bg-white border-b border-slate-200 sticky top-0 z-30 px-4 py-4 md:px-8 shadow-sm">
-      <div className="max-w-7xl mx-auto flex flex-col md:flex-row gap-4">
-        <div className="relative flex-grow max-w-md">
-          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
-          <input
-            type="text"
-            value={query}
-            onChange={(e) => onFiltersChange({ query: e.target.value })}
-            placeholder="Search repositories..."
-            className="w-full pl-10 pr-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
-          />
-        </div>
+const isBookmarkStale = (repo, now) => {
+  const { refreshedAt, bookmarkedAt } = getBookmarkMeta(repo);
+  const last = refreshedAt || bookmarkedAt;
+  return !last || now - new Date(last).getTime() > REFRESH_STALE_MS;
+};
 
-        <div className="flex gap-3 overflow-x-auto pb-2 md:pb-0">
-          <select 
-            value={sort}
-            onChange={(e) => onFiltersChange({ sort: e.target.value })}
-            className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
-          >
-            <option value="stars">Most Stars</option>
-            <option value="forks">Most Forks</option>
-            <option value="updated">Recently Updated</option>
-          </select>
+const BOOKMARK_SORTS = {
+  bookmarkedAt: (a, b) => (getBookmarkMeta(b).bookmarkedAt || '').localeCompare(getBookmarkMeta(a).bookmarkedAt || ''),
+  stars: (a, b) => b.stargazers_count - a.stargazers_count,
+  pushed: (a, b) => (b.pushed_at || '').localeCompare(a.pushed_at || '')
+};
 
-          <select 
-            value={language}
-            onChange={(e) => onFiltersChange({ language: e.target.value })}
-            className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
-          >
-            <option value="">All Languages</option>
-            <option value="javascript">JavaScript</option>
-            <option value="typescript">TypeScript</option>
-            <option value="python">Python</option>
-            <option value="rust">Rust</option>
-            <option value="go">Go</option>
-            <option value="java">Java</option>
-          </select>
-        </div>
-      </div>
-    </div>
-  );
+const countBy = (items, getKeys) => {
+  const counts = new Map();
+  items.forEach(item => {
+    getKeys(item).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
 };
 
-const Navigation = ({ view, bookmarksCount, user, onViewChange }) => (
-  <nav className="bg-slate-900 text-white px-4 py-3 md:px-8">
-    <div className="max-w-7xl mx-auto flex justify-between items-center">
-      <div className="flex items-center gap-3">
-        <div className="bg-blue-600 p-1.5 rounded-lg">
-          <Github size={24} className="text-white" />
-        </div>
-        <div>
-          <h1 className="font-bold text-lg leading-none">GitHub Explorer</h1>
-          <p className="text-xs text-slate-400 font-medium">Pro Edition</p>
-        </div>
-      </div>
-      
-      <div className="flex items-center gap-1 bg-slate-800/50 p-1 rounded-lg">
-        <button 
-          className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all ${
-            view === 'discover' 
-              ? 'bg-blue-600 text-white shadow-lg' 
-              : 'text-slate-400 hover:text-white hover:bg-slate-800'
-          }`}
-          onClick={() => onViewChange('discover')}
-        >
-          Discover
-        </button>
-        <button 
-          className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${
-            view === 'bookmarks' 
-              ? 'bg-blue-600 text-white shadow-lg' 
-              : 'text-slate-400 hover:text-white hover:bg-slate-800'
-          }`}
-          onClick={() => onViewChange('bookmarks')}
-        >
-          Bookmarks
-          {bookmarksCount > 0 && (
-            <span className="bg-slate-900 text-white text-[10px] px-1.5 py-0.5 rounded-full border border-slate-700">
-              {bookmarksCount}
-            </span>
-          )}
-        </button>
-      </div>
-    </div>
-  </nav>
-);
+const filterBookmarks = (bookmarks, notes, bookmarkFilters, healthConfig) => {
+  const { text, tags, collection, language, sort } = bookmarkFilters;
+  const needle = text.trim().toLowerCase();
+  const healthScores = new Map();
+  const healthScore = (repo) => {
+    if (!healthScores.has(repo.id)) {
+      healthScores.set(repo.id, computeHealth(getBookmarkMeta(repo).healthSignals, healthConfig)?.score ?? -1);
+    }
+    return healthScores.get(repo.id);
+  };
+  const compare = sort === 'health'
+    ? (a, b) => healthScore(b) - healthScore(a)
+    : BOOKMARK_SORTS[sort] || BOOKMARK_SORTS.bookmarkedAt;
 
-const RepositoryModal = ({ 
-  isOpen, 
-  repository, 
-  noteText, 
-  onClose, 
-  onNoteChange,
-  onNoteSave,
-  isSyncing
-}) => {
-  if (!isOpen || !repository) return null;
+  return Array.from(bookmarks.values())
+    .filter(repo => {
+      const meta = getBookmarkMeta(repo);
+      if (language && repo.language !== language) return false;
+      if (collection === 'unfiled' && meta.collections.length > 0) return false;
+      if (collection && collection !== 'unfiled' && !meta.collections.includes(collection)) return false;
+      if (tags.some(tag => !meta.tags.includes(tag))) return false;
+      if (!needle) return true;
 
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm animate-in fade-in duration-200" onClick={onClose}>
-      <div 
-        className="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl animate-in zoom-in-95 duration-200" 
-        onClick={e => e.stopPropagation()}
-      >
-        <header className="sticky top-0 bg-white border-b border-slate-100 px-6 py-4 flex justify-between items-center z-10">
-          <div className="flex items-center gap-3">
-            <img src={repository.owner.avatar_url} className="w-8 h-8 rounded-full" alt="" />
-            <h2 className="font-bold text-xl text-slate-800 truncate max-w-[300px]">{repository.full_name}</h2>
-          </div>
-          <button 
-            className="p-2 hover:bg-slate-100 rounded-full text-slate-400 hover:text-slate-600 transition-colors"
-            onClick={onClose}
-          >
-            <X size={20} />
-          </button>
-        </header>
+      return [
+        repo.full_name,
+        repo.description,
+        ...meta.tags,
+        ...(repo.topics || []),
+        notes.get(String(repo.id))?.content
+      ].some(field => field && field.toLowerCase().includes(needle));
+    })
+    .sort(compare);
+};
 
-        <div className="p-6 space-y-8">
-          <section>
-            <p className="text-slate-600 text-lg leading-relaxed">
-              {repository.description}
-            </p>
-            <a 
-              href={repository.html_url}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="inline-flex items-center gap-2 mt-4 text-blue-600 font-semibold hover:text-blue-700 hover:underline"
-            >
-              View on GitHub <ExternalLink size={16} />
-            </a>
-          </section>
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, '-');
 
-          <section className="bg-amber-50 rounded-xl p-6 border border-amber-100">
-            <div className="flex justify-between items-center mb-3">
-              <h3 className="flex items-center gap-2 font-semibold text-amber-900">
-                <FileText size={18} />
-                Personal Notes
-              </h3>
-              {isSyncing && (
-                <span className="text-xs text-amber-600 flex items-center gap-1">
-                  <RefreshCw size={10} className="animate-spin" /> Saving...
-                </span>
-              )}
-            </div>
-            <textarea
-              value={noteText}
-              onChange={(e) => onNoteChange(e.target.value)}
-              placeholder="Jot down thoughts about this project..."
-              className="w-full h-32 p-3 bg-white border border-amber-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500/20 text-slate-700 placeholder:text-slate-400 resize-none"
-            />
-            <div className="flex justify-end mt-3">
-              <button 
-                onClick={onNoteSave} 
-                className="bg-amber-600 hover:bg-amber-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
-              >
-                <Check size={16} /> Save Note
-              </button>
-            </div>
-          </section>
+// --- Repository Trends ---
 
-          <RepositoryMetrics 
-            metrics={{
-              stars: repository.stargazers_count,
-              forks: repository.forks_count,
-              issues: repository.open_issues_count,
-              watchers: repository.watchers_count,
-              license: repository.license?.name,
-              updatedAt: new Date(repository.updated_at).toLocaleDateString()
-            }}
-          />
+const STAR_HISTORY_PAGES = 5;
+// GitHub stops listing stargazers after 400 pages (40,000 stars)
+const STARGAZER_PAGE_CAP = 400;
+
+// One sample per hour and repo: repeated views within the hour overwrite each other
+const recordMetricsSample = (dataPath, repoId, repo) => {
+  const now = new Date();
+  const sampleRef = doc(db, dataPath, 'bookmarks', repoId, 'metrics', now.toISOString().slice(0, 13));
+  return setDoc(sampleRef, takeMetricsSnapshot(repo, now.toISOString()));
+};
+
+// Approximates the star curve from a handful of evenly spaced stargazer pages:
+// the first `starred_at` on page N is roughly the date of star (N - 1) * 100 + 1.
+const fetchStarHistory = async (request, repository) => {
+  const total = repository.stargazers_count;
+  if (!total) return [];
+
+  const lastPage = Math.min(Math.ceil(total / 100), STARGAZER_PAGE_CAP);
+  const steps = Math.max(STAR_HISTORY_PAGES - 1, 1);
+  const pages = Array.from(new Set(
+    Array.from({ length: STAR_HISTORY_PAGES }, (_, i) => 1 + Math.round((i * (lastPage - 1)) / steps))
+  ));
+
+  const points = await Promise.all(pages.map(async (page) => {
+    const stargazers = await request(
+      `${getRepoPath(repository)}/stargazers?per_page=100&page=${page}`,
+      { accept: 'application/vnd.github.star+json' }
+    );
+    const first = stargazers?.[0];
+    return first ? { x: new Date(first.starred_at).getTime(), y: (page - 1) * 100 + 1 } : null;
+  }));
+
+  return [...points.filter(Boolean), { x: Date.now(), y: total }];
+};
+
+// --- Repository Comparison ---
+
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 5;
+
+const SERIES_COLORS = [
+  { stroke: "stroke-blue-500", dot: "bg-blue-500" },
+  { stroke: "stroke-amber-500", dot: "bg-amber-500" },
+  { stroke: "stroke-emerald-500", dot: "bg-emerald-500" },
+  { stroke: "stroke-purple-500", dot: "bg-purple-500" },
+  { stroke: "stroke-red-500", dot: "bg-red-500" }
+];
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Median number of days between consecutive releases, newest first as GitHub lists them
+const getReleaseCadence = (releases) => {
+  const dates = releases
+    .filter(release => !release.draft && release.published_at)
+    .map(release => new Date(release.published_at).getTime());
+  const gaps = dates.slice(1).map((date, i) => (dates[i] - date) / DAY_MS);
+  return median(gaps);
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "—");
+
+// `best` picks which end of a numeric row gets highlighted; rows without it are informational
+const COMPARE_ROWS = [
+  { label: "Stars", value: (r) => r.stargazers_count, best: 'max', format: formatCompact },
+  { label: "Forks", value: (r) => r.forks_count, best: 'max', format: formatCompact },
+  { label: "Open issues", value: (r) => r.open_issues_count, best: 'min', format: formatCompact },
+  { label: "Watchers", value: (r) => r.watchers_count, best: 'max', format: formatCompact },
+  { label: "License", value: (r) => r.license?.spdx_id || r.license?.name || null },
+  { label: "Language", value: (r) => r.language || null },
+  { label: "Created", value: (r) => r.created_at, format: formatDate },
+  {
+    label: "Last pushed",
+    value: (r) => (r.pushed_at ? new Date(r.pushed_at).getTime() : null),
+    best: 'max',
+    format: formatDate
+  },
+  {
+    label: "Release cadence",
+    value: (r, details) => details?.releaseCadence ?? null,
+    best: 'min',
+    format: (days) => `every ~${Math.max(1, Math.round(days))} days`
+  },
+  {
+    label: "Contributors",
+    value: (r, details) => details?.contributors ?? null,
+    best: 'max',
+    format: (count) => count.toLocaleString()
+  }
+];
+
+const getBestValue = (row, values) => {
+  const numeric = values.filter(v => typeof v === 'number');
+  if (!row.best || numeric.length < COMPARE_MIN) return null;
+  return row.best === 'max' ? Math.max(...numeric) : Math.min(...numeric);
+};
+
+// --- Repository Health ---
+
+// Weights are relative; thresholds are the point at which a criterion earns full marks.
+const HEALTH_DEFAULTS = {
+  weights: {
+    recentActivity: 20,
+    issueCloseRate: 15,
+    releases: 10,
+    license: 15,
+    notArchived: 15,
+    busFactor: 15,
+    communityFiles: 10
+  },
+  thresholds: {
+    maxDaysSincePush: 90,
+    minIssueCloseRate: 0.6,
+    maxDaysSinceRelease: 180,
+    minBusFactor: 3
+  }
+};
+
+const HEALTH_SIGNALS_MAX_AGE_MS = 7 * DAY_MS;
+
+const daysSince = (value) => (value ? (Date.now() - new Date(value).getTime()) / DAY_MS : null);
+
+// Full marks up to `limit` days, fading to zero at four times the limit
+const recencyScore = (days, limit) => {
+  if (days === null) return 0;
+  if (days <= limit) return 1;
+  return Math.max(0, 1 - (days - limit) / (limit * 3));
+};
+
+const HEALTH_CRITERIA = [
+  {
+    id: 'recentActivity',
+    label: "Recent commits",
+    score: (s, t) => recencyScore(daysSince(s.pushedAt), t.maxDaysSincePush),
+    detail: (s) => `Last push ${Math.round(daysSince(s.pushedAt) ?? 0)} days ago`
+  },
+  {
+    id: 'issueCloseRate',
+    label: "Issue close rate",
+    score: (s, t) => (s.issueCloseRate === null ? 0.5 : Math.min(1, s.issueCloseRate / t.minIssueCloseRate)),
+    detail: (s) => (s.issueCloseRate === null
+      ? "No recent issues"
+      : `${Math.round(s.issueCloseRate * 100)}% of the last ${s.sampledIssues} issues closed`)
+  },
+  {
+    id: 'releases',
+    label: "Releases",
+    score: (s, t) => recencyScore(daysSince(s.latestReleaseAt), t.maxDaysSinceRelease),
+    detail: (s) => (s.latestReleaseAt
+      ? `Latest release ${Math.round(daysSince(s.latestReleaseAt))} days ago`
+      : "No releases published")
+  },
+  {
+    id: 'license',
+    label: "License",
+    score: (s) => (s.hasLicense ? 1 : 0),
+    detail: (s) => (s.hasLicense ? "License present" : "No license")
+  },
+  {
+    id: 'notArchived',
+    label: "Not archived",
+    score: (s) => (s.archived ? 0 : 1),
+    detail: (s) => (s.archived ? "Archived (read-only)" : "Active repository")
+  },
+  {
+    id: 'busFactor',
+    label: "Bus factor",
+    score: (s, t) => (s.busFactor === null ? 0.5 : Math.min(1, s.busFactor / t.minBusFactor)),
+    detail: (s) => (s.busFactor === null
+      ? "Contributor list unavailable"
+      : `${s.busFactor} contributor(s) account for half of all commits`)
+  },
+  {
+    id: 'communityFiles',
+    label: "README / CONTRIBUTING / SECURITY",
+    score: (s) => Object.values(s.files).filter(Boolean).length / Object.keys(s.files).length,
+    detail: (s) => {
+      const missing = Object.entries(s.files).filter(([, present]) => !present).map(([name]) => name);
+      return missing.length ? `Missing ${missing.join(', ')}` : "All present";
+    }
+  }
+];
+
+const HEALTH_GRADES = [
+  { min: 85, grade: 'A', className: "bg-emerald-100 text-emerald-700" },
+  { min: 70, grade: 'B', className: "bg-lime-100 text-lime-700" },
+  { min: 55, grade: 'C', className: "bg-amber-100 text-amber-700" },
+  { min: 40, grade: 'D', className: "bg-orange-100 text-orange-700" },
+  { min: 0, grade: 'F', className: "bg-red-100 text-red-700" }
+];
+
+const computeHealth = (signals, config = HEALTH_DEFAULTS) => {
+  if (!signals) return null;
+  const weights = { ...HEALTH_DEFAULTS.weights, ...config.weights };
+  const thresholds = { ...HEALTH_DEFAULTS.thresholds, ...config.thresholds };
+
+  const breakdown = HEALTH_CRITERIA.map(criterion => ({
+    id: criterion.id,
+    label: criterion.label,
+    weight: Number(weights[criterion.id]) || 0,
+    score: criterion.score(signals, thresholds),
+    detail: criterion.detail(signals)
+  }));
+  const totalWeight = breakdown.reduce((sum, c) => sum + c.weight, 0);
+  const score = totalWeight
+    ? Math.round((breakdown.reduce((sum, c) => sum + c.weight * c.score, 0) / totalWeight) * 100)
+    : 0;
+
+  return { score, ...HEALTH_GRADES.find(g => score >= g.min), breakdown };
+};
+
+// Smallest number of contributors responsible for at least half of all contributions
+const getBusFactor = (contributors) => {
+  const counts = contributors.map(c => c.contributions).sort((a, b) => b - a);
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  let covered = 0;
+  for (let i = 0; i < counts.length; i++) {
+    covered += counts[i];
+    if (covered >= total / 2) return i + 1;
+  }
+  return counts.length;
+};
+
+const fileExists = (request, path) =>
+  request(path).then(() => true, (err) => {
+    if (err.status === 404) return false;
+    throw err;
+  });
+
+// Missing optional data degrades a criterion; running out of quota aborts the whole check
+const unlessRateLimited = (fallback) => (err) => {
+  if (err.resetAt || err.status === 429) throw err;
+  return fallback;
+};
+
+const fetchHealthSignals = async (request, repository) => {
+  const repoPath = getRepoPath(repository);
+  const [community, contributors, releases, issues, rootSecurity, githubSecurity] = await Promise.all([
+    request(`${repoPath}/community/profile`).catch(unlessRateLimited(null)),
+    // GitHub refuses to list contributors for very large histories
+    request(`${repoPath}/contributors?per_page=100`).catch(unlessRateLimited(null)),
+    request(`${repoPath}/releases?per_page=1`).catch(unlessRateLimited([])),
+    request(`${repoPath}/issues?state=all&per_page=100`).catch(unlessRateLimited([])),
+    fileExists(request, `${repoPath}/contents/SECURITY.md`),
+    fileExists(request, `${repoPath}/contents/.github/SECURITY.md`)
+  ]);
+
+  // The issues endpoint mixes in pull requests; only real issues count here
+  const realIssues = issues.filter(issue => !issue.pull_request);
+  const closed = realIssues.filter(issue => issue.state === 'closed').length;
+
+  return {
+    pushedAt: repository.pushed_at || null,
+    archived: Boolean(repository.archived),
+    hasLicense: Boolean(repository.license),
+    issueCloseRate: realIssues.length ? closed / realIssues.length : null,
+    sampledIssues: realIssues.length,
+    latestReleaseAt: releases[0]?.published_at || null,
+    busFactor: contributors ? getBusFactor(contributors) : null,
+    files: {
+      README: Boolean(community?.files?.readme),
+      CONTRIBUTING: Boolean(community?.files?.contributing),
+      SECURITY: rootSecurity || githubSecurity
+    },
+    collectedAt: new Date().toISOString()
+  };
+};
+
+const areHealthSignalsStale = (signals) =>
+  !signals || Date.now() - new Date(signals.collectedAt).getTime() > HEALTH_SIGNALS_MAX_AGE_MS;
+
+// --- Repository Details ---
+
+// Modal tabs beyond the overview load on first view and keep their result for the session,
+// so flipping between tabs or reopening a repo costs no further requests.
+const DETAIL_TABS = [
+  { id: 'overview', label: "Overview" },
+  { id: 'readme', label: "README" },
+  { id: 'activity', label: "Activity" },
+  { id: 'files', label: "Files" },
+  { id: 'releases', label: "Releases" },
+  { id: 'languages', label: "Languages" },
+  { id: 'topics', label: "Topics" }
+];
+// These need GitHub's API (github.com or Enterprise); GitLab and Gitea repos get the rest
+const GITHUB_ONLY_TABS = ['activity', 'files', 'releases'];
+const RELEASES_PER_PAGE = 10;
+const FILE_PREVIEW_MAX_BYTES = 200 * 1024;
+const IMAGE_FILE = /\.(png|jpe?g|gif|webp|bmp|ico)$/i;
+const MARKDOWN_FILE = /\.(md|markdown|mdx)$/i;
+const detailCache = new Map(); // Map<String, Promise>
+
+// Failed loads are forgotten so the next visit retries
+const loadCached = (key, load) => {
+  if (!detailCache.has(key)) {
+    detailCache.set(key, load().catch((err) => {
+      detailCache.delete(key);
+      throw err;
+    }));
+  }
+  return detailCache.get(key);
+};
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+};
+
+// The contents API returns base64 of the raw bytes; README text is almost always UTF-8
+const decodeBase64 = (content) =>
+  new TextDecoder().decode(Uint8Array.from(atob(content.replace(/\s/g, '')), c => c.charCodeAt(0)));
+
+const getBranch = (repository) => repository.default_branch || 'HEAD';
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+const getForgeFileUrl = (repository, kind, path) =>
+  `${repository.html_url}/${FORGE_PROVIDERS[getRepoForge(repository)].webPaths[kind]}/${getBranch(repository)}/${encodePath(path)}`;
+
+const getRawUrl = (repository, path) => (repository.forge
+  ? getForgeFileUrl(repository, 'raw', path)
+  : `https://raw.githubusercontent.com/${repository.full_name}/${getBranch(repository)}/${encodePath(path)}`);
+
+// A stray `%` (e.g. `100%.png`) is not valid percent-encoding, so keep such paths as written
+const decodePath = (path) => {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+};
+
+// Relative links and images in repo Markdown are relative to the file they appear in
+const createRepoUrlResolver = (repository, filePath = '') => (url, kind) => {
+  if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return url;
+  const { pathname, search, hash } = new URL(url, `https://repo.invalid/${encodePath(filePath)}`);
+  const path = decodePath(pathname.slice(1));
+  return kind === 'image'
+    ? `${getRawUrl(repository, path)}${search}`
+    : repository.forge
+      ? `${getForgeFileUrl(repository, 'blob', path)}${search}${hash}`
+      : `https://github.com/${repository.full_name}/blob/${getBranch(repository)}/${encodePath(path)}${search}${hash}`;
+};
+
+// Directories first, then files, each alphabetically
+const listDirectory = (entries, dir) => {
+  const prefix = dir ? `${dir}/` : '';
+  return entries
+    .filter(entry => entry.path.startsWith(prefix) && !entry.path.slice(prefix.length).includes('/'))
+    .map(entry => ({ ...entry, name: entry.path.slice(prefix.length) }))
+    .sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'tree' ? -1 : 1));
+};
+
+const DETAIL_LOADERS = {
+  readme: async (request, repository) => {
+    const readme = await request(`${getRepoPath(repository)}/readme`);
+    return { path: readme.path, content: decodeBase64(readme.content) };
+  },
+  files: (request, repository) => request(
+    `${getRepoPath(repository)}/git/trees/${encodeURIComponent(getBranch(repository))}?recursive=1`,
+    { fallbackMessage: "Failed to load the file tree. The repository may be empty." }
+  ),
+  releases: (request, repository) =>
+    request(`${getRepoPath(repository)}/releases?per_page=${RELEASES_PER_PAGE}`),
+  languages: (request, repository) => request(`${getRepoPath(repository)}/languages`),
+  // Search results already carry topics; deep-linked repos may not
+  topics: async (request, repository) =>
+    repository.topics || (await request(`${getRepoPath(repository)}/topics`)).names
+};
+
+// --- Repository Activity ---
+
+const MAINTAINER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+// Each sampled issue with comments costs one request, so the response check stays small
+const RESPONSE_SAMPLE_SIZE = 15;
+// Brand-new issues haven't had a fair chance at a reply yet
+const RESPONSE_GRACE_MS = 2 * DAY_MS;
+const ACTIVITY_LIST_LIMIT = 25;
+
+const isMaintainer = (item) => MAINTAINER_ASSOCIATIONS.includes(item.author_association);
+
+const daysBetween = (from, to) => (new Date(to).getTime() - new Date(from).getTime()) / DAY_MS;
+
+const formatAge = (iso) => {
+  const days = daysSince(iso);
+  if (days < 1) return "today";
+  if (days < 30) return `${Math.floor(days)}d ago`;
+  if (days < 365) return `${Math.floor(days / 30)}mo ago`;
+  return `${Math.floor(days / 365)}y ago`;
+};
+
+const formatDuration = (days) => {
+  if (days === null) return "—";
+  if (days < 1) return `${Math.max(1, Math.round(days * 24))}h`;
+  return `${days < 10 ? days.toFixed(1) : Math.round(days)}d`;
+};
+
+const hasMaintainerResponse = async (request, repository, issue) => {
+  if (!issue.comments) return false;
+  const comments = await request(`${getRepoPath(repository)}/issues/${issue.number}/comments?per_page=30`);
+  return comments.some(isMaintainer);
+};
+
+// Open items come from one issues listing, which GitHub mixes with pull requests;
+// the derived stats use the latest 100 closed issues and pull requests. The maintainer
+// response sample is skipped without a token, since it costs up to 15 more requests.
+const fetchActivity = async (request, repository, { sampleResponses = true } = {}) => {
+  const repoPath = getRepoPath(repository);
+  const [open, closed, pulls, recent] = await Promise.all([
+    request(`${repoPath}/issues?state=open&per_page=100`),
+    request(`${repoPath}/issues?state=closed&per_page=100`),
+    request(`${repoPath}/pulls?state=closed&per_page=100`),
+    // Same listing the health check uses, so it usually comes from the response cache
+    request(`${repoPath}/issues?state=all&per_page=100`)
+  ]);
+
+  const closedIssues = closed.filter(item => !item.pull_request);
+  const merged = pulls.filter(pull => pull.merged_at);
+  const sample = recent
+    .filter(item => !item.pull_request && !isMaintainer(item))
+    .filter(item => Date.now() - new Date(item.created_at).getTime() > RESPONSE_GRACE_MS)
+    .slice(0, sampleResponses ? RESPONSE_SAMPLE_SIZE : 0);
+  const responses = await Promise.all(sample.map(issue =>
+    hasMaintainerResponse(request, repository, issue).catch(unlessRateLimited(null))
+  ));
+  const answered = responses.filter(response => response !== null);
+
+  return {
+    issues: open.filter(item => !item.pull_request),
+    pulls: open.filter(item => item.pull_request),
+    medianCloseDays: median(closedIssues.map(issue => daysBetween(issue.created_at, issue.closed_at))),
+    closedSampled: closedIssues.length,
+    medianMergeDays: median(merged.map(pull => daysBetween(pull.created_at, pull.merged_at))),
+    mergedSampled: merged.length,
+    responseRate: answered.length ? answered.filter(Boolean).length / answered.length : null,
+    responseSampled: answered.length,
+    responseSkipped: !sampleResponses
+  };
+};
+
+// --- Markdown ---
+
+// A small renderer that turns Markdown straight into React elements. Raw HTML is never
+// injected: image tags are converted to Markdown images and every other tag is dropped.
+
+const ALLOWED_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+const sanitizeUrl = (url) => {
+  const trimmed = url.trim();
+  const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (scheme && !ALLOWED_SCHEMES.includes(scheme[1].toLowerCase())) return null;
+  return trimmed;
+};
+
+const stripHtml = (text) => text
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<img\b[^>]*?\bsrc=["']([^"']+)["'][^>]*>/gi, (tag, src) => {
+    const alt = tag.match(/\balt=["']([^"']*)["']/i);
+    return `![${alt ? alt[1] : ''}](${src})`;
+  })
+  .replace(/<br\s*\/?>/gi, ' ')
+  .replace(/<\/?[a-z][^>]*>/gi, '');
+
+const INLINE_PATTERN = new RegExp([
+  /`([^`]+)`/.source,                                   // 1: code
+  /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/.source,   // 2, 3: image
+  /\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/.source,    // 4, 5: link
+  /\*\*([^*]+?)\*\*|__([^_]+?)__/.source,               // 6, 7: bold
+  /~~([^~]+?)~~/.source,                                // 8: strikethrough
+  /\*([^*\s][^*]*?)\*|\b_([^_\s][^_]*?)_\b/.source,     // 9, 10: italic
+  /(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])/.source     // 11: bare URL
+].join('|'), 'g');
+
+const renderInline = (text, options, keyPrefix = 'i') => {
+  const source = stripHtml(text);
+  const nodes = [];
+  let lastIndex = 0;
+  let n = 0;
+
+  const renderLink = (href, children) => {
+    const safe = sanitizeUrl(options.resolveUrl(href, 'link'));
+    if (!safe) return children;
+    return (
+      <a key={`${keyPrefix}${n++}`} href={safe} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+        {children}
+      </a>
+    );
+  };
+
+  // matchAll iterates a copy of the pattern, so the recursive calls below can't disturb it
+  for (const match of source.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) nodes.push(source.slice(lastIndex, match.index));
+    const key = `${keyPrefix}${n++}`;
+
+    if (match[1] !== undefined) {
+      nodes.push(<code key={key} className="px-1 py-0.5 bg-slate-100 rounded text-[0.9em] font-mono">{match[1]}</code>);
+    } else if (match[3] !== undefined) {
+      const src = sanitizeUrl(options.resolveUrl(match[3], 'image'));
+      if (src) nodes.push(<img key={key} src={src} alt={match[2]} className="inline max-w-full" />);
+    } else if (match[5] !== undefined) {
+      // Link text may itself hold an image (badges), so render it recursively
+      nodes.push(renderLink(match[5], renderInline(match[4], options, `${key}-`)));
+    } else if (match[6] !== undefined || match[7] !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(match[6] ?? match[7], options, `${key}-`)}</strong>);
+    } else if (match[8] !== undefined) {
+      nodes.push(<del key={key}>{renderInline(match[8], options, `${key}-`)}</del>);
+    } else if (match[9] !== undefined || match[10] !== undefined) {
+      nodes.push(<em key={key}>{renderInline(match[9] ?? match[10], options, `${key}-`)}</em>);
+    } else if (match[11] !== undefined) {
+      nodes.push(renderLink(match[11], match[11]));
+    }
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < source.length) nodes.push(source.slice(lastIndex));
+  return nodes;
+};
+
+const BLOCK_START = /^(#{1,6}\s|```|~~~|>|\s*([-*+]|\d+[.)])\s|(\*{3,}|-{3,}|_{3,})\s*$)/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+const HEADING_CLASSES = [
+  "text-2xl font-bold mt-6 mb-3 pb-2 border-b border-slate-200",
+  "text-xl font-bold mt-6 mb-3 pb-1 border-b border-slate-200",
+  "text-lg font-semibold mt-5 mb-2",
+  "text-base font-semibold mt-4 mb-2",
+  "text-sm font-semibold mt-4 mb-2",
+  "text-sm font-semibold text-slate-500 mt-4 mb-2"
+];
+
+const renderBlocks = (lines, options, keyPrefix = 'b') => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = `${keyPrefix}${blocks.length}`;
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+      i++;
+      blocks.push(
+        <pre key={key} className="bg-slate-900 text-slate-100 rounded-lg p-4 my-3 overflow-x-auto text-sm font-mono">
+          <code>{code.join('\n')}</code>
+        </pre>
+      );
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      const Tag = `h${heading[1].length}`;
+      blocks.push(<Tag key={key} className={HEADING_CLASSES[heading[1].length - 1]}>{renderInline(heading[2], options, `${key}-`)}</Tag>);
+      i++;
+      continue;
+    }
+
+    if (/^(\*{3,}|-{3,}|_{3,})\s*$/.test(line)) {
+      blocks.push(<hr key={key} className="my-4 border-slate-200" />);
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const quoted = [];
+      while (i < lines.length && lines[i].startsWith('>')) quoted.push(lines[i++].replace(/^>\s?/, ''));
+      blocks.push(
+        <blockquote key={key} className="border-l-4 border-slate-200 pl-4 my-3 text-slate-500">
+          {renderBlocks(quoted, options, `${key}-`)}
+        </blockquote>
+      );
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(splitTableRow(lines[i++]));
+      blocks.push(
+        <div key={key} className="overflow-x-auto my-3">
+          <table className="text-sm border-collapse">
+            <thead>
+              <tr>{header.map((cell, c) => <th key={c} className="border border-slate-200 px-3 py-1.5 bg-slate-50 text-left">{renderInline(cell, options, `${key}-h${c}-`)}</th>)}</tr>
+            </thead>
+            <tbody>
+              {rows.map((row, r) => (
+                <tr key={r}>{row.map((cell, c) => <td key={c} className="border border-slate-200 px-3 py-1.5">{renderInline(cell, options, `${key}-${r}-${c}-`)}</td>)}</tr>
+              ))}
+            </tbody>
+          </table>
         </div>
-      </div>
-    </div>
-  );
+      );
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const indent = item[1].length;
+      const ordered = /\d/.test(item[2]);
+      const items = [];
+      while (i < lines.length) {
+        const current = lines[i].match(LIST_ITEM);
+        if (!current || current[1].length !== indent || /\d/.test(current[2]) !== ordered) break;
+        const body = [current[3]];
+        i++;
+        // Indented continuation lines (including nested lists) belong to this item
+        while (i < lines.length && lines[i].trim() && lines[i].match(/^\s*/)[0].length > indent) {
+          body.push(lines[i++].slice(indent + 2));
+        }
+        items.push(body);
+        while (i < lines.length && !lines[i].trim() && (lines[i + 1] || '').match(LIST_ITEM)?.[1].length === indent) i++;
+      }
+
+      const ListTag = ordered ? 'ol' : 'ul';
+      blocks.push(
+        <ListTag key={key} className={`${ordered ? 'list-decimal' : 'list-disc'} pl-6 my-3 space-y-1`}>
+          {items.map(([first, ...rest], n) => {
+            const task = first.match(/^\[([ xX])\]\s+(.*)$/);
+            return (
+              <li key={n}>
+                {task && <input type="checkbox" checked={task[1] !== ' '} readOnly className="mr-2 align-middle" />}
+                {renderInline(task ? task[2] : first, options, `${key}-${n}-`)}
+                {rest.length > 0 && renderBlocks(rest, options, `${key}-${n}-`)}
+              </li>
+            );
+          })}
+        </ListTag>
+      );
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !(paragraph.length && BLOCK_START.test(lines[i]))) {
+      paragraph.push(lines[i++].trim());
+    }
+    const content = renderInline(paragraph.join(' '), options, `${key}-`);
+    if (content.some(node => typeof node !== 'string' || node.trim())) {
+      blocks.push(<p key={key} className="my-3 leading-relaxed">{content}</p>);
+    }
+  }
+
+  return blocks;
 };
 
-// --- Main App Component ---
-export default function GitHubExplorer() {
-  const [state, dispatch] = useReducer(appReducer, initialState);
-  const { fetchRepositories } = useGitHubAPI();
-  const searchTimeoutRef = useRef();
+// --- Note History ---
+
+const NOTE_REVISION_LIMIT = 50;
+
+// Line-level diff (longest common subsequence); notes are short enough for the O(n·m) table
+const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i++] });
+      j++;
+    } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  return lines;
+};
+
+// Keeps shared lines once and wraps each diverging run in conflict markers for manual editing
+const mergeNoteVersions = (mine, theirs) => {
+  const merged = [];
+  let ours = [];
+  let remote = [];
+  const flush = () => {
+    if (!ours.length && !remote.length) return;
+    merged.push('<<<<<<< this device', ...ours, '=======', ...remote, '>>>>>>> other device');
+    ours = [];
+    remote = [];
+  };
+
+  diffLines(theirs, mine).forEach(({ type, text }) => {
+    if (type === 'same') {
+      flush();
+      merged.push(text);
+    } else if (type === 'added') {
+      ours.push(text);
+    } else {
+      remote.push(text);
+    }
+  });
+  flush();
+  return merged.join('\n');
+};
+
+// Decides what a notes snapshot means for the note open in the modal
+const reconcileNote = (ui, remote) => {
+  if ((remote?.updatedAt || null) === (ui.noteBase?.updatedAt || null)) return ui;
+
+  const remoteContent = remote?.content || "";
+  // Our own save echoing back (possibly before it reported success, and with more typed since),
+  // or a remote edit identical to what is in the editor
+  if ((remote && remote.updatedAt === ui.noteSavingAt) || remoteContent === ui.noteText) {
+    return { ...ui, noteBase: remote, noteConflict: null };
+  }
+  // Nothing typed since the last sync, so follow the remote version
+  if (ui.noteText === (ui.noteBase?.content || "")) {
+    return { ...ui, noteText: remoteContent, noteBase: remote, noteConflict: null };
+  }
+  return { ...ui, noteConflict: remote || { content: "", updatedAt: null } };
+};
+
+// --- Sync Status ---
+
+const NOTE_AUTOSAVE_MS = 1500;
+// Autosaves within this window update one revision instead of adding a new one each time
+const NOTE_REVISION_WINDOW_MS = 10 * 60 * 1000;
+
+const isBrowserOnline = () => typeof navigator === 'undefined' || navigator.onLine;
+
+// Which documents in a listener snapshot still have local writes waiting for the server
+const readPendingWrites = (snapshot) => ({
+  pending: new Set(snapshot.docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id)),
+  present: new Set(snapshot.docs.map(d => d.id)),
+  anyPending: snapshot.metadata.hasPendingWrites,
+  fromCache: snapshot.metadata.fromCache
+});
+
+// Firestore's offline copy keeps whatever time the data was last known from, if any
+const getDeliveredSource = (current, fromCache) => (fromCache ? current ?? 'cache' : 'live');
+
+const isNoteDirty = (ui) => ui.noteText !== (ui.noteBase?.content || "");
+
+// Write progress wins over unsaved edits; "saved" only once the draft matches what was written
+const getNoteSyncStatus = (ui, syncStates) => {
+  const status = ui.selectedRepo && syncStates.get(`notes/${ui.selectedRepo.id}`);
+  if (status === 'saving' || status === 'offline' || status === 'failed') return status;
+  if (isNoteDirty(ui)) return 'pending';
+  return status || null;
+};
+
+// --- Offline Cache ---
+
+// GitHub responses and the last synced bookmarks and notes are kept in IndexedDB, so searches,
+// repository details and the bookmark grid stay browsable without a network (see sw.js for the shell)
+const OFFLINE_DB_NAME = 'github-explorer-offline';
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_RESPONSE_LIMIT = 300;
+const OFFLINE_SNAPSHOT_DELAY_MS = 1000;
+const OFFLINE_MESSAGE = "You're offline, and this hasn't been cached on this device yet.";
+
+let offlineDbPromise = null;
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openOfflineDb = () => {
+  if (!offlineDbPromise) {
+    offlineDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') throw new Error("IndexedDB is unavailable.");
+      const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        // { key, etag, link, data, fetchedAt }, keyed like responseCache
+        database.createObjectStore('responses', { keyPath: 'key' }).createIndex('fetchedAt', 'fetchedAt');
+        // { key: "bookmarks:{dataPath}" | "notes:{uid}", entries, cachedAt }
+        database.createObjectStore('snapshots', { keyPath: 'key' });
+      };
+      idbRequest(request).then(resolve, reject);
+    });
+  }
+  return offlineDbPromise;
+};
+
+// The cache is best effort: failures only mean there is nothing to fall back on later
+const readOfflineEntry = async (storeName, key) => {
+  try {
+    const database = await openOfflineDb();
+    return (await idbRequest(database.transaction(storeName).objectStore(storeName).get(key))) || null;
+  } catch (err) {
+    console.warn("Offline cache read error", err);
+    return null;
+  }
+};
+
+const writeOfflineEntry = async (storeName, entry) => {
+  try {
+    const database = await openOfflineDb();
+    await idbRequest(database.transaction(storeName, 'readwrite').objectStore(storeName).put(entry));
+  } catch (err) {
+    console.warn("Offline cache write error", err);
+  }
+};
+
+// Drops the least recently fetched responses once the store grows past its limit
+const pruneOfflineResponses = async () => {
+  try {
+    const database = await openOfflineDb();
+    const store = database.transaction('responses', 'readwrite').objectStore('responses');
+    const excess = (await idbRequest(store.count())) - OFFLINE_RESPONSE_LIMIT;
+    if (excess <= 0) return;
+    const keys = await idbRequest(store.index('fetchedAt').getAllKeys(null, excess));
+    keys.forEach(key => store.delete(key));
+  } catch (err) {
+    console.warn("Offline cache prune error", err);
+  }
+};
+
+// Signing out must not leave the previous account's data readable on this device
+const clearOfflineCache = async () => {
+  try {
+    const database = await openOfflineDb();
+    const transaction = database.transaction(['responses', 'snapshots'], 'readwrite');
+    transaction.objectStore('responses').clear();
+    transaction.objectStore('snapshots').clear();
+  } catch (err) {
+    console.warn("Offline cache clear error", err);
+  }
+};
+
+// --- Account Linking ---
+
+// Per-user collections and the subcollection each of their documents may carry
+const USER_TREE = {
+  bookmarks: 'metrics',
+  notes: 'revisions',
+  collections: null,
+  settings: null,
+  savedSearches: null
+};
+const MERGE_BATCH_SIZE = 400; // Firestore caps a batch at 500 writes
+
+const ACCOUNT_IN_USE_CODES = ['auth/credential-already-in-use', 'auth/email-already-in-use'];
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/popup-closed-by-user': null,
+  'auth/cancelled-popup-request': null,
+  'auth/popup-blocked': "The sign-in popup was blocked by the browser.",
+  'auth/invalid-email': "That email address is not valid.",
+  'auth/weak-password': "Passwords need at least 6 characters.",
+  'auth/wrong-password': "Wrong email or password.",
+  'auth/invalid-credential': "Wrong email or password.",
+  'auth/provider-already-linked': "That sign-in method is already linked to this account.",
+  'auth/credential-already-in-use': "That sign-in belongs to another account. Sign out first to switch accounts.",
+  'auth/email-already-in-use': "That email belongs to another account. Sign out first to switch accounts."
+};
+
+const describeAuthError = (err) =>
+  (err.code in AUTH_ERROR_MESSAGES ? AUTH_ERROR_MESSAGES[err.code] : err.message);
+
+const readUserTree = async (uid) => {
+  const tree = {};
+  await Promise.all(Object.entries(USER_TREE).map(async ([name, childName]) => {
+    const snapshot = await getDocs(collection(db, 'artifacts', appId, 'users', uid, name));
+    tree[name] = new Map(await Promise.all(snapshot.docs.map(async (entry) => {
+      const children = childName
+        ? (await getDocs(collection(entry.ref, childName))).docs.map(child => ({ id: child.id, data: child.data() }))
+        : [];
+      return [entry.id, { data: entry.data(), children }];
+    })));
+  }));
+  return tree;
+};
+
+const mergeBookmark = (current, incoming) => {
+  const ours = getBookmarkMeta(current);
+  const theirs = getBookmarkMeta(incoming);
+  // The earlier bookmark keeps its date and baseline so change badges stay meaningful
+  const first = (theirs.bookmarkedAt || '~') < (ours.bookmarkedAt || '~') ? theirs : ours;
+  return {
+    ...current,
+    bookmark: {
+      ...ours,
+      tags: [...new Set([...ours.tags, ...theirs.tags])],
+      collections: [...new Set([...ours.collections, ...theirs.collections])],
+      bookmarkedAt: first.bookmarkedAt,
+      baseline: first.baseline
+    }
+  };
+};
+
+// Writes that fold a guest tree (`source`) into an existing account (`target`) without losing either side
+const mergeUserTrees = (source, target) => {
+  const writes = [];
+  const put = (segments, data) => writes.push({ segments, data });
+  const hasChild = (entry, id) => Boolean(entry?.children.some(child => child.id === id));
+
+  // Collections are matched by name, so bookmarks land in the account's existing ones
+  const targetCollections = new Map([...target.collections].map(([id, { data }]) => [data.name, id]));
+  const collectionIds = new Map();
+  source.collections.forEach(({ data }, id) => {
+    const existing = targetCollections.get(data.name);
+    collectionIds.set(id, existing || id);
+    if (!existing) put(['collections', id], data);
+  });
+
+  source.bookmarks.forEach(({ data, children }, id) => {
+    const meta = getBookmarkMeta(data);
+    const incoming = { ...data, bookmark: { ...meta, collections: meta.collections.map(c => collectionIds.get(c) || c) } };
+    const current = target.bookmarks.get(id);
+    put(['bookmarks', id], current ? mergeBookmark(current.data, incoming) : incoming);
+    children
+      .filter(sample => !hasChild(current, sample.id))
+      .forEach(sample => put(['bookmarks', id, 'metrics', sample.id], sample.data));
+  });
+
+  source.notes.forEach(({ data, children }, id) => {
+    const current = target.notes.get(id);
+    if (!current) {
+      put(['notes', id], data);
+    } else if (current.data.content !== data.content) {
+      const [newer, older] = (current.data.updatedAt || '') >= (data.updatedAt || '')
+        ? [current.data, data]
+        : [data, current.data];
+      put(['notes', id], newer);
+      // The other side's text survives as a revision
+      put(['notes', id, 'revisions', `merged-${older.updatedAt}`], { ...older, previousUpdatedAt: null });
+    }
+    children
+      .filter(revision => !hasChild(current, revision.id))
+      .forEach(revision => put(['notes', id, 'revisions', revision.id], revision.data));
+  });
+
+  // Saved searches have random ids, so the guest's are simply added
+  source.savedSearches.forEach(({ data }, id) => {
+    if (!target.savedSearches.has(id)) put(['savedSearches', id], data);
+  });
+
+  // The account's own settings win; the guest's only fill gaps
+  source.settings.forEach(({ data }, id) => {
+    const current = target.settings.get(id)?.data;
+    if (!current || (id === 'github' && !current.token && data.token)) put(['settings', id], data);
+  });
+
+  return writes;
+};
+
+// With a workspace, shared documents go to it while notes and settings stay with the user
+const writeUserTree = async (uid, writes, workspaceId = null) => {
+  for (let i = 0; i < writes.length; i += MERGE_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + MERGE_BATCH_SIZE).forEach(({ segments, data }) => {
+      const shared = workspaceId && !PRIVATE_COLLECTIONS.includes(segments[0]);
+      batch.set(doc(db, getDataPath(uid, shared ? workspaceId : null), ...segments), data);
+    });
+    await batch.commit();
+  }
+};
+
+// --- Import & Export ---
+
+const EXPORT_FORMATS = [
+  { id: 'json', label: "JSON", extension: 'json', mime: 'application/json', hint: "Lossless, re-importable" },
+  { id: 'csv', label: "CSV", extension: 'csv', mime: 'text/csv', hint: "For spreadsheets" },
+  { id: 'markdown', label: "Markdown", extension: 'md', mime: 'text/markdown', hint: "An awesome list" },
+  { id: 'opml', label: "OPML", extension: 'opml', mime: 'text/x-opml', hint: "Outline by collection" }
+];
+const IMPORT_RESOLVE_CONCURRENCY = 4;
+
+// Paths under github.com that look like owner/repo but aren't repositories
+const RESERVED_OWNERS = ['orgs', 'topics', 'sponsors', 'marketplace', 'features', 'settings', 'collections', 'apps', 'about'];
+const GITHUB_REPO_URL = /github\.com\/([\w.-]+)\/([\w.-]+)/gi;
+const OWNER_REPO_LINE = /^(?:[-*+]\s+)?([\w.-]+)\/([\w.-]+)$/;
+
+// Bookmarks joined with their notes and collection names, in the order the user sees them
+const collectExportRows = (bookmarks, notes, collections) =>
+  Array.from(bookmarks.entries())
+    .map(([id, repo]) => {
+      const meta = getBookmarkMeta(repo);
+      return {
+        repo,
+        meta,
+        collectionNames: meta.collections.map(c => collections.get(c)?.name).filter(Boolean),
+        note: notes.get(id) || null
+      };
+    })
+    .sort((a, b) => (b.meta.bookmarkedAt || '').localeCompare(a.meta.bookmarkedAt || ''));
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xmlEscape = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Groups rows under each of their collections; rows without one go last
+const groupByCollection = (rows) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    (row.collectionNames.length ? row.collectionNames : [null]).forEach(name => {
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(row);
+    });
+  });
+  return [...groups.entries()].sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)));
+};
+
+const EXPORTERS = {
+  json: (rows, collections) => JSON.stringify({
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    collections: Array.from(collections.values()).map(c => c.name),
+    bookmarks: rows.map(({ repo, meta, collectionNames, note }) => ({
+      ...repo,
+      // Collection ids are per-account, so names travel instead
+      bookmark: { ...meta, collections: collectionNames },
+      note
+    }))
+  }, null, 2),
+
+  csv: (rows) => [
+    ['full_name', 'url', 'description', 'language', 'stars', 'forks', 'tags', 'collections', 'bookmarked_at', 'note'],
+    ...rows.map(({ repo, meta, collectionNames, note }) => [
+      repo.full_name,
+      repo.html_url,
+      repo.description,
+      repo.language,
+      repo.stargazers_count,
+      repo.forks_count,
+      meta.tags.join(';'),
+      collectionNames.join(';'),
+      meta.bookmarkedAt,
+      note?.content
+    ])
+  ].map(row => row.map(csvCell).join(',')).join('\r\n'),
+
+  markdown: (rows) => [
+    "# Awesome Bookmarks",
+    "",
+    ...groupByCollection(rows).flatMap(([name, group]) => [
+      `## ${name || "Unfiled"}`,
+      "",
+      ...group.map(({ repo, meta }) => [
+        `- [${repo.full_name}](${repo.html_url})`,
+        repo.description && ` - ${repo.description.replace(/\s+/g, ' ')}`,
+        meta.tags.length > 0 && ` ${meta.tags.map(tag => `\`#${tag}\``).join(' ')}`
+      ].filter(Boolean).join('')),
+      ""
+    ])
+  ].join('\n'),
+
+  opml: (rows) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    `  <head><title>GitHub Explorer bookmarks</title><dateCreated>${new Date().toUTCString()}</dateCreated></head>`,
+    '  <body>',
+    ...groupByCollection(rows).flatMap(([name, group]) => [
+      `    <outline text="${xmlEscape(name || "Unfiled")}">`,
+      ...group.map(({ repo }) =>
+        `      <outline type="link" text="${xmlEscape(repo.full_name)}" url="${xmlEscape(repo.html_url)}" description="${xmlEscape(repo.description)}"/>`),
+      '    </outline>'
+    ]),
+    '  </body>',
+    '</opml>'
+  ].join('\n')
+};
+
+const downloadFile = (filename, content, mime) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight after click() can cancel the download before the browser has read the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Drops a `.git` suffix and sentence punctuation picked up from prose
+const toFullName = (owner, name) => {
+  const repo = name.replace(/\.+$/, '').replace(/\.git$/i, '');
+  return RESERVED_OWNERS.includes(owner.toLowerCase()) || !repo ? null : `${owner}/${repo}`;
+};
+
+const parseCSV = (text) => {
+  const rows = [[]];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      rows[rows.length - 1].push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows[rows.length - 1].push(cell);
+      rows.push([]);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  rows[rows.length - 1].push(cell);
+  return rows.filter(row => row.some(Boolean));
+};
+
+const splitCell = (value) => (value ? value.split(';').map(v => v.trim()).filter(Boolean) : []);
+
+const IMPORT_PARSERS = {
+  // Our own export, or a starred-repos dump (`gh api --paginate user/starred` prints arrays back to back)
+  json: (text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      try {
+        data = JSON.parse(text.replace(/\]\s*\[/g, ','));
+      } catch {
+        throw new Error("That JSON could not be parsed.");
+      }
+    }
+    if (Array.isArray(data)) {
+      return data.map(item => {
+        const repo = item.repo || item;
+        return {
+          fullName: repo.full_name,
+          bookmark: item.starred_at ? { bookmarkedAt: item.starred_at } : null,
+          note: null
+        };
+      }).filter(entry => entry.fullName);
+    }
+    return (data.bookmarks || []).map(({ note, bookmark, ...repo }) => ({
+      fullName: repo.full_name,
+      // GitLab, Gitea and GitHub Enterprise bookmarks are looked up where they came from
+      forge: FORGE_PROVIDERS[repo.forge?.provider] && /^https?:\/\//.test(repo.forge.apiBase)
+        ? { provider: repo.forge.provider, apiBase: repo.forge.apiBase }
+        : null,
+      bookmark: bookmark || null,
+      note: note?.content ? note : null
+    })).filter(entry => entry.fullName);
+  },
+
+  csv: (text) => {
+    const [header, ...rows] = parseCSV(text);
+    const column = Object.fromEntries(header.map((name, i) => [name.trim().toLowerCase(), i]));
+    return rows.map(row => ({
+      fullName: row[column.full_name]?.trim(),
+      bookmark: {
+        tags: splitCell(row[column.tags]),
+        collections: splitCell(row[column.collections]),
+        bookmarkedAt: row[column.bookmarked_at] || null
+      },
+      note: row[column.note] ? { content: row[column.note], updatedAt: null } : null
+    })).filter(entry => entry.fullName);
+  },
+
+  opml: (text) => {
+    const xml = new DOMParser().parseFromString(text, 'text/xml');
+    if (xml.querySelector('parsererror')) throw new Error("That OPML file could not be parsed.");
+    return Array.from(xml.querySelectorAll('outline')).flatMap(outline => {
+      const url = outline.getAttribute('url') || outline.getAttribute('htmlUrl') || '';
+      const match = [...url.matchAll(GITHUB_REPO_URL)][0];
+      const fullName = match && toFullName(match[1], match[2]);
+      if (!fullName) return [];
+      const parent = outline.parentElement?.tagName === 'outline' ? outline.parentElement.getAttribute('text') : null;
+      return [{
+        fullName,
+        bookmark: { collections: parent && parent !== "Unfiled" ? [parent] : [] },
+        note: null
+      }];
+    });
+  },
+
+  // Markdown lists and plain `owner/repo` lines; level-2+ headings become collections
+  list: (text) => {
+    let collectionName = null;
+    return text.split(/\r?\n/).flatMap(line => {
+      const heading = line.match(/^#{2,6}\s+(.*?)\s*#*$/);
+      if (heading) {
+        collectionName = heading[1] === "Unfiled" ? null : heading[1];
+        return [];
+      }
+      // Awesome-list entries lead with the repo link; later links are usually prose
+      const match = line.trim().match(OWNER_REPO_LINE) || [...line.matchAll(GITHUB_REPO_URL)][0];
+      const fullName = match && toFullName(match[1], match[2]);
+      if (!fullName) return [];
+      return [{
+        fullName,
+        bookmark: { collections: collectionName ? [collectionName] : [] },
+        note: null
+      }];
+    });
+  }
+};
+
+const detectImportFormat = (text) => {
+  if (/^[[{]/.test(text)) return 'json';
+  if (text.startsWith('<')) return 'opml';
+  if (/^"?full_name"?\s*,/i.test(text)) return 'csv';
+  return 'list';
+};
+
+const parseImport = (text) => {
+  const trimmed = text.trim();
+  // JSON and CSV names arrive as-is, so anything that isn't text is kept as text for resolving to reject
+  return IMPORT_PARSERS[detectImportFormat(trimmed)](trimmed)
+    .map(entry => ({ ...entry, fullName: String(entry.fullName).trim() }));
+};
+
+const lookupImportRepo = async (request, { fullName, forge }) => {
+  if (!forge) return request(`/repos/${encodePath(fullName)}`);
+  const raw = await request(`${forge.apiBase}${FORGE_PROVIDERS[forge.provider].repositoryPath(fullName)}`);
+  return toForgeRepo(forge.provider, forge.apiBase, raw);
+};
+
+// Looks every entry up on its forge (GitHub unless our own export says otherwise);
+// a rate limit stops the run and marks the rest unresolved
+const resolveImportEntries = async (request, entries, onProgress) => {
+  const seen = new Set();
+  const resolved = [];
+  let stopped = null;
+
+  for (let i = 0; i < entries.length; i += IMPORT_RESOLVE_CONCURRENCY) {
+    const chunk = entries.slice(i, i + IMPORT_RESOLVE_CONCURRENCY);
+    if (stopped) {
+      resolved.push(...chunk.map(entry => ({ ...entry, error: stopped })));
+      continue;
+    }
+
+    resolved.push(...await Promise.all(chunk.map(entry => {
+      // `../user` or `owner/repo/issues/1` would fetch some other endpoint with the token attached
+      if (!isRepoName(entry.fullName, entry.forge?.provider)) return { ...entry, error: "Not an owner/repo name" };
+      const key = `${entry.forge?.apiBase || ''} ${entry.fullName}`.toLowerCase();
+      if (seen.has(key)) return { ...entry, duplicate: true };
+      seen.add(key);
+      return lookupImportRepo(request, entry).then(
+        repo => ({ ...entry, repo }),
+        err => {
+          if (err.resetAt || err.status === 429) stopped = err.message;
+          return { ...entry, error: err.status === 404 ? "Repository not found" : err.message };
+        }
+      );
+    })));
+    onProgress(resolved.length, entries.length);
+  }
+  return resolved;
+};
+
+// Sorts resolved entries into creates, updates, duplicates and errors against the current bookmarks
+const planImport = (resolved, bookmarks, notes, collections) => {
+  const seen = new Set();
+  return resolved.map(entry => {
+    if (entry.error) return { ...entry, status: 'error', reason: entry.error };
+    if (entry.duplicate) return { ...entry, status: 'duplicate', reason: "Listed more than once" };
+
+    const id = String(entry.repo.id);
+    // Renamed repositories can appear under two names but share an id
+    if (seen.has(id)) return { ...entry, status: 'duplicate', reason: "Listed more than once" };
+    seen.add(id);
+
+    const current = bookmarks.get(id);
+    if (!current) return { ...entry, status: 'create', reason: "New bookmark" };
+
+    const meta = getBookmarkMeta(current);
+    const currentCollections = meta.collections.map(c => collections.get(c)?.name);
+    const newTags = (entry.bookmark?.tags || []).map(normalizeTag).filter(tag => tag && !meta.tags.includes(tag));
+    const newCollections = (entry.bookmark?.collections || []).filter(name => !currentCollections.includes(name));
+    const noteChanged = Boolean(entry.note?.content) && entry.note.content !== (notes.get(id)?.content || "");
+
+    const changes = [
+      newTags.length > 0 && `${newTags.length} new tag(s)`,
+      newCollections.length > 0 && `${newCollections.length} new collection(s)`,
+      noteChanged && "note"
+    ].filter(Boolean);
+    return changes.length
+      ? { ...entry, status: 'update', reason: `Adds ${changes.join(', ')}` }
+      : { ...entry, status: 'duplicate', reason: "Already bookmarked" };
+  });
+};
+
+// Turns the planned creates and updates into writes for `writeUserTree`
+const buildImportWrites = (items, { bookmarks, notes, collections, createCollectionId }) => {
+  const now = new Date().toISOString();
+  const writes = [];
+  const put = (segments, data) => writes.push({ segments, data });
+
+  const collectionIds = new Map(Array.from(collections.entries()).map(([id, c]) => [c.name, id]));
+  const collectionId = (name) => {
+    if (!collectionIds.has(name)) {
+      const id = createCollectionId();
+      collectionIds.set(name, id);
+      put(['collections', id], { name, createdAt: now });
+    }
+    return collectionIds.get(name);
+  };
+
+  items.filter(item => item.status === 'create' || item.status === 'update').forEach(({ repo, bookmark, note, status }) => {
+    const id = String(repo.id);
+    const imported = bookmark || {};
+    const incoming = {
+      ...repo,
+      bookmark: {
+        // JSON exports carry the full bookmark map (baseline, refresh history...)
+        ...imported,
+        tags: [...new Set((imported.tags || []).map(normalizeTag).filter(Boolean))],
+        collections: (imported.collections || []).map(collectionId),
+        bookmarkedAt: imported.bookmarkedAt || now,
+        baseline: imported.baseline || takeMetricsSnapshot(repo, now)
+      }
+    };
+    put(['bookmarks', id], status === 'update' ? mergeBookmark({ ...bookmarks.get(id), ...repo }, incoming) : incoming);
+
+    if (!note?.content) return;
+    const current = notes.get(id);
+    const importedNote = { content: note.content, updatedAt: note.updatedAt || now };
+    // An existing, different note is kept; the imported text only becomes a revision
+    if (!current) {
+      put(['notes', id], importedNote);
+    } else if (current.content !== note.content) {
+      put(['notes', id, 'revisions', `imported-${now}`], { ...importedNote, previousUpdatedAt: null });
+    }
+  });
+
+  return writes;
+};
+
+// --- GitHub Import ---
+
+const GITHUB_SOURCES = {
+  starred: {
+    label: "Stars of a user",
+    path: (login) => `/users/${login}/starred`,
+    // Adds `starred_at`, which becomes the bookmark date
+    accept: 'application/vnd.github.star+json'
+  },
+  org: { label: "Repositories of an organization", path: (login) => `/orgs/${login}/repos` },
+  user: { label: "Repositories of a user", path: (login) => `/users/${login}/repos` }
+};
+const GITHUB_SOURCE_MAX_PAGES = 10; // 1,000 repositories
+const GITHUB_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+const GITHUB_SYNC_CHECK_MS = 5 * 60 * 1000;
+
+const getGitHubSyncId = (kind, login) => `${kind}:${login.toLowerCase()}`;
+
+const fetchGitHubSource = async (requestPage, kind, login) => {
+  const { path, accept } = GITHUB_SOURCES[kind];
+  const items = [];
+  for (let page = 1; page <= GITHUB_SOURCE_MAX_PAGES; page++) {
+    const { data, hasNext } = await requestPage(`${path(login)}?per_page=100&page=${page}`, {
+      accept,
+      fallbackMessage: `Failed to load repositories for ${login}.`
+    });
+    items.push(...(data || []).map(item => (item.starred_at
+      ? { repo: item.repo, starredAt: item.starred_at }
+      : { repo: item, starredAt: null })));
+    if (!hasNext) break;
+  }
+  return items;
+};
+
+// Shapes picked repositories like planned import creates, so `buildImportWrites` can write them
+const toGitHubImportItems = (items, collectionName) => items.map(({ repo, starredAt }) => ({
+  status: 'create',
+  repo,
+  bookmark: { bookmarkedAt: starredAt, collections: collectionName ? [collectionName] : [] },
+  note: null
+}));
+
+// --- Dependency Scanner ---
+
+// Dependencies resolve to GitHub from, in order: the manifest itself (git URLs, Go module paths),
+// the optional `__registry_metadata` fixture ({ npm: { react: "facebook/react" }, ... }), and
+// finally the public registry APIs. A malformed fixture is ignored rather than stopping the app.
+const readRegistryFixture = () => {
+  if (typeof __registry_metadata === 'undefined' || !__registry_metadata) return {};
+  try {
+    const fixture = JSON.parse(__registry_metadata);
+    return fixture && typeof fixture === 'object' ? fixture : {};
+  } catch (err) {
+    console.warn("Ignoring malformed __registry_metadata", err);
+    return {};
+  }
+};
+const REGISTRY_FIXTURE = readRegistryFixture();
+
+// Accepts URLs, `git@github.com:owner/repo`, `github:owner/repo` and bare `owner/repo`
+const findGitHubRepo = (value) => {
+  const text = String(value || '').trim().replace(/^github:/i, 'github.com/').replace(/github\.com:/i, 'github.com/');
+  const match = [...text.matchAll(GITHUB_REPO_URL)][0] || text.match(/^([\w.-]+)\/([\w.-]+)$/);
+  return match ? toFullName(match[1], match[2]) : null;
+};
+
+const NPM_DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+const parsePackageJson = (text) => {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch {
+    throw new Error("This package.json is not valid JSON.");
+  }
+  return NPM_DEPENDENCY_FIELDS.flatMap(field => Object.entries(manifest[field] || {}).map(([name, spec]) => ({
+    name,
+    version: String(spec),
+    // Git and GitHub specs ("github:owner/repo", "owner/repo#tag", git URLs) name the repo directly
+    fullName: /^(github:|git|https?:|[\w.-]+\/[\w.-]+(#|$))/.test(spec) ? findGitHubRepo(String(spec).replace(/#.*$/, '')) : null
+  })));
+};
+
+const parseRequirements = (text) => text.split('\n')
+  .map(line => line.replace(/(^|\s)#.*$/, '').replace(/^-e\s+/, '').trim())
+  // Other options (-r, --index-url...) don't name a package
+  .filter(line => line && !line.startsWith('-'))
+  .map(line => {
+    const direct = line.match(/^(?:([\w.-]+)(?:\[[^\]]*\])?\s*@\s*)?((?:git\+)?[a-z]+:\/\/\S+)$/i);
+    if (direct) {
+      const egg = direct[2].match(/#egg=([\w.-]+)/);
+      return { name: direct[1] || egg?.[1] || direct[2], version: "", fullName: findGitHubRepo(direct[2]) };
+    }
+    const requirement = line.match(/^([\w.-]+)(?:\[[^\]]*\])?\s*([^;]*)/);
+    return requirement && { name: requirement[1], version: requirement[2].trim(), fullName: null };
+  })
+  .filter(Boolean);
+
+// Well-known vanity import paths; anything under github.com maps directly
+const GO_VANITY_PATHS = [
+  [/^golang\.org\/x\/([\w.-]+)/, 'golang/$1'],
+  [/^google\.golang\.org\/protobuf/, 'protocolbuffers/protobuf-go'],
+  [/^google\.golang\.org\/grpc/, 'grpc/grpc-go'],
+  [/^gopkg\.in\/([\w-]+)\/([\w-]+)\.v\d+/, '$1/$2'],
+  [/^gopkg\.in\/([\w-]+)\.v\d+/, 'go-$1/$1'],
+  [/^go\.uber\.org\/([\w.-]+)/, 'uber-go/$1'],
+  [/^k8s\.io\/([\w.-]+)/, 'kubernetes/$1'],
+  [/^sigs\.k8s\.io\/([\w.-]+)/, 'kubernetes-sigs/$1']
+];
+
+const resolveGoModule = (path) => {
+  if (path.startsWith('github.com/')) return findGitHubRepo(path);
+  const vanity = GO_VANITY_PATHS.find(([pattern]) => pattern.test(path));
+  return vanity ? path.match(vanity[0])[0].replace(vanity[0], vanity[1]) : null;
+};
+
+const parseGoMod = (text) => {
+  const dependencies = [];
+  let inBlock = false;
+  text.split('\n').forEach(raw => {
+    const line = raw.replace(/\/\/.*$/, '').trim();
+    if (/^require\s*\($/.test(line)) {
+      inBlock = true;
+      return;
+    }
+    if (inBlock && line === ')') {
+      inBlock = false;
+      return;
+    }
+    const entry = inBlock ? line : line.match(/^require\s+(.*)$/)?.[1];
+    const [path, version] = (entry || '').split(/\s+/);
+    if (path && version) dependencies.push({ name: path, version, fullName: resolveGoModule(path) });
+  });
+  return dependencies;
+};
+
+// [dependencies], [dev-dependencies], [build-dependencies], [workspace.dependencies],
+// [target.'cfg(...)'.dependencies] and the [dependencies.<crate>] table form
+const CARGO_DEPENDENCY_TABLE = /^\[(?:.*\.)?(?:dev-|build-)?dependencies(?:\.([\w-]+))?\]$/;
+
+const parseCargoToml = (text) => {
+  const dependencies = new Map();
+  let table = null; // null outside dependency tables, the crate name inside [dependencies.<crate>]
+
+  text.split('\n').forEach(raw => {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (line.startsWith('[')) {
+      const header = line.match(CARGO_DEPENDENCY_TABLE);
+      table = header ? header[1] || '' : null;
+      if (header?.[1]) dependencies.set(header[1], { name: header[1], version: "", fullName: null });
+      return;
+    }
+
+    const [, key, value] = line.match(/^([\w-]+)\s*=\s*(.+)$/) || [];
+    if (table === null || !key) return;
+    const unquoted = value.replace(/^["']|["']$/g, '');
+
+    if (table) {
+      const dependency = dependencies.get(table);
+      if (key === 'version') dependency.version = unquoted;
+      if (key === 'package') dependency.name = unquoted;
+      if (key === 'git') dependency.fullName = findGitHubRepo(unquoted);
+      return;
+    }
+
+    // Inline tables: serde = { version = "1", features = [...] }, or a renamed/git crate
+    const field = (name) => value.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`))?.[1];
+    dependencies.set(key, {
+      name: field('package') || key,
+      version: value.startsWith('{') ? field('version') || "" : unquoted,
+      fullName: field('git') ? findGitHubRepo(field('git')) : null
+    });
+  });
+
+  return [...dependencies.values()];
+};
+
+// Keys double as the ecosystem ids used by REGISTRY_FIXTURE and REGISTRY_LOOKUPS
+const MANIFEST_TYPES = {
+  npm: { label: "package.json", file: /package\.json$/i, parse: parsePackageJson },
+  pypi: { label: "requirements.txt", file: /requirements[\w.-]*\.(txt|in)$/i, parse: parseRequirements },
+  go: { label: "go.mod", file: /go\.mod$/i, parse: parseGoMod },
+  crates: { label: "Cargo.toml", file: /Cargo\.toml$/i, parse: parseCargoToml }
+};
+
+const detectManifestType = (text, fileName = "") => {
+  const byName = Object.keys(MANIFEST_TYPES).find(id => MANIFEST_TYPES[id].file.test(fileName));
+  if (byName) return byName;
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) return 'npm';
+  if (/^module\s+\S+/m.test(trimmed)) return 'go';
+  if (/^\[(package|workspace|(.*\.)?(dev-|build-)?dependencies)/m.test(trimmed)) return 'crates';
+  return 'pypi';
+};
+
+const parseManifest = (text, fileName) => {
+  const ecosystem = detectManifestType(text, fileName);
+  const seen = new Set();
+  const dependencies = MANIFEST_TYPES[ecosystem].parse(text).filter(({ name }) => {
+    if (seen.has(name)) return false;
+    seen.add(name);
+    return true;
+  });
+  if (!dependencies.length) throw new Error(`No dependencies found in this ${MANIFEST_TYPES[ecosystem].label}.`);
+  return { ecosystem, dependencies };
+};
+
+const REGISTRY_LOOKUPS = {
+  npm: {
+    label: "npm",
+    // The "latest" document is a fraction of the size of the full packument
+    url: (name) => `https://registry.npmjs.org/${name}/latest`,
+    candidates: (data) => [data.repository?.url || data.repository, data.homepage, data.bugs?.url]
+  },
+  pypi: {
+    label: "PyPI",
+    url: (name) => `https://pypi.org/pypi/${encodeURIComponent(name)}/json`,
+    candidates: (data) => [...Object.values(data.info?.project_urls || {}), data.info?.home_page]
+  },
+  crates: {
+    label: "crates.io",
+    url: (name) => `https://crates.io/api/v1/crates/${encodeURIComponent(name)}`,
+    candidates: (data) => [data.crate?.repository, data.crate?.homepage]
+  }
+};
+
+const lookupRegistryRepository = async (ecosystem, name) => {
+  const fixture = REGISTRY_FIXTURE[ecosystem]?.[name];
+  if (fixture) return findGitHubRepo(fixture);
+
+  const lookup = REGISTRY_LOOKUPS[ecosystem];
+  if (!lookup) return null;
+  const response = await fetch(lookup.url(name));
+  if (response.status === 404) throw new Error(`Not found on ${lookup.label}`);
+  if (!response.ok) throw new Error(`${lookup.label} lookup failed (${response.status})`);
+  return lookup.candidates(await response.json()).map(findGitHubRepo).find(Boolean) || null;
+};
+
+// Several packages can live in one repository (monorepos), so results are grouped per repo:
+// { repos: [{ repo, packages: [{ name, version }] }], unresolved: [{ name, version, reason }] }
+const resolveDependencies = async (request, { ecosystem, dependencies }, onProgress) => {
+  const located = [];
+  for (let i = 0; i < dependencies.length; i += IMPORT_RESOLVE_CONCURRENCY) {
+    const chunk = dependencies.slice(i, i + IMPORT_RESOLVE_CONCURRENCY);
+    located.push(...await Promise.all(chunk.map(async (dependency) => {
+      if (dependency.fullName) return dependency;
+      try {
+        const fullName = await lookupRegistryRepository(ecosystem, dependency.name);
+        return { ...dependency, fullName, error: fullName ? null : "No GitHub repository listed" };
+      } catch (err) {
+        return { ...dependency, error: err.message };
+      }
+    })));
+    onProgress({ stage: 'registry', done: located.length, total: dependencies.length });
+  }
+
+  const groups = new Map();
+  located.filter(dependency => dependency.fullName).forEach(({ name, version, fullName }) => {
+    const key = fullName.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { fullName, packages: [] });
+    groups.get(key).packages.push({ name, version });
+  });
+
+  const fetched = await resolveImportEntries(request, [...groups.values()], (done, total) =>
+    onProgress({ stage: 'github', done, total }));
+
+  // Renamed repositories can be reached under two names; they share an id
+  const repos = new Map();
+  fetched.filter(entry => entry.repo).forEach(({ repo, packages }) => {
+    const existing = repos.get(repo.id);
+    repos.set(repo.id, { repo, packages: existing ? [...existing.packages, ...packages] : packages });
+  });
+
+  return {
+    ecosystem,
+    repos: [...repos.values()],
+    unresolved: [
+      ...located.filter(dependency => !dependency.fullName).map(({ name, version, error }) => ({ name, version, reason: error })),
+      ...fetched.filter(entry => entry.error).flatMap(({ packages, fullName, error }) =>
+        packages.map(({ name, version }) => ({ name, version, reason: `${fullName}: ${error}` })))
+    ],
+    scannedAt: new Date().toISOString()
+  };
+};
+
+// --- Workspaces ---
+
+// A workspace holds shared bookmarks, collections and GitHub syncs in place of the user's own
+// tree. Notes and settings are never shared. firestore.rules enforces the same roles.
+const WORKSPACE_ROLES = {
+  owner: { label: "Owner", canEdit: true, canManage: true },
+  editor: { label: "Editor", canEdit: true, canManage: false },
+  viewer: { label: "Viewer", canEdit: false, canManage: false }
+};
+const INVITE_ROLES = ['editor', 'viewer'];
+const PRIVATE_COLLECTIONS = ['notes', 'settings', 'savedSearches'];
+const COMMENT_MAX_LENGTH = 2000;
+const VIEW_ONLY_MESSAGE = "You have view-only access to this workspace.";
+
+const getDataPath = (uid, workspaceId) => (workspaceId
+  ? `artifacts/${appId}/workspaces/${workspaceId}`
+  : `artifacts/${appId}/users/${uid}`);
+
+const getWorkspaceRef = (workspaceId, ...segments) =>
+  doc(db, 'artifacts', appId, 'workspaces', workspaceId, ...segments);
+
+const getWorkspaceRole = (workspace, uid) => workspace?.members?.[uid]?.role || null;
+
+// Workspace collections and the subcollection each of their documents may carry
+const WORKSPACE_TREE = {
+  bookmarks: 'metrics',
+  collections: null,
+  githubSyncs: null,
+  comments: null,
+  invites: null
+};
+
+// Firestore keeps subcollections when their parent is deleted, and once the workspace doc is
+// gone the rules let nobody reach them, so everything under it goes first
+const deleteWorkspaceTree = async (workspaceId) => {
+  const refs = [];
+  await Promise.all(Object.entries(WORKSPACE_TREE).map(async ([name, childName]) => {
+    const snapshot = await getDocs(collection(getWorkspaceRef(workspaceId), name));
+    await Promise.all(snapshot.docs.map(async (entry) => {
+      if (childName) refs.push(...(await getDocs(collection(entry.ref, childName))).docs.map(child => child.ref));
+      refs.push(entry.ref);
+    }));
+  }));
+  for (let i = 0; i < refs.length; i += MERGE_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + MERGE_BATCH_SIZE).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+  await deleteDoc(getWorkspaceRef(workspaceId));
+};
+
+const getMemberName = (user) => user.displayName || user.email || "Guest";
+
+// Invite codes are document ids, so the rules can check a join against them with exists()
+const createInviteCode = () => Array.from(
+  crypto.getRandomValues(new Uint8Array(12)),
+  byte => byte.toString(16).padStart(2, '0')
+).join('');
+
+const buildInviteLink = (workspaceId, code) => {
+  const url = new URL(window.location.href);
+  url.search = `?join=${workspaceId}.${code}`;
+  url.hash = '';
+  return url.toString();
+};
+
+const parseInvite = (value) => {
+  const [workspaceId, code] = (value || '').split('.');
+  return workspaceId && code ? { workspaceId, code } : null;
+};
+
+// --- Theming ---
+
+const THEME_MODES = {
+  light: { label: "Light", icon: Sun },
+  dark: { label: "Dark", icon: Moon },
+  system: { label: "System", icon: Monitor }
+};
+const THEME_DEFAULTS = { mode: 'system', highContrast: false };
+
+const readThemeSettings = (data) => ({
+  mode: THEME_MODES[data?.mode] ? data.mode : THEME_DEFAULTS.mode,
+  highContrast: Boolean(data?.highContrast)
+});
+
+// The markup only uses light Tailwind utilities, so the other themes re-color those utilities
+// (under a data attribute on <html>) rather than adding a variant class to every element.
+// Keys are utility class names, optionally with a hover: variant.
+const THEME_OVERRIDES = [
+  {
+    scope: ':root[data-theme="dark"]',
+    rules: {
+      'background-color': {
+        'bg-white': '#0f172a',
+        'bg-slate-50': '#020617',
+        'bg-slate-100': '#1e293b',
+        'bg-slate-200': '#334155',
+        'bg-blue-50': 'rgb(59 130 246 / 0.15)',
+        'bg-amber-50': 'rgb(245 158 11 / 0.12)',
+        'bg-amber-100': 'rgb(245 158 11 / 0.2)',
+        'bg-emerald-50': 'rgb(16 185 129 / 0.12)',
+        'bg-emerald-100': 'rgb(16 185 129 / 0.2)',
+        'bg-red-50': 'rgb(239 68 68 / 0.12)',
+        'bg-red-100': 'rgb(239 68 68 / 0.2)',
+        'bg-violet-50': 'rgb(139 92 246 / 0.15)',
+        'bg-indigo-50': 'rgb(99 102 241 / 0.15)',
+        'bg-orange-100': 'rgb(249 115 22 / 0.2)',
+        'hover:bg-slate-50': '#1e293b',
+        'hover:bg-slate-100': '#334155',
+        'hover:bg-blue-50': 'rgb(59 130 246 / 0.2)',
+        'hover:bg-blue-100': 'rgb(59 130 246 / 0.25)',
+        'hover:bg-red-50': 'rgb(239 68 68 / 0.2)',
+        'hover:bg-red-100': 'rgb(239 68 68 / 0.25)',
+        'hover:bg-amber-100': 'rgb(245 158 11 / 0.25)'
+      },
+      color: {
+        'text-slate-900': '#f1f5f9',
+        'text-slate-800': '#e2e8f0',
+        'text-slate-700': '#cbd5e1',
+        'text-slate-600': '#cbd5e1',
+        'text-slate-500': '#94a3b8',
+        'text-blue-600': '#60a5fa',
+        'text-blue-700': '#93c5fd',
+        'text-red-600': '#f87171',
+        'text-red-700': '#fca5a5',
+        'text-red-800': '#fca5a5',
+        'text-amber-700': '#fcd34d',
+        'text-amber-800': '#fde68a',
+        'text-amber-900': '#fde68a',
+        'text-emerald-700': '#6ee7b7',
+        'text-violet-700': '#c4b5fd',
+        'text-indigo-700': '#a5b4fc',
+        'text-orange-700': '#fdba74',
+        'hover:text-slate-600': '#e2e8f0',
+        'hover:text-slate-700': '#f1f5f9',
+        'hover:text-slate-800': '#f8fafc',
+        'hover:text-blue-600': '#93c5fd'
+      },
+      'border-color': {
+        'border-slate-100': '#1e293b',
+        'border-slate-200': '#334155',
+        'border-slate-300': '#475569',
+        'border-blue-200': 'rgb(59 130 246 / 0.4)',
+        'border-blue-300': 'rgb(59 130 246 / 0.5)',
+        'border-amber-100': 'rgb(245 158 11 / 0.25)',
+        'border-amber-200': 'rgb(245 158 11 / 0.35)',
+        'border-red-200': 'rgb(239 68 68 / 0.4)',
+        'border-emerald-300': 'rgb(16 185 129 / 0.5)',
+        'divide-slate-100': '#1e293b',
+        'hover:border-slate-300': '#475569',
+        'hover:border-blue-200': 'rgb(59 130 246 / 0.5)',
+        'hover:border-blue-300': 'rgb(59 130 246 / 0.6)'
+      }
+    }
+  },
+  {
+    scope: ':root[data-theme="light"][data-contrast="high"]',
+    rules: {
+      color: {
+        'text-slate-700': '#0f172a',
+        'text-slate-600': '#0f172a',
+        'text-slate-500': '#1e293b',
+        'text-slate-400': '#334155',
+        'text-slate-300': '#475569'
+      },
+      'border-color': {
+        'border-slate-100': '#64748b',
+        'border-slate-200': '#475569',
+        'border-slate-300': '#334155',
+        'divide-slate-100': '#64748b'
+      }
+    }
+  },
+  {
+    scope: ':root[data-theme="dark"][data-contrast="high"]',
+    rules: {
+      'background-color': { 'bg-white': '#000000', 'bg-slate-50': '#000000' },
+      color: {
+        'text-slate-600': '#f1f5f9',
+        'text-slate-500': '#e2e8f0',
+        'text-slate-400': '#cbd5e1',
+        'text-slate-300': '#94a3b8'
+      },
+      'border-color': {
+        'border-slate-100': '#94a3b8',
+        'border-slate-200': '#cbd5e1',
+        'border-slate-300': '#e2e8f0',
+        'divide-slate-100': '#94a3b8'
+      }
+    }
+  }
+];
+
+const utilitySelector = (name) => {
+  const [variant, utility] = name.includes(':') ? name.split(':') : [null, name];
+  const className = `.${variant ? `${variant}\\:` : ''}${utility}`;
+  if (variant) return `${className}:${variant}`;
+  // divide-* colors the borders between children, not the element itself
+  return utility.startsWith('divide-') ? `${className} > * + *` : className;
+};
+
+const THEME_CSS = [
+  ':root[data-theme="dark"] { color-scheme: dark; }',
+  ...THEME_OVERRIDES.flatMap(({ scope, rules }) =>
+    Object.entries(rules).flatMap(([property, classes]) =>
+      Object.entries(classes).map(([name, value]) => `${scope} ${utilitySelector(name)} { ${property}: ${value}; }`))),
+  // The navigation bar is dark in every theme; its white dropdowns are not
+  ':root[data-contrast="high"] .bg-slate-900 :is(.text-slate-300, .text-slate-400):not(.bg-white *) { color: #e2e8f0; }',
+  ':root[data-contrast="high"] :focus-visible { outline: 3px solid currentColor; outline-offset: 2px; }'
+].join('\n');
+
+// GitHub linguist colors for common languages; anything else gets a neutral dot
+const LANGUAGE_COLORS = {
+  "Assembly": "#6E4C13",
+  "Astro": "#ff5a03",
+  "C": "#555555",
+  "C#": "#178600",
+  "C++": "#f34b7d",
+  "Clojure": "#db5855",
+  "CSS": "#563d7c",
+  "Dart": "#00B4AB",
+  "Dockerfile": "#384d54",
+  "Elixir": "#6e4a7e",
+  "Elm": "#60B5CC",
+  "Erlang": "#B83998",
+  "F#": "#b845fc",
+  "Go": "#00ADD8",
+  "Groovy": "#4298b8",
+  "Haskell": "#5e5086",
+  "HTML": "#e34c26",
+  "Java": "#b07219",
+  "JavaScript": "#f1e05a",
+  "Julia": "#a270ba",
+  "Jupyter Notebook": "#DA5B0B",
+  "Kotlin": "#A97BFF",
+  "Lua": "#000080",
+  "Makefile": "#427819",
+  "MDX": "#fcb32c",
+  "Nix": "#7e7eff",
+  "Objective-C": "#438eff",
+  "OCaml": "#ef7a08",
+  "Perl": "#0298c3",
+  "PHP": "#4F5D95",
+  "PowerShell": "#012456",
+  "Python": "#3572A5",
+  "R": "#198CE7",
+  "Ruby": "#701516",
+  "Rust": "#dea584",
+  "Scala": "#c22d40",
+  "SCSS": "#c6538c",
+  "Shell": "#89e051",
+  "Solidity": "#AA6746",
+  "Svelte": "#ff3e00",
+  "Swift": "#F05138",
+  "TypeScript": "#3178c6",
+  "Vim Script": "#199f4b",
+  "Vue": "#41b883",
+  "Zig": "#ec915c"
+};
+const LANGUAGE_FALLBACK_COLOR = "#94a3b8";
+
+// Search filters use lowercase names, GitHub's repo data the display names
+const getLanguageColor = (language, fallback = LANGUAGE_FALLBACK_COLOR) => {
+  const key = language && Object.keys(LANGUAGE_COLORS).find(name => name.toLowerCase() === language.toLowerCase());
+  return key ? LANGUAGE_COLORS[key] : fallback;
+};
+
+// --- Result Layouts ---
+
+const RESULT_LAYOUTS = {
+  grid: { label: "Cards", icon: LayoutGrid },
+  list: { label: "List", icon: List },
+  table: { label: "Table", icon: Table }
+};
+const LAYOUT_VIEWS = ['discover', 'bookmarks', 'dependencies'];
+
+// Same shape as COMPARE_ROWS; `health` is only passed in for the health column
+const TABLE_COLUMNS = {
+  stars: { label: "Stars", value: (r) => r.stargazers_count, format: formatCompact, width: '6rem' },
+  forks: { label: "Forks", value: (r) => r.forks_count, format: formatCompact, width: '6rem' },
+  issues: { label: "Issues", value: (r) => r.open_issues_count, format: formatCompact, width: '6rem' },
+  language: { label: "Language", value: (r) => r.language || null, width: '8rem' },
+  license: { label: "License", value: (r) => r.license?.spdx_id || r.license?.name || null, width: '7rem' },
+  pushed: {
+    label: "Pushed",
+    value: (r) => (r.pushed_at ? new Date(r.pushed_at).getTime() : null),
+    format: formatAge,
+    width: '7rem'
+  },
+  health: { label: "Health", value: (r, health) => health?.score ?? null, width: '6rem' }
+};
+
+// Bookmarks are mostly scanned rather than browsed, so they start out as a table
+const DISPLAY_DEFAULTS = {
+  layouts: { discover: 'grid', bookmarks: 'table', dependencies: 'grid' },
+  columns: ['stars', 'forks', 'language', 'pushed']
+};
+
+const readDisplaySettings = (data) => ({
+  layouts: {
+    ...DISPLAY_DEFAULTS.layouts,
+    ...Object.fromEntries(Object.entries(data?.layouts || {}).filter(([view, layout]) =>
+      LAYOUT_VIEWS.includes(view) && RESULT_LAYOUTS[layout]))
+  },
+  columns: Array.isArray(data?.columns)
+    ? data.columns.filter(id => TABLE_COLUMNS[id])
+    : DISPLAY_DEFAULTS.columns
+});
+
+// Missing values sort last in either direction
+const sortTableRows = (repos, { column, direction }, getHealth) => {
+  if (!column) return repos;
+  const valueOf = column === 'name'
+    ? (r) => r.full_name.toLowerCase()
+    : (r) => TABLE_COLUMNS[column].value(r, column === 'health' ? getHealth(r) : null);
+  const sign = direction === 'asc' ? 1 : -1;
+  return repos
+    .map(repo => ({ repo, value: valueOf(repo) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+      if (typeof a.value === 'string') return sign * a.value.localeCompare(b.value);
+      return sign * (a.value - b.value);
+    })
+    .map(({ repo }) => repo);
+};
+
+// Matches the md/lg breakpoints of the card grid
+const getGridColumns = (width) => (width >= 1024 ? 3 : width >= 768 ? 2 : 1);
+
+const chunkRows = (items, size) =>
+  Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+// --- Forge Providers ---
+
+// Discover can search GitHub (or a GitHub Enterprise server), GitLab or Gitea. Every adapter
+// normalizes repositories into GitHub's REST shape, which is what cards, the modal and bookmarks
+// read. Repositories from anywhere but github.com also carry `forge: { provider, apiBase }` and an
+// id prefixed with the provider and host, so bookmarks and notes from different forges never collide.
+const FORGE_DEFAULTS = {
+  github: { apiBase: "", token: "" }, // Empty means github.com; set for GitHub Enterprise
+  gitlab: { apiBase: "", token: "" },
+  gitea: { apiBase: "", token: "" }
+};
+
+const FORGE_README = /^readme(\.(md|markdown|txt|rst))?$/i;
+
+// Relative avatar paths (self-hosted GitLab) resolve against the instance
+const absoluteUrl = (url, base) => (url ? new URL(url, base).href : null);
+
+const FORGE_PROVIDERS = {
+  github: {
+    label: "GitHub",
+    defaultApiBase: 'https://api.github.com',
+    apiBasePlaceholder: 'https://github.example.com/api/v3',
+    sorts: ['stars', 'forks', 'updated'],
+    qualifiers: true,
+    languageFilter: true,
+    webPaths: { blob: 'blob', raw: 'raw' },
+    authorize: (token) => ({ Authorization: `Bearer ${token}` }),
+    searchPath: (filters, page, perPage) => {
+      const q = buildSearchQuery(filters);
+      return q && `/search/repositories?q=${encodeURIComponent(q)}&sort=${filters.sort}&order=${filters.order}&per_page=${perPage}&page=${page}`;
+    },
+    readSearch: ({ data }) => ({ items: data.items || [], totalCount: data.total_count || 0 }),
+    repositoryPath: (fullName) => `/repos/${encodePath(fullName)}`,
+    normalize: (repo) => repo
+  },
+  gitlab: {
+    label: "GitLab",
+    defaultApiBase: 'https://gitlab.com/api/v4',
+    apiBasePlaceholder: 'https://gitlab.example.com/api/v4',
+    sorts: ['stars', 'updated'],
+    languageFilter: true,
+    // The languages endpoint reports percentages rather than byte counts
+    languagePercentages: true,
+    webPaths: { blob: '-/blob', raw: '-/raw' },
+    authorize: (token) => ({ 'PRIVATE-TOKEN': token }),
+    searchPath: (filters, page, perPage) => {
+      if (!filters.query.trim()) return null;
+      const params = new URLSearchParams({
+        search: filters.query.trim(),
+        order_by: filters.sort === 'updated' ? 'last_activity_at' : 'star_count',
+        sort: filters.order,
+        page,
+        per_page: perPage
+      });
+      if (filters.language) params.set('with_programming_language', filters.language);
+      return `/projects?${params}`;
+    },
+    readSearch: ({ data, total }) => ({ items: data, totalCount: total }),
+    repositoryPath: (fullName) => `/projects/${encodeURIComponent(fullName)}`,
+    normalize: (project) => ({
+      id: project.id,
+      name: project.path,
+      full_name: project.path_with_namespace,
+      description: project.description || null,
+      html_url: project.web_url,
+      owner: {
+        login: project.namespace?.full_path || project.path_with_namespace.split('/')[0],
+        avatar_url: absoluteUrl(project.avatar_url || project.namespace?.avatar_url, project.web_url)
+      },
+      stargazers_count: project.star_count || 0,
+      forks_count: project.forks_count || 0,
+      open_issues_count: project.open_issues_count || 0,
+      watchers_count: project.star_count || 0,
+      // Only the languages endpoint knows; the detail tab loads it
+      language: null,
+      license: project.license ? { name: project.license.name, spdx_id: project.license.nickname || null } : null,
+      topics: project.topics || project.tag_list || [],
+      default_branch: project.default_branch || null,
+      archived: Boolean(project.archived),
+      fork: Boolean(project.forked_from_project),
+      created_at: project.created_at,
+      updated_at: project.last_activity_at,
+      pushed_at: project.last_activity_at
+    }),
+    detailLoaders: {
+      readme: async (request, repository) => {
+        const projectPath = `${getGitLabProjectPath(repository)}/repository`;
+        const ref = encodeURIComponent(getBranch(repository));
+        const tree = await request(`${projectPath}/tree?ref=${ref}&per_page=100`);
+        const entry = tree.find(file => file.type === 'blob' && FORGE_README.test(file.name));
+        if (!entry) throw new GitHubAPIError("This repository has no README.", 404);
+        const file = await request(`${projectPath}/files/${encodeURIComponent(entry.path)}?ref=${ref}`);
+        return { path: entry.path, content: decodeBase64(file.content) };
+      },
+      languages: (request, repository) => request(`${getGitLabProjectPath(repository)}/languages`)
+    }
+  },
+  gitea: {
+    label: "Gitea",
+    defaultApiBase: 'https://gitea.com/api/v1',
+    apiBasePlaceholder: 'https://git.example.com/api/v1',
+    sorts: ['stars', 'forks', 'updated'],
+    webPaths: { blob: 'src/branch', raw: 'raw/branch' },
+    authorize: (token) => ({ Authorization: `token ${token}` }),
+    searchPath: (filters, page, perPage) => {
+      if (!filters.query.trim()) return null;
+      const params = new URLSearchParams({
+        q: filters.query.trim(),
+        sort: filters.sort,
+        order: filters.order,
+        page,
+        limit: perPage
+      });
+      return `/repos/search?${params}`;
+    },
+    readSearch: ({ data, total }) => ({ items: data.data || [], totalCount: total }),
+    repositoryPath: (fullName) => `/repos/${encodePath(fullName)}`,
+    normalize: (repo) => ({
+      id: repo.id,
+      name: repo.name,
+      full_name: repo.full_name,
+      description: repo.description || null,
+      html_url: repo.html_url,
+      homepage: repo.website || null,
+      owner: { login: repo.owner?.login, avatar_url: repo.owner?.avatar_url || null },
+      stargazers_count: repo.stars_count || 0,
+      forks_count: repo.forks_count || 0,
+      open_issues_count: repo.open_issues_count || 0,
+      watchers_count: repo.watchers_count || 0,
+      language: repo.language || null,
+      license: repo.licenses?.length ? { name: repo.licenses[0], spdx_id: repo.licenses[0] } : null,
+      topics: repo.topics || [],
+      default_branch: repo.default_branch || null,
+      archived: Boolean(repo.archived),
+      fork: Boolean(repo.fork),
+      is_template: Boolean(repo.template),
+      size: repo.size,
+      created_at: repo.created_at,
+      updated_at: repo.updated_at,
+      pushed_at: repo.updated_at
+    }),
+    detailLoaders: {
+      readme: async (request, repository) => {
+        const repoPath = `${getRepoPath(repository)}/contents`;
+        const ref = encodeURIComponent(getBranch(repository));
+        const root = await request(`${repoPath}?ref=${ref}`);
+        const entry = root.find(file => file.type === 'file' && FORGE_README.test(file.name));
+        if (!entry) throw new GitHubAPIError("This repository has no README.", 404);
+        const file = await request(`${repoPath}/${encodePath(entry.path)}?ref=${ref}`);
+        return { path: entry.path, content: decodeBase64(file.content) };
+      },
+      languages: (request, repository) => request(`${getRepoPath(repository)}/languages`)
+    }
+  }
+};
+const FORGE_IDS = Object.keys(FORGE_PROVIDERS);
+
+const readForgeSettings = (data) => Object.fromEntries(FORGE_IDS.map(id => [id, {
+  ...FORGE_DEFAULTS[id],
+  ...Object.fromEntries(Object.entries(data?.[id] || {}).filter(([key, value]) =>
+    key in FORGE_DEFAULTS[id] && typeof value === 'string'))
+}]));
+
+const getForgeApiBase = (provider, forges) =>
+  (forges[provider]?.apiBase.trim() || FORGE_PROVIDERS[provider].defaultApiBase).replace(/\/+$/, '');
+
+// github.com repositories keep GitHub's own shape and numeric id, so existing bookmarks still match
+const toForgeRepo = (provider, apiBase, raw) => {
+  const repo = FORGE_PROVIDERS[provider].normalize(raw);
+  if (provider === 'github' && apiBase === FORGE_PROVIDERS.github.defaultApiBase) return repo;
+  return { ...repo, id: `${provider}:${new URL(apiBase).host}:${repo.id}`, forge: { provider, apiBase } };
+};
+
+const getRepoForge = (repository) => repository.forge?.provider || 'github';
+
+// GitHub Enterprise speaks GitHub's API, so it gets every GitHub feature
+const isGitHubRepo = (repository) => getRepoForge(repository) === 'github';
+
+// REST path of a GitHub, GitHub Enterprise or Gitea repository; github.com paths stay relative to GITHUB_API
+const getRepoPath = (repository) => `${repository.forge?.apiBase || ''}/repos/${repository.full_name}`;
+
+const getGitLabProjectPath = (repository) =>
+  `${repository.forge.apiBase}/projects/${encodeURIComponent(repository.full_name)}`;
+
+// How URLs name a repository: github.com ones by owner/name alone. The ref leaves out the host,
+// so per-session caches key on the repository id instead, which is scoped to the forge and host.
+const getRepoRef = (repository) =>
+  (repository.forge ? `${repository.forge.provider}:${repository.full_name}` : repository.full_name);
+
+const parseRepoRef = (ref) => {
+  const [prefix, ...rest] = ref.split(':');
+  return FORGE_IDS.includes(prefix) && rest.length
+    ? { provider: prefix, fullName: rest.join(':') }
+    : { provider: null, fullName: ref };
+};
+
+// owner/name, or group/…/project on GitLab. Refs arrive in links, and anything else (`a/b/issues/1`,
+// `../users`) would request some other endpoint than a repository.
+const isRepoName = (fullName, provider = null) => {
+  const segments = fullName.split('/');
+  return (provider === 'gitlab' ? segments.length >= 2 : segments.length === 2)
+    && segments.every(segment => /^[\w.-]+$/.test(segment) && !/^\.+$/.test(segment));
+};
+
+const isRepoRef = (ref) => {
+  const { provider, fullName } = parseRepoRef(ref);
+  return isRepoName(fullName, provider);
+};
+
+// --- State Management ---
+const initialState = {
+  user: null,
+  repos: [],
+  pagination: {
+    page: 0,
+    totalCount: 0,
+    cachedAt: null        // Set when the results shown came from the offline cache
+  },
+  bookmarks: new Map(), // Map<String, Repo & { bookmark: { tags, collections, bookmarkedAt } }>
+  notes: new Map(),     // Map<String, { content, updatedAt }>
+  // Where bookmarks and notes came from: null before anything loaded, 'live' once the server
+  // answered, 'cache' for Firestore's own offline copy, or the cachedAt time of the device
+  // snapshot shown while the server hasn't answered
+  snapshotSources: { bookmarks: null, notes: null },
+  syncStates: new Map(), // Map<"bookmarks/{id}" | "notes/{id}", 'saving' | 'saved' | 'failed' | 'offline'>
+  collections: new Map(), // Map<String, { name, createdAt }>
+  githubSyncs: new Map(), // Map<"kind:login", { kind, login, collectionName, seenIds, lastSyncedAt }>
+  workspaces: new Map(), // Map<String, { name, members: { [uid]: { role, name, joinedAt } }, memberIds }>
+  activeWorkspace: null, // Workspace id whose bookmarks are shown, or null for the personal tree
+  settings: {
+    githubToken: "",
+    health: HEALTH_DEFAULTS,
+    display: DISPLAY_DEFAULTS,
+    theme: THEME_DEFAULTS,
+    forges: FORGE_DEFAULTS
+  },
+  healthSignals: new Map(), // Map<repo id, signals> collected this session
+  rateLimits: {},       // { [resource]: { limit, remaining, reset } }
+  filters: {
+    provider: 'github',   // One of FORGE_PROVIDERS
+    query: "react",
+    sort: "stars",
+    order: "desc",
+    language: "",
+    ...QUALIFIER_DEFAULTS,
+    view: "discover"
+  },
+  discoverFeed: {       // What Discover shows: keyword search or one of DISCOVER_FEEDS
+    type: 'search',
+    period: 'week',
+    similarTo: ""         // owner/name for the "similar" feed
+  },
+  compare: [],          // Repos selected for side-by-side comparison, in selection order
+  dependencyScan: null, // Last scanned manifest: { fileName, ecosystem, repos, unresolved, scannedAt }
+  savedSearches: new Map(), // Map<String, { name, filters, rolling, seenIds, newIds, lastRunAt, checkedAt, createdAt }>
+  savedSearchRun: null, // { id, previousIds: Set } for the saved search shown in Discover; drives "new" highlights
+  bookmarkFilters: {
+    text: "",
+    tags: [],
+    collection: "",
+    language: "",
+    sort: "bookmarkedAt"
+  },
+  ui: {
+    loading: false,
+    loadingMore: false,
+    error: null,
+    errorResetAt: null,
+    settingsOpen: false,
+    importExportOpen: false,
+    workspacePanelOpen: false,
+    paletteOpen: false,
+    shortcutsOpen: false,
+    healthLoading: false,
+    healthError: null,
+    refresh: {
+      running: false,
+      done: 0,
+      total: 0,
+      pausedUntil: null
+    },
+    selectedRepo: null,
+    modalOpen: false,
+    noteText: "",
+    noteBase: null,       // { content, updatedAt } the editor started from
+    noteConflict: null,   // newer remote version seen while editing
+    noteSavingAt: null,   // updatedAt of our save in flight, so its echo isn't taken for a remote edit
+    focusNote: false,     // move focus to the note editor once it is on screen
+    online: isBrowserOnline(),
+    account: { busy: false, error: null }
+  }
+};
+
+// Bookmarks, collections and GitHub syncs come from the active workspace, so they reset on a switch
+const switchWorkspace = (state, workspaceId) => {
+  if (workspaceId === state.activeWorkspace) return state;
+  return {
+    ...state,
+    activeWorkspace: workspaceId,
+    bookmarks: new Map(),
+    snapshotSources: { ...state.snapshotSources, bookmarks: null },
+    collections: new Map(),
+    githubSyncs: new Map(),
+    syncStates: new Map([...state.syncStates].filter(([key]) => !key.startsWith('bookmarks/'))),
+    bookmarkFilters: initialState.bookmarkFilters
+  };
+};
+
+function appReducer(state, action) {
+  switch (action.type) {
+    case 'SET_USER':
+      // The first sign-in keeps the workspace picked from the URL
+      if (!state.user || action.payload?.uid === state.user.uid) return { ...state, user: action.payload };
+      // A different account: drop everything that belonged to the previous one
+      return {
+        ...state,
+        user: action.payload,
+        bookmarks: new Map(),
+        notes: new Map(),
+        snapshotSources: initialState.snapshotSources,
+        collections: new Map(),
+        githubSyncs: new Map(),
+        syncStates: new Map(),
+        savedSearches: new Map(),
+        savedSearchRun: null,
+        workspaces: new Map(),
+        activeWorkspace: null,
+        settings: initialState.settings
+      };
+    
+    case 'SET_ACCOUNT_STATUS':
+      return {
+        ...state,
+        ui: { ...state.ui, account: { busy: action.busy, error: action.error || null } }
+      };
+    
+    case 'SET_REPOS':
+      return {
+        ...state,
+        repos: action.payload,
+        pagination: { page: 1, totalCount: action.totalCount, cachedAt: action.cachedAt || null }
+      };
+    
+    case 'APPEND_REPOS': {
+      const seen = new Set(state.repos.map(r => r.id));
+      const fresh = action.payload.filter(r => !seen.has(r.id));
+      return {
+        ...state,
+        repos: [...state.repos, ...fresh],
+        pagination: {
+          page: action.page,
+          totalCount: action.totalCount,
+          cachedAt: state.pagination.cachedAt || action.cachedAt || null
+        }
+      };
+    }
+    
+    case 'SET_BOOKMARKS':
+      return {
+        ...state,
+        bookmarks: action.payload,
+        snapshotSources: { ...state.snapshotSources, bookmarks: getDeliveredSource(state.snapshotSources.bookmarks, action.fromCache) }
+      };
+    
+    case 'SET_NOTES': {
+      const next = {
+        ...state,
+        notes: action.payload,
+        snapshotSources: { ...state.snapshotSources, notes: getDeliveredSource(state.snapshotSources.notes, action.fromCache) }
+      };
+      if (!state.ui.modalOpen || !state.ui.selectedRepo) return next;
+      const remote = action.payload.get(String(state.ui.selectedRepo.id)) || null;
+      return { ...next, ui: reconcileNote(state.ui, remote) };
+    }
+    
+    // A device snapshot never replaces data Firestore has already delivered. Firestore's offline
+    // copy also holds queued writes, so next to it the snapshot only lends the time it was cached.
+    case 'RESTORE_SNAPSHOT': {
+      const source = state.snapshotSources[action.scope];
+      if (source === 'live') return state;
+      return {
+        ...state,
+        ...(source !== 'cache' && { [action.scope]: action.payload }),
+        snapshotSources: { ...state.snapshotSources, [action.scope]: action.cachedAt }
+      };
+    }
+    
+    case 'SET_COLLECTIONS':
+      return { ...state, collections: action.payload };
+    
+    case 'SET_GITHUB_SYNCS':
+      return { ...state, githubSyncs: action.payload };
+    
+    // Leaving, removal or a stale link drops back to the personal tree
+    case 'SET_WORKSPACES': {
+      const next = { ...state, workspaces: action.payload };
+      return action.payload.has(state.activeWorkspace) ? next : switchWorkspace(next, null);
+    }
+    
+    case 'SET_ACTIVE_WORKSPACE':
+      return switchWorkspace(state, action.payload);
+    
+    case 'UPDATE_BOOKMARK_FILTERS':
+      return {
+        ...state,
+        bookmarkFilters: { ...state.bookmarkFilters, ...action.payload }
+      };
+    
+    case 'SET_REFRESH_STATUS':
+      return {
+        ...state,
+        ui: { ...state.ui, refresh: { ...state.ui.refresh, ...action.payload } }
+      };
+    
+    case 'TOGGLE_COMPARE': {
+      const exists = state.compare.some(r => r.id === action.repo.id);
+      if (!exists && state.compare.length >= COMPARE_MAX) return state;
+      return {
+        ...state,
+        compare: exists
+          ? state.compare.filter(r => r.id !== action.repo.id)
+          : [...state.compare, action.repo]
+      };
+    }
+    
+    case 'SET_COMPARE':
+      return { ...state, compare: action.payload };
+    
+    case 'SET_DISCOVER_FEED':
+      return { ...state, discoverFeed: { ...state.discoverFeed, ...action.payload } };
+    
+    case 'SET_DEPENDENCY_SCAN':
+      return { ...state, dependencyScan: action.payload };
+    
+    case 'SET_SAVED_SEARCHES':
+      return { ...state, savedSearches: action.payload };
+    
+    case 'SET_SAVED_SEARCH_RUN':
+      return { ...state, savedSearchRun: action.payload };
+    
+    case 'SET_SETTINGS':
+      return { ...state, settings: { ...state.settings, ...action.payload } };
+    
+    case 'SET_HEALTH_SIGNALS': {
+      const healthSignals = new Map(state.healthSignals);
+      healthSignals.set(action.key, action.payload);
+      return { ...state, healthSignals };
+    }
+    
+    case 'SET_HEALTH_STATUS':
+      return {
+        ...state,
+        ui: { ...state.ui, healthLoading: action.loading, healthError: action.error || null }
+      };
+    
+    case 'SET_RATE_LIMIT':
+      return {
+        ...state,
+        rateLimits: { ...state.rateLimits, [action.payload.resource]: action.payload }
+      };
+    
+    case 'UPDATE_FILTERS':
+      return { 
+        ...state, 
+        filters: { ...state.filters, ...action.payload }
+      };
+    
+    case 'SET_LOADING':
+      return { 
+        ...state, 
+        ui: { ...state.ui, loading: action.payload }
+      };
+    
+    case 'SET_LOADING_MORE':
+      return {
+        ...state,
+        ui: { ...state.ui, loadingMore: action.payload }
+      };
+    
+    case 'SET_SYNC_STATE': {
+      const syncStates = new Map(state.syncStates);
+      syncStates.set(action.key, action.status === 'saving' && !state.ui.online ? 'offline' : action.status);
+      return { ...state, syncStates };
+    }
+    
+    // Pending-writes metadata from a listener decides whether tracked writes reached the server
+    case 'SYNC_SNAPSHOT': {
+      const { scope, pending, present, anyPending } = action;
+      const inFlight = state.ui.online ? 'saving' : 'offline';
+      const syncStates = new Map(state.syncStates);
+      pending.forEach(id => syncStates.set(`${scope}/${id}`, inFlight));
+      syncStates.forEach((status, key) => {
+        if (!key.startsWith(`${scope}/`) || status === 'failed') return;
+        const id = key.slice(scope.length + 1);
+        // Deleted documents are gone from the snapshot, so fall back to the query-level flag
+        const isPending = present.has(id) ? pending.has(id) : anyPending;
+        syncStates.set(key, isPending ? inFlight : 'saved');
+      });
+      // The server confirming Firestore's cached copy is a metadata-only event, yet makes it live
+      if (action.fromCache || state.snapshotSources[scope] === 'live') return { ...state, syncStates };
+      return { ...state, syncStates, snapshotSources: { ...state.snapshotSources, [scope]: 'live' } };
+    }
+    
+    case 'SET_ONLINE': {
+      const syncStates = new Map();
+      state.syncStates.forEach((status, key) => {
+        const inFlight = status === 'saving' || status === 'offline';
+        syncStates.set(key, inFlight ? (action.payload ? 'saving' : 'offline') : status);
+      });
+      return { ...state, syncStates, ui: { ...state.ui, online: action.payload } };
+    }
+
+    case 'SET_ERROR':
+      return { 
+        ...state, 
+        ui: { ...state.ui, error: action.payload, errorResetAt: action.resetAt || null }
+      };
+    
+    case 'TOGGLE_SETTINGS':
+      return {
+        ...state,
+        ui: { ...state.ui, settingsOpen: action.payload }
+      };
+    
+    case 'TOGGLE_IMPORT_EXPORT':
+      return {
+        ...state,
+        ui: { ...state.ui, importExportOpen: action.payload }
+      };
+    
+    case 'TOGGLE_WORKSPACE_PANEL':
+      return {
+        ...state,
+        ui: { ...state.ui, workspacePanelOpen: action.payload }
+      };
+    
+    case 'TOGGLE_PALETTE':
+      return {
+        ...state,
+        ui: { ...state.ui, paletteOpen: action.payload }
+      };
+    
+    case 'TOGGLE_SHORTCUTS':
+      return {
+        ...state,
+        ui: { ...state.ui, shortcutsOpen: action.payload }
+      };
+    
+    case 'FOCUS_NOTE':
+      return {
+        ...state,
+        ui: { ...state.ui, focusNote: action.payload }
+      };
+    
+    case 'OPEN_MODAL': {
+      const note = state.notes.get(String(action.repo.id)) || null;
+      return {
+        ...state,
+        ui: {
+          ...state.ui,
+          modalOpen: true,
+          selectedRepo: action.repo,
+          noteText: note?.content || "",
+          noteBase: note,
+          noteConflict: null,
+          noteSavingAt: null,
+          focusNote: Boolean(action.focusNote)
+        }
+      };
+    }
+    
+    case 'CLOSE_MODAL':
+      return {
+        ...state,
+        ui: {
+          ...state.ui,
+          modalOpen: false,
+          selectedRepo: null,
+          noteText: "",
+          noteBase: null,
+          noteConflict: null,
+          noteSavingAt: null,
+          focusNote: false
+        }
+      };
+    
+    case 'UPDATE_NOTE':
+      return {
+        ...state,
+        ui: { ...state.ui, noteText: action.payload }
+      };
+    
+    // Saves can finish after the modal closed or moved on to another repo
+    case 'NOTE_SAVING':
+      if (String(state.ui.selectedRepo?.id) !== action.repoId) return state;
+      return {
+        ...state,
+        ui: { ...state.ui, noteSavingAt: action.updatedAt }
+      };
+    
+    case 'NOTE_SAVED':
+      if (String(state.ui.selectedRepo?.id) !== action.repoId) return state;
+      return {
+        ...state,
+        ui: { ...state.ui, noteBase: action.payload, noteConflict: null, noteSavingAt: null }
+      };
+    
+    case 'SET_NOTE_CONFLICT':
+      if (String(state.ui.selectedRepo?.id) !== action.repoId) return state;
+      return {
+        ...state,
+        ui: { ...state.ui, noteConflict: action.payload, noteSavingAt: null }
+      };
+    
+    // The chosen text becomes the draft, rebased on the remote version so the next save goes through
+    case 'RESOLVE_NOTE_CONFLICT':
+      return {
+        ...state,
+        ui: {
+          ...state.ui,
+          noteText: action.payload,
+          noteBase: state.ui.noteConflict,
+          noteConflict: null
+        }
+      };
+    
+    default:
+      return state;
+  }
+}
+
+// --- URL State ---
+
+// Filters travel as the composed GitHub query (`q`), so links stay readable and
+// qualifiers round-trip through parseSearchQuery. Defaults are left out of the URL.
+const SORT_LABELS = { stars: "Most Stars", forks: "Most Forks", updated: "Recently Updated" };
+const SORT_OPTIONS = Object.keys(SORT_LABELS);
+const VIEW_OPTIONS = ['discover', 'bookmarks', 'dependencies', 'compare'];
+
+const buildLocationSearch = (filters, { selectedRepo, compare, workspaceId, feed }) => {
+  const defaults = initialState.filters;
+  const params = new URLSearchParams();
+  const q = buildSearchQuery(filters);
+
+  if (workspaceId) params.set('workspace', workspaceId);
+  if (filters.view !== defaults.view) params.set('view', filters.view);
+  if (feed.type !== initialState.discoverFeed.type) {
+    params.set('feed', feed.type);
+    if (feed.period !== initialState.discoverFeed.period) params.set('period', feed.period);
+    if (feed.type === 'similar' && feed.similarTo) params.set('similar', feed.similarTo);
+  }
+  if (filters.provider !== defaults.provider) params.set('provider', filters.provider);
+  if (q !== buildSearchQuery(defaults)) params.set('q', q);
+  if (filters.sort !== defaults.sort) params.set('sort', filters.sort);
+  if (filters.order !== defaults.order) params.set('order', filters.order);
+  if (compare.length > 0) params.set('compare', compare.map(getRepoRef).join(','));
+  if (selectedRepo) params.set('repo', getRepoRef(selectedRepo));
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+const readLocationState = () => {
+  const params = new URLSearchParams(window.location.search);
+  const filters = { ...initialState.filters };
+
+  if (FORGE_IDS.includes(params.get('provider'))) filters.provider = params.get('provider');
+  if (params.has('q')) Object.assign(filters, { query: "" }, parseSearchQuery(params.get('q')));
+  if (SORT_OPTIONS.includes(params.get('sort'))) filters.sort = params.get('sort');
+  if (params.get('order') === 'asc') filters.order = 'asc';
+  if (VIEW_OPTIONS.includes(params.get('view'))) filters.view = params.get('view');
+
+  const feed = { ...initialState.discoverFeed };
+  if (Object.keys(DISCOVER_FEEDS).includes(params.get('feed'))) feed.type = params.get('feed');
+  if (Object.keys(FEED_PERIODS).includes(params.get('period'))) feed.period = params.get('period');
+  if (isRepoName(params.get('similar') || '')) feed.similarTo = params.get('similar');
+
+  const compareNames = (params.get('compare') || '')
+    .split(',')
+    .filter(isRepoRef)
+    .slice(0, COMPARE_MAX);
+  const repoName = params.get('repo');
+
+  return {
+    filters,
+    feed,
+    repoName: repoName && isRepoRef(repoName) ? repoName : null,
+    compareNames,
+    workspaceId: params.get('workspace'),
+    invite: parseInvite(params.get('join'))
+  };
+};
+
+const initFromLocation = (state) => {
+  const { filters, feed, workspaceId } = readLocationState();
+  return { ...state, filters, discoverFeed: feed, activeWorkspace: workspaceId };
+};
+
+const sameFilters = (a, b) => Object.keys(a).every(key => a[key] === b[key]);
+
+// --- Saved Searches ---
+
+// A saved search keeps the Discover filters (everything but `view`) together with `seenIds`,
+// every repo id its runs have returned, and `newIds`, results the hourly check found that
+// haven't been seen yet. With `rolling`, date qualifiers keep their distance from today,
+// so "created in the last 90 days" stays the last 90 days.
+const SAVED_SEARCH_CHECK_MS = 60 * 60 * 1000;
+const SAVED_SEARCH_SAMPLE_SIZE = 100; // Results per check; one search request each
+const SAVED_SEARCH_SEEN_MAX = 1000; // As many results as GitHub returns for one query
+const DATE_FILTER_KEYS = ['pushedFrom', 'pushedTo', 'createdFrom', 'createdTo'];
+
+const shiftDate = (value, days) => new Date(Date.parse(value) + days * DAY_MS).toISOString().slice(0, 10);
+
+const getSavedSearchFilters = (saved) => {
+  const filters = { ...initialState.filters, ...saved.filters, view: 'discover' };
+  if (!saved.rolling) return filters;
+
+  const elapsedDays = Math.floor((Date.now() - new Date(saved.createdAt).getTime()) / DAY_MS);
+  DATE_FILTER_KEYS.forEach(key => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) filters[key] = shiftDate(filters[key], elapsedDays);
+  });
+  return filters;
+};
+
+// Two searches are the same if they send the same request to the same forge
+const findSavedSearchId = (savedSearches, filters) => {
+  const q = buildSearchQuery(filters);
+  if (!q) return null;
+  const match = Array.from(savedSearches.entries()).find(([, saved]) => {
+    const candidate = getSavedSearchFilters(saved);
+    return buildSearchQuery(candidate) === q
+      && candidate.provider === filters.provider
+      && candidate.sort === filters.sort
+      && candidate.order === filters.order;
+  });
+  return match ? match[0] : null;
+};
+
+// Newest ids are kept when the list outgrows the cap (also used for newIds)
+const mergeSeenIds = (seenIds, ids) => [...new Set([...seenIds, ...ids])].slice(-SAVED_SEARCH_SEEN_MAX);
+
+const countNewResults = (savedSearches) =>
+  Array.from(savedSearches.values()).reduce((sum, saved) => sum + (saved.newIds?.length || 0), 0);
+
+// --- Discovery Feeds ---
+
+// Keyword-free Discover feeds. A loader returns [{ repo, insight: { label, title } }] (or raw
+// candidates when the feed also has a `rank` step that needs live state), and the insight is
+// shown on each card.
+const FEED_PERIODS = {
+  day: { label: "Today", days: 1 },
+  week: { label: "This week", days: 7 },
+  month: { label: "This month", days: 30 }
+};
+const FEED_LIMIT = 30;
+const FEED_SAMPLE_SIZE = 50;
+const SIMILAR_TOPIC_LIMIT = 3; // One search request per topic
+
+// Search filters with no keywords; anything not given keeps its default
+const feedFilters = (updates) => ({ ...initialState.filters, query: "", sort: 'stars', order: 'desc', ...updates });
+
+// Stars per day since the bookmark snapshot whose age is closest to the period, or null without one
+const getRecordedStarRate = (repo, days) => {
+  const meta = getBookmarkMeta(repo);
+  // The stored star count is as of the last refresh, not now
+  const countedAt = Date.parse(meta.refreshedAt || meta.bookmarkedAt);
+  const spanOf = (snapshot) => (countedAt - Date.parse(snapshot.at)) / DAY_MS;
+  const snapshots = [meta.baseline, meta.previous].filter(snapshot => snapshot?.at && spanOf(snapshot) >= 1);
+  if (!snapshots.length) return null;
+  const closest = snapshots.reduce((best, snapshot) =>
+    (Math.abs(spanOf(snapshot) - days) < Math.abs(spanOf(best) - days) ? snapshot : best));
+  return (repo.stargazers_count - closest.stars) / spanOf(closest);
+};
+
+// Repos created in the period plus young repos pushed to in it, rated by stars per day of age
+const loadTrendingFeed = async ({ fetchRepositories }, { period, language }) => {
+  const { days } = FEED_PERIODS[period];
+  const [created, pushed] = await Promise.all([
+    fetchRepositories(feedFilters({ language, createdFrom: daysAgo(days) }), 1, FEED_SAMPLE_SIZE),
+    fetchRepositories(feedFilters({ language, pushedFrom: daysAgo(days), createdFrom: daysAgo(365) }), 1, FEED_SAMPLE_SIZE)
+  ]);
+  const candidates = new Map();
+  [...created.items, ...pushed.items].forEach(repo => candidates.set(repo.id, {
+    repo,
+    starsPerDay: repo.stargazers_count / Math.max(1, daysSince(repo.created_at)),
+    measured: false
+  }));
+  return [...candidates.values()];
+};
+
+// Bookmarks with recorded star counts replace the estimate with a measured rate
+const rankTrendingFeed = (candidates, bookmarks, { period, language }) => {
+  const { days, label } = FEED_PERIODS[period];
+  const ranked = new Map(candidates.map(candidate => [candidate.repo.id, candidate]));
+  bookmarks.forEach(repo => {
+    if (language && repo.language?.toLowerCase() !== language) return;
+    const rate = getRecordedStarRate(repo, days);
+    if (rate > 0) ranked.set(repo.id, { repo: ranked.get(repo.id)?.repo || repo, starsPerDay: rate, measured: true });
+  });
+
+  return [...ranked.values()]
+    .sort((a, b) => b.starsPerDay - a.starsPerDay)
+    .slice(0, FEED_LIMIT)
+    .map(({ repo, starsPerDay, measured }) => ({
+      repo,
+      insight: {
+        label: `${measured ? '' : '~'}+${formatCompact(Math.round(starsPerDay * days))} stars ${label.toLowerCase()}`,
+        title: measured
+          ? "Measured from the star counts recorded for this bookmark"
+          : "Estimated from the stars gained per day since creation"
+      }
+    }));
+};
+
+const loadNewFeed = async ({ fetchRepositories }, { period, language }) => {
+  const { items } = await fetchRepositories(
+    feedFilters({ language, createdFrom: daysAgo(FEED_PERIODS[period].days) }), 1, FEED_LIMIT
+  );
+  return items.map(repo => ({
+    repo,
+    insight: { label: `Created ${formatAge(repo.created_at)}`, title: new Date(repo.created_at).toLocaleString() }
+  }));
+};
+
+// Candidates come from the target's topics and owner; shared topics weigh most in the ranking
+// The target comes from the same GitHub server the searches go to, so their ids line up
+const loadSimilarFeed = async ({ fetchRepositoryByName, fetchRepositories }, { similarTo }) => {
+  if (!similarTo) return [];
+  const target = await fetchRepositoryByName('github', similarTo, { fallbackMessage: `Couldn't load ${similarTo}.` });
+  const topics = target.topics || [];
+
+  const searches = [
+    ...topics.slice(0, SIMILAR_TOPIC_LIMIT).map(topic => feedFilters({ topic })),
+    feedFilters({ owner: target.owner.login, ownerType: target.owner.type === 'Organization' ? 'org' : 'user' })
+  ];
+  // Without topics, the language is the strongest remaining signal
+  if (!topics.length && target.language) {
+    searches.push(feedFilters({ language: target.language, pushedFrom: daysAgo(365) }));
+  }
+  const results = await Promise.all(searches.map(filters => fetchRepositories(filters, 1, FEED_SAMPLE_SIZE)));
+
+  const candidates = new Map();
+  results.flatMap(({ items }) => items).forEach(repo => {
+    if (repo.id === target.id || candidates.has(repo.id)) return;
+    const shared = (repo.topics || []).filter(topic => topics.includes(topic));
+    const sameLanguage = Boolean(target.language) && repo.language === target.language;
+    const sameOwner = repo.owner.login === target.owner.login;
+    candidates.set(repo.id, {
+      repo,
+      shared,
+      sameLanguage,
+      sameOwner,
+      score: shared.length * 2 + (sameLanguage ? 1 : 0) + (sameOwner ? 1 : 0)
+    });
+  });
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score || b.repo.stargazers_count - a.repo.stargazers_count)
+    .slice(0, FEED_LIMIT)
+    .map(({ repo, shared, sameLanguage, sameOwner }) => ({
+      repo,
+      insight: {
+        label: [
+          shared.length > 0 && `${shared.length} shared topic${shared.length === 1 ? '' : 's'}`,
+          sameLanguage && repo.language,
+          sameOwner && "same owner"
+        ].filter(Boolean).join(' · ') || "Related",
+        title: shared.length ? `Shared topics: ${shared.join(', ')}` : undefined
+      }
+    }));
+};
+
+const DISCOVER_FEEDS = {
+  search: { label: "Search", icon: Search },
+  trending: { label: "Fastest growing", icon: TrendingUp, load: loadTrendingFeed, rank: rankTrendingFeed },
+  new: { label: "New", icon: Sparkles, load: loadNewFeed },
+  similar: { label: "Similar", icon: Network, load: loadSimilarFeed }
+};
+
+// --- Keyboard Navigation ---
+
+// Shown in the help overlay; the handlers live in the main component, the cards and the modal
+const SHORTCUTS = [
+  { keys: ["Ctrl/⌘", "K"], description: "Open the command palette" },
+  { keys: ["j"], description: "Focus the next repository" },
+  { keys: ["k"], description: "Focus the previous repository" },
+  { keys: ["o"], description: "Open the focused repository (Enter works too)" },
+  { keys: ["b"], description: "Bookmark or unbookmark the focused repository" },
+  { keys: ["n"], description: "Write a note for the focused or open repository" },
+  { keys: ["Esc"], description: "Close the open dialog" },
+  { keys: ["?"], description: "Show these shortcuts" }
+];
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const PALETTE_GROUP_LIMIT = 6;
+
+// Single-key shortcuts never fire while the user is typing
+const isTypingTarget = (element) =>
+  Boolean(element?.isContentEditable) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName);
+
+// Cards and rows are focused in DOM order, which is also the reading order of every layout
+const moveCardFocus = (step) => {
+  const cards = [...document.querySelectorAll('[data-repo-card]')];
+  if (!cards.length) return;
+  const current = cards.indexOf(document.activeElement?.closest('[data-repo-card]'));
+  const next = current === -1
+    ? (step > 0 ? 0 : cards.length - 1)
+    : Math.min(cards.length - 1, Math.max(0, current + step));
+  cards[next].focus();
+  cards[next].scrollIntoView({ block: 'nearest' });
+};
+
+// Card, list row and table row shortcuts. Only while the item itself has focus, so the buttons
+// inside it keep their native keys.
+const handleRepositoryKeys = (e, repository, { onDetailsOpen, onBookmarkToggle }) => {
+  if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.key === 'Enter' || e.key === 'o') {
+    e.preventDefault();
+    onDetailsOpen(repository);
+  } else if (e.key === 'b') {
+    e.preventDefault();
+    onBookmarkToggle(repository);
+  } else if (e.key === 'n') {
+    e.preventDefault();
+    onDetailsOpen(repository, { focusNote: true });
+  }
+};
+
+const matchesPaletteQuery = (query, ...fields) => {
+  const text = fields.filter(Boolean).join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+const PALETTE_VIEWS = [
+  { view: 'discover', label: "Go to Discover", icon: Search },
+  { view: 'bookmarks', label: "Go to Bookmarks", icon: Bookmark },
+  { view: 'dependencies', label: "Go to Dependencies", icon: Package },
+  { view: 'compare', label: "Open comparison", icon: GitCompare }
+];
+
+// Items are { id, group, label, hint, icon, run }; repository and saved search groups are capped
+// so a long list of bookmarks cannot push everything else out of view
+const getPaletteItems = (query, { repos, bookmarks, savedSearches, compareCount }, actions) => {
+  const trimmed = query.trim();
+  const commands = [
+    ...PALETTE_VIEWS
+      .filter(({ view }) => view !== 'compare' || compareCount > 0)
+      .map(({ view, label, icon }) => ({ id: `view:${view}`, group: "Navigate", label, icon, run: () => actions.onViewChange(view) })),
+    ...Object.entries(DISCOVER_FEEDS)
+      .filter(([type]) => type !== 'search')
+      .map(([type, { label, icon }]) => ({ id: `feed:${type}`, group: "Navigate", label: `Discover: ${label}`, icon, run: () => actions.onFeedChange(type) })),
+    { id: 'settings', group: "Navigate", label: "Open settings", icon: Settings, run: actions.onSettingsOpen },
+    { id: 'shortcuts', group: "Navigate", label: "Keyboard shortcuts", icon: Keyboard, run: actions.onShortcutsOpen }
+  ];
+  const saved = [...savedSearches.entries()].map(([id, search]) => ({
+    id: `saved:${id}`,
+    group: "Saved searches",
+    label: search.name,
+    hint: buildSearchQuery(getSavedSearchFilters(search)),
+    icon: Bell,
+    run: () => actions.onSavedSearchRun(id)
+  }));
+  const toRepoItem = (group, icon) => (repo) => ({
+    id: `${group}:${repo.id}`,
+    group,
+    label: repo.full_name,
+    hint: repo.description,
+    icon,
+    run: () => actions.onRepoOpen(repo)
+  });
+  const bookmarked = [...bookmarks.values()].map(toRepoItem("Bookmarks", Bookmark));
+  const results = repos.filter(repo => !bookmarks.has(String(repo.id))).map(toRepoItem("Results", Github));
+
+  const matching = (items) => items.filter(item => matchesPaletteQuery(trimmed, item.label, item.hint));
+  const matches = [
+    ...matching(commands),
+    ...[saved, bookmarked, results].flatMap(items => matching(items).slice(0, PALETTE_GROUP_LIMIT))
+  ];
+  if (!trimmed) return matches;
+  return [
+    ...matches,
+    { id: 'search', group: "Search", label: `Search GitHub for "${trimmed}"`, icon: Search, run: () => actions.onSearch(trimmed) }
+  ];
+};
+
+// --- GitHub API Client ---
+
+const GITHUB_API = 'https://api.github.com';
+const PER_PAGE = 12;
+// GitHub's search API only ever exposes the first 1000 matches of a query
+const SEARCH_RESULT_CAP = 1000;
+// Responses younger than this are served without touching the network at all;
+// older ones are revalidated with If-None-Match, and a 304 costs no quota.
+const CACHE_FRESH_MS = 60 * 1000;
+const responseCache = new Map(); // Map<String, { etag, data, fetchedAt }>
+
+// Keeps the map in fetch order and, like the offline store, drops the least recently fetched past its limit
+const cacheResponse = (key, entry) => {
+  responseCache.delete(key);
+  responseCache.set(key, entry);
+  while (responseCache.size > OFFLINE_RESPONSE_LIMIT) responseCache.delete(responseCache.keys().next().value);
+};
+
+const getMaxPage = (totalCount) =>
+  Math.ceil(Math.min(totalCount, SEARCH_RESULT_CAP) / PER_PAGE);
+
+class GitHubAPIError extends Error {
+  constructor(message, status, resetAt = null) {
+    super(message);
+    this.name = 'GitHubAPIError';
+    this.status = status;
+    this.resetAt = resetAt;
+  }
+}
+
+const readRateLimit = (headers) => {
+  const remaining = headers.get('x-ratelimit-remaining');
+  if (remaining === null) return null;
+
+  return {
+    resource: headers.get('x-ratelimit-resource') || 'core',
+    limit: Number(headers.get('x-ratelimit-limit')),
+    remaining: Number(remaining),
+    reset: Number(headers.get('x-ratelimit-reset')) * 1000
+  };
+};
+
+const toAPIError = (response, rateLimit, fallbackMessage, forge = "GitHub") => {
+  const { status } = response;
+  if (status === 429 || (status === 403 && rateLimit?.remaining === 0)) {
+    return new GitHubAPIError(`${forge} API rate limit exceeded.`, status, rateLimit?.reset || null);
+  }
+  if (status === 401) {
+    return new GitHubAPIError(`${forge} rejected the access token. Update it in Settings.`, status);
+  }
+  if (status === 403) {
+    return new GitHubAPIError(`${forge} denied access to this resource.`, status);
+  }
+  if (status === 404) {
+    return new GitHubAPIError(`Not found on ${forge}.`, status);
+  }
+  if (status === 422) {
+    return new GitHubAPIError(`${forge} could not parse this search. Check the qualifier values.`, status);
+  }
+  return new GitHubAPIError(fallbackMessage, status);
+};
+
+// Which forge a request goes to, so each token is only ever sent to its own forge
+const getUrlForge = (url, forges) => (url.startsWith(`${GITHUB_API}/`)
+  ? 'github'
+  : FORGE_IDS.find(id => url.startsWith(`${getForgeApiBase(id, forges)}/`)) || null);
+
+// The github.com token never leaves api.github.com; a GitHub Enterprise server has its own
+const getGitHubToken = (apiBase, { githubToken, forges }) =>
+  (apiBase === GITHUB_API ? githubToken : forges.github.token);
+
+// Request-hungry extras (health, trends, comparisons) only run by themselves on an authenticated quota
+const hasGitHubToken = (repo, settings) => Boolean(getGitHubToken(repo.forge?.apiBase || GITHUB_API, settings));
+
+// --- Custom Hooks ---
+
+const useGitHubAPI = ({ token, forges, dispatch }) => {
+  // Resolves to the cache entry shape: { etag, link, data, fetchedAt }, plus `offline: true`
+  // when the network was unreachable and the last copy kept on this device was used instead
+  const send = useCallback(async (path, {
+    fallbackMessage = "GitHub request failed.",
+    accept = 'application/vnd.github+json'
+  } = {}) => {
+    const url = path.startsWith('http') ? path : `${GITHUB_API}${path}`;
+    const provider = getUrlForge(url, forges);
+    const forgeToken = url.startsWith(`${GITHUB_API}/`) ? token : forges[provider]?.token;
+    // Authenticated responses can include private data, so never share them with anonymous ones
+    const cacheKey = `${forgeToken ? 'auth' : 'anon'} ${accept} ${url}`;
+    const cached = responseCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_FRESH_MS) return cached;
+
+    const headers = { Accept: accept };
+    if (forgeToken) Object.assign(headers, FORGE_PROVIDERS[provider].authorize(forgeToken));
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+
+    const fromDevice = async () => {
+      const stored = cached || await readOfflineEntry('responses', cacheKey);
+      if (!stored) throw new GitHubAPIError(OFFLINE_MESSAGE, 0);
+      return { ...stored, offline: true };
+    };
+    if (!isBrowserOnline()) return fromDevice();
+
+    let response;
+    try {
+      response = await fetch(url, { headers });
+    } catch {
+      // fetch only rejects when the request never got an answer
+      return fromDevice();
+    }
+    const rateLimit = readRateLimit(response.headers);
+    if (rateLimit) dispatch({ type: 'SET_RATE_LIMIT', payload: rateLimit });
+
+    if (response.status === 304 && cached) {
+      cached.fetchedAt = Date.now();
+      cacheResponse(cacheKey, cached);
+      writeOfflineEntry('responses', { key: cacheKey, ...cached });
+      return cached;
+    }
+    if (!response.ok) throw toAPIError(response, rateLimit, fallbackMessage, FORGE_PROVIDERS[provider]?.label);
+    // Statistics endpoints answer 202 while GitHub computes them in the background
+    if (response.status === 202) return { data: null, link: null };
+
+    const total = response.headers.get('x-total-count') ?? response.headers.get('x-total');
+    const entry = {
+      etag: response.headers.get('etag'),
+      link: response.headers.get('link'),
+      // GitLab and Gitea report list sizes in headers rather than the body
+      total: total === null ? null : Number(total),
+      data: await response.json(),
+      fetchedAt: Date.now()
+    };
+    cacheResponse(cacheKey, entry);
+    writeOfflineEntry('responses', { key: cacheKey, ...entry }).then(pruneOfflineResponses);
+    return entry;
+  }, [token, forges, dispatch]);
+
+  const request = useCallback(
+    async (path, options) => (await send(path, options)).data,
+    [send]
+  );
+
+  // For list endpoints: also reports how many pages the `Link` header says there are
+  const requestPage = useCallback(async (path, options) => {
+    const { data, link } = await send(path, options);
+    const last = link?.match(/[?&]page=(\d+)[^>]*>;\s*rel="last"/);
+    const hasNext = Boolean(link?.includes('rel="next"'));
+    return { data, hasNext, lastPage: last ? Number(last[1]) : null };
+  }, [send]);
+
+  const fetchRepositories = useCallback(async (filters, page = 1, perPage = PER_PAGE) => {
+    const provider = filters.provider || 'github';
+    const forge = FORGE_PROVIDERS[provider];
+    const searchPath = forge.searchPath(filters, page, perPage);
+    if (!searchPath) return { items: [], totalCount: 0, cachedAt: null };
+
+    const apiBase = getForgeApiBase(provider, forges);
+    const response = await send(`${apiBase}${searchPath}`, {
+      fallbackMessage: `Failed to fetch repositories from ${forge.label}.`
+    });
+    const { items, totalCount } = forge.readSearch(response);
+    return {
+      items: items.map(raw => toForgeRepo(provider, apiBase, raw)),
+      // Without a total (GitLab omits it for huge result sets), keep paging while there is a next page
+      totalCount: totalCount ?? (page - 1) * perPage + items.length + (response.link?.includes('rel="next"') ? 1 : 0),
+      cachedAt: response.offline ? response.fetchedAt : null
+    };
+  }, [send, forges]);
+
+  // Re-reads one repository from the forge it came from. GitHub follows renames and transfers.
+  const fetchRepository = useCallback(async (repository) => {
+    const provider = getRepoForge(repository);
+    const apiBase = repository.forge?.apiBase || GITHUB_API;
+    const raw = await request(`${apiBase}${FORGE_PROVIDERS[provider].repositoryPath(repository.full_name)}`);
+    return toForgeRepo(provider, apiBase, raw);
+  }, [request]);
+
+  // Looks a repository up by name on the server currently configured for that forge
+  const fetchRepositoryByName = useCallback(async (provider, fullName, options) => {
+    const apiBase = getForgeApiBase(provider, forges);
+    const raw = await request(`${apiBase}${FORGE_PROVIDERS[provider].repositoryPath(fullName)}`, options);
+    return toForgeRepo(provider, apiBase, raw);
+  }, [request, forges]);
+
+  return { request, requestPage, fetchRepositories, fetchRepository, fetchRepositoryByName };
+};
+
+// `active` is false while another view is showing, so the feed's searches wait until it is back
+const useDiscoveryFeed = ({ feed, active, language, bookmarks, fetchRepositoryByName, fetchRepositories }) => {
+  const { type, period, similarTo } = feed;
+  const key = [type, period, language, similarTo].join('|');
+  const [result, setResult] = useState({ key: null, items: [], error: null });
+
+  useEffect(() => {
+    const { load } = DISCOVER_FEEDS[type];
+    if (!load || !active) return;
+
+    let cancelled = false;
+    load({ fetchRepositoryByName, fetchRepositories }, { period, language, similarTo })
+      .then(items => !cancelled && setResult({ key, items, error: null }))
+      .catch(err => !cancelled && setResult({ key, items: [], error: err.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [key, active, type, period, language, similarTo, fetchRepositoryByName, fetchRepositories]);
+
+  // Results for other settings are never shown, not even while the new ones load
+  if (!DISCOVER_FEEDS[type].load) return { loading: false, items: [], error: null };
+  if (result.key !== key) return { loading: true, items: [], error: null };
+  const { rank } = DISCOVER_FEEDS[type];
+  return {
+    loading: false,
+    items: rank ? rank(result.items, bookmarks, { period, language }) : result.items,
+    error: result.error
+  };
+};
+
+// Moves focus into an open dialog, keeps Tab cycling inside it, closes it on Escape and hands
+// focus back to whatever had it before. Returns the dialog's onKeyDown handler.
+const useDialogFocus = (ref, isOpen, onClose) => {
+  useEffect(() => {
+    if (!isOpen) return;
+    const previous = document.activeElement;
+    if (ref.current && !ref.current.contains(document.activeElement)) ref.current.focus();
+    return () => {
+      if (previous?.isConnected) previous.focus();
+    };
+  }, [ref, isOpen]);
+
+  return useCallback((e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab' || !ref.current) return;
+
+    const focusable = [...ref.current.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => el.offsetParent !== null);
+    if (!focusable.length) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === ref.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }, [ref, onClose]);
+};
+
+const useViewportWidth = () => {
+  const [width, setWidth] = useState(window.innerWidth);
+  useEffect(() => {
+    const handleResize = () => setWidth(window.innerWidth);
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+  return width;
+};
+
+const WINDOW_OVERSCAN_PX = 800;
+
+// Renders only the rows near the viewport. The page itself scrolls, so the visible range comes
+// from the container's position in the window. Rows start at `estimate` px and are measured once
+// mounted; `resetKey` drops the measurements when rows change shape (e.g. grid columns).
+const useWindowedRows = ({ count, estimate, resetKey }) => {
+  const containerRef = useRef(null);
+  const observerRef = useRef(null);
+  const nodesRef = useRef(new Map()); // Map<rowIndex, element>
+  const [sizes, setSizes] = useState(() => new Map());
+  const [viewport, setViewport] = useState({ top: 0, bottom: window.innerHeight });
+
+  useEffect(() => {
+    setSizes(new Map());
+  }, [resetKey]);
+
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const rect = containerRef.current?.getBoundingClientRect();
+      if (rect) setViewport({ top: -rect.top, bottom: window.innerHeight - rect.top });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+    };
+  }, [count]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // Refs attach before effects run, so the observer is created on first use
+  const measureRow = (index) => (node) => {
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver(entries => setSizes(current => {
+        let next = null;
+        entries.forEach(({ target }) => {
+          const row = Number(target.dataset.rowIndex);
+          const height = target.getBoundingClientRect().height;
+          if (current.get(row) === height) return;
+          next = next || new Map(current);
+          next.set(row, height);
+        });
+        return next || current;
+      }));
+    }
+    const previous = nodesRef.current.get(index);
+    if (previous && previous !== node) {
+      observerRef.current.unobserve(previous);
+      nodesRef.current.delete(index);
+    }
+    if (node && previous !== node) {
+      observerRef.current.observe(node);
+      nodesRef.current.set(index, node);
+    }
+  };
+
+  let offset = 0;
+  let start = count;
+  let end = count;
+  let paddingTop = 0;
+  let renderedHeight = 0;
+  for (let i = 0; i < count; i++) {
+    const height = sizes.get(i) ?? estimate;
+    if (start === count && offset + height >= viewport.top - WINDOW_OVERSCAN_PX) {
+      start = i;
+      paddingTop = offset;
+    }
+    if (end === count && offset > viewport.bottom + WINDOW_OVERSCAN_PX) end = i;
+    if (i >= start && i < end) renderedHeight += height;
+    offset += height;
+  }
+
+  return {
+    containerRef,
+    measureRow,
+    start,
+    end,
+    paddingTop,
+    paddingBottom: offset - paddingTop - renderedHeight
+  };
+};
+
+// The GitHub history below costs about seven requests, so it is cached per repository and, without
+// a token, waits for `load` to be called
+const useRepositoryTrends = ({ repository, dataPath, isBookmarked, request, autoLoad }) => {
+  const [samples, setSamples] = useState([]);
+  const [requested, setRequested] = useState(false);
+
+  // Samples we recorded ourselves (bookmarked repos only)
+  useEffect(() => {
+    if (!dataPath || !isBookmarked) {
+      setSamples([]);
+      return;
+    }
+
+    const metricsRef = collection(db, dataPath, 'bookmarks', String(repository.id), 'metrics');
+    return onSnapshot(metricsRef,
+      (snapshot) => {
+        const next = [];
+        snapshot.forEach(doc => next.push(doc.data()));
+        next.sort((a, b) => a.at.localeCompare(b.at));
+        setSamples(next);
+      },
+      (error) => console.error("Metrics sync error:", error)
+    );
+  }, [dataPath, isBookmarked, repository.id]);
+
+  // History GitHub can tell us about; other forges have no equivalent endpoints
+  const enabled = isGitHubRepo(repository) && (autoLoad || requested);
+  const stats = useCachedLoad(enabled ? `${repository.id} trends` : null, async () => {
+    const repoPath = getRepoPath(repository);
+    const [starHistory, commitActivity, participation] = await Promise.allSettled([
+      fetchStarHistory(request, repository),
+      request(`${repoPath}/stats/commit_activity`),
+      request(`${repoPath}/stats/participation`)
+    ]);
+    const failed = [starHistory, commitActivity, participation].filter(r => r.status === 'rejected');
+    // Nothing worth keeping, so the next visit retries
+    if (failed.length === 3) throw failed[0].reason;
+    return {
+      starHistory: starHistory.value || [],
+      commitActivity: commitActivity.value || null,
+      participation: participation.value || null,
+      error: failed.length ? failed[0].reason.message : null
+    };
+  });
+
+  return {
+    samples,
+    starHistory: stats.data?.starHistory || [],
+    commitActivity: stats.data?.commitActivity || null,
+    participation: stats.data?.participation || null,
+    loading: stats.loading,
+    error: stats.error?.message || stats.data?.error || null,
+    deferred: isGitHubRepo(repository) && !enabled,
+    load: () => setRequested(true)
+  };
+};
+
+// About seven requests per GitHub repository, so details only load while the comparison is on
+// screen (`active`), are cached per repository and, without a token, wait for `load`
+const useComparisonDetails = ({ repos, active, autoLoad, request, requestPage }) => {
+  const [details, setDetails] = useState(new Map()); // Map<repo id, { releaseCadence, contributors, starHistory }>
+  const [requested, setRequested] = useState(false);
+  const ids = repos.map(repo => repo.id).join(',');
+  const enabled = active && (autoLoad || requested);
+  // `ids` captures the selection; the repo objects themselves are re-created on every snapshot
+  const reposRef = useRef(repos);
+  reposRef.current = repos;
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+
+    const loadComparisonDetails = async (repo) => {
+      const repoPath = getRepoPath(repo);
+      const [releases, contributors, starHistory] = await Promise.allSettled([
+        request(`${repoPath}/releases?per_page=20`),
+        // With one contributor per page, the last page number is the contributor count
+        requestPage(`${repoPath}/contributors?per_page=1&anon=1`),
+        fetchStarHistory(request, repo)
+      ]);
+
+      return {
+        releaseCadence: releases.value ? getReleaseCadence(releases.value) : null,
+        contributors: contributors.value
+          ? contributors.value.lastPage || contributors.value.data?.length || 0
+          : null,
+        starHistory: starHistory.value || []
+      };
+    };
+
+    const loadOne = async (repo) => {
+      if (!isGitHubRepo(repo)) return [String(repo.id), { releaseCadence: null, contributors: null, starHistory: [] }];
+      return [String(repo.id), await loadCached(`${repo.id} comparison`, () => loadComparisonDetails(repo))];
+    };
+
+    Promise.all(reposRef.current.map(loadOne)).then(entries => {
+      if (!cancelled) setDetails(new Map(entries));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ids, enabled, request, requestPage]);
+
+  return {
+    details,
+    loading: enabled && repos.some(repo => !details.has(String(repo.id))),
+    deferred: !enabled && active && repos.some(isGitHubRepo),
+    load: () => setRequested(true)
+  };
+};
+
+const useNoteRevisions = ({ user, repoId, enabled }) => {
+  const [revisions, setRevisions] = useState([]);
+
+  useEffect(() => {
+    if (!user || !enabled) return;
+
+    const revisionsRef = collection(
+      db, 'artifacts', appId, 'users', user.uid, 'notes', repoId, 'revisions'
+    );
+    return onSnapshot(query(revisionsRef, orderBy('updatedAt', 'desc'), limit(NOTE_REVISION_LIMIT)),
+      (snapshot) => {
+        const next = [];
+        snapshot.forEach(doc => next.push({ id: doc.id, ...doc.data() }));
+        setRevisions(next);
+      },
+      (error) => console.error("Note revisions sync error:", error)
+    );
+  }, [user, repoId, enabled]);
+
+  return revisions;
+};
+
+// One flat collection per workspace, filtered by repo; sorting here avoids a composite index
+const useWorkspaceComments = ({ workspaceId, repoId }) => {
+  const [comments, setComments] = useState([]);
+
+  useEffect(() => {
+    setComments([]);
+    if (!workspaceId) return;
+
+    const commentsRef = collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'comments');
+    return onSnapshot(query(commentsRef, where('repoId', '==', repoId)),
+      (snapshot) => {
+        const next = [];
+        snapshot.forEach(doc => next.push({ id: doc.id, ...doc.data() }));
+        next.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        setComments(next);
+      },
+      (error) => console.error("Comment sync error:", error)
+    );
+  }, [workspaceId, repoId]);
+
+  return comments;
+};
+
+const useWorkspaceInvites = ({ workspaceId, enabled }) => {
+  const [invites, setInvites] = useState([]);
+
+  useEffect(() => {
+    setInvites([]);
+    if (!workspaceId || !enabled) return;
+
+    const invitesRef = collection(db, 'artifacts', appId, 'workspaces', workspaceId, 'invites');
+    return onSnapshot(invitesRef,
+      (snapshot) => {
+        const next = [];
+        snapshot.forEach(doc => next.push({ id: doc.id, ...doc.data() }));
+        next.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        setInvites(next);
+      },
+      (error) => console.error("Invite sync error:", error)
+    );
+  }, [workspaceId, enabled]);
+
+  return invites;
+};
+
+// `key` names what `load` fetches, so only a new key triggers another load
+const useCachedLoad = (key, load) => {
+  const [result, setResult] = useState({ loading: Boolean(key), data: null, error: null });
+  const loadRef = useRef(load);
+  loadRef.current = load;
+
+  useEffect(() => {
+    if (!key) return;
+    let cancelled = false;
+    setResult({ loading: true, data: null, error: null });
+    loadCached(key, () => loadRef.current()).then(
+      (data) => {
+        if (!cancelled) setResult({ loading: false, data, error: null });
+      },
+      (error) => {
+        if (!cancelled) setResult({ loading: false, data: null, error });
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  return result;
+};
+
+const useRepositoryDetail = (repository, tab, request) => useCachedLoad(`${repository.id} ${tab}`, () => {
+  const load = FORGE_PROVIDERS[getRepoForge(repository)].detailLoaders?.[tab] || DETAIL_LOADERS[tab];
+  return load(request, repository);
+});
+
+// --- Components ---
+
+const MetricBadge = ({ icon: Icon, value, colorClass, label }) => (
+  <div className="flex items-center gap-2 px-3 py-2 bg-slate-50 rounded-lg border border-slate-100">
+    <Icon className={`w-4 h-4 ${colorClass}`} />
+    <span className="font-semibold text-slate-700">{typeof value === 'number' ? value.toLocaleString() : value}</span>
+    {label && <span className="text-xs text-slate-500 uppercase tracking-wide">{label}</span>}
+  </div>
+);
+
+const RepositoryMetrics = ({ metrics }) => {
+  const { stars, forks, issues, watchers, license, updatedAt } = metrics;
+  
+  return (
+    <div className="bg-slate-50 rounded-xl p-6 border border-slate-200">
+      <div className="flex items-center gap-2 mb-4 text-slate-800 font-semibold">
+        <BarChart3 className="w-5 h-5 text-slate-500" />
+        <span>Repository Analytics</span>
+      </div>
+      
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <MetricBadge 
+          icon={Star} 
+          value={stars} 
+          colorClass="text-amber-500" 
+          label="Stars" 
+        />
+        <MetricBadge 
+          icon={GitFork} 
+          value={forks} 
+          colorClass="text-blue-500" 
+          label="Forks" 
+        />
+        <MetricBadge 
+          icon={AlertCircle} 
+          value={issues} 
+          colorClass="text-red-500" 
+          label="Open issues & PRs" 
+        />
+        <MetricBadge 
+          icon={Database} 
+          value={watchers} 
+          colorClass="text-purple-500" 
+          label="Watchers" 
+        />
+      </div>
+      
+      <div className="flex justify-between text-sm text-slate-500 pt-4 border-t border-slate-200">
+        <span>License: <span className="font-medium text-slate-700">{license || "None"}</span></span>
+        <span>Updated: <span className="font-medium text-slate-700">{updatedAt}</span></span>
+      </div>
+    </div>
+  );
+};
+
+const CHANGE_TONES = {
+  green: "bg-emerald-50 text-emerald-700",
+  red: "bg-red-50 text-red-700",
+  amber: "bg-amber-50 text-amber-700",
+  blue: "bg-blue-50 text-blue-700"
+};
+
+const SYNC_STATUS_STYLES = {
+  pending: { label: "Unsaved changes", icon: Pencil, className: "text-slate-500" },
+  saving: { label: "Saving...", icon: RefreshCw, className: "text-blue-600", spin: true },
+  saved: { label: "Saved", icon: Check, className: "text-emerald-600" },
+  failed: { label: "Save failed", icon: AlertCircle, className: "text-red-600" },
+  offline: { label: "Offline, will sync", icon: CloudOff, className: "text-amber-600" }
+};
+
+const SyncStatus = ({ status, compact = false }) => {
+  const style = SYNC_STATUS_STYLES[status];
+  if (!style) return null;
+  const Icon = style.icon;
+
+  return (
+    <span className={`text-xs flex items-center gap-1 ${style.className}`} title={style.label}>
+      <Icon size={compact ? 14 : 10} className={style.spin ? "animate-spin" : ""} />
+      {!compact && style.label}
+    </span>
+  );
+};
+
+const LanguageDot = ({ language, className = "w-2 h-2" }) => (
+  <span className={`${className} rounded-full shrink-0`} style={{ backgroundColor: getLanguageColor(language) }}></span>
+);
+
+// Names the server of repositories that don't come from github.com
+const ForgeBadge = ({ repository }) => {
+  if (!repository.forge) return null;
+  const { provider, apiBase } = repository.forge;
+  return (
+    <span
+      className="text-[10px] font-semibold bg-slate-100 text-slate-600 px-1.5 py-0.5 rounded whitespace-nowrap shrink-0"
+      title={`${FORGE_PROVIDERS[provider].label} · ${apiBase}`}
+    >
+      {new URL(apiBase).host}
+    </span>
+  );
+};
+
+const RepositoryCard = ({ 
+  repository, 
+  isBookmarked, 
+  onBookmarkToggle, 
+  onDetailsOpen,
+  isCompared,
+  onCompareToggle,
+  health,
+  syncStatus,
+  dependencies,
+  isNew,
+  insight
+}) => {
+  const {
+    name,
+    owner,
+    description,
+    stargazers_count,
+    forks_count,
+    language
+  } = repository;
+
+  const changes = repository.bookmark ? getBookmarkChanges(repository) : [];
+
+  const handleBookmarkClick = (e) => {
+    e.stopPropagation();
+    onBookmarkToggle(repository);
+  };
+
+  return (
+    <article 
+      className={`group bg-white border rounded-xl p-6 cursor-pointer transition-all hover:-translate-y-1 hover:shadow-xl hover:border-blue-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 flex flex-col h-full ${
+        isNew ? 'border-emerald-300 ring-1 ring-emerald-200' : 'border-slate-200'
+      }`}
+      tabIndex={0}
+      aria-label={repository.full_name}
+      data-repo-card
+      onClick={() => onDetailsOpen(repository)}
+      onKeyDown={(e) => handleRepositoryKeys(e, repository, { onDetailsOpen, onBookmarkToggle })}
+    >
+      <header className="flex justify-between items-start mb-4">
+        <div className="flex items-center gap-3">
+          <img 
+            src={owner.avatar_url} 
+            alt={owner.login}
+            className="w-10 h-10 rounded-full border border-slate-100"
+          />
+          <h3 className="font-bold text-lg text-slate-800 group-hover:text-blue-600 transition-colors line-clamp-1">
+            {name}
+          </h3>
+          <ForgeBadge repository={repository} />
+          {isNew && (
+            <span className="text-[10px] font-bold uppercase bg-emerald-100 text-emerald-700 px-1.5 py-0.5 rounded" title="New since this saved search last ran">
+              New
+            </span>
+          )}
+          {insight && (
+            <span className="text-[10px] font-semibold bg-violet-50 text-violet-700 px-1.5 py-0.5 rounded whitespace-nowrap" title={insight.title}>
+              {insight.label}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          {syncStatus !== 'saved' && <SyncStatus status={syncStatus} compact />}
+          <button 
+            className={`p-2 rounded-full transition-colors ${
+              isBookmarked 
+                ? 'text-amber-500 bg-amber-50' 
+                : 'text-slate-300 hover:text-slate-500 hover:bg-slate-50'
+            }`}
+            onClick={handleBookmarkClick}
+            aria-label={isBookmarked ? "Remove bookmark" : "Bookmark"}
+            aria-pressed={isBookmarked}
+          >
+            <Bookmark className={isBookmarked ? "fill-current" : ""} size={20} />
+          </button>
+        </div>
+      </header>
+
+      <p className="text-slate-600 text-sm leading-relaxed mb-6 line-clamp-3 flex-grow">
+        {description || "No description available for this repository."}
+      </p>
+
+      {changes.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 -mt-3 mb-6">
+          {changes.map(({ label, tone, title }) => (
+            <span key={label} title={title} className={`text-xs font-medium px-2 py-0.5 rounded-full ${CHANGE_TONES[tone]}`}>
+              {label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {repository.bookmark?.tags?.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 -mt-3 mb-6">
+          {repository.bookmark.tags.map(tag => (
+            <span key={tag} className="text-xs px-2 py-0.5 rounded-full bg-slate-100 text-slate-600">#{tag}</span>
+          ))}
+        </div>
+      )}
+
+      {dependencies?.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 -mt-3 mb-6">
+          {dependencies.map(({ name: packageName, version }) => (
+            <span key={packageName} className="flex items-center gap-1 text-xs px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 font-mono">
+              <Package size={12} /> {packageName}{version && <span className="opacity-60">{version}</span>}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-4 mb-6">
+        <div className="flex items-center gap-1 text-slate-600 text-sm">
+          <Star size={14} className="text-amber-500" />
+          <span className="font-medium">{stargazers_count.toLocaleString()}</span>
+        </div>
+        <div className="flex items-center gap-1 text-slate-600 text-sm">
+          <GitFork size={14} className="text-blue-500" />
+          <span className="font-medium">{forks_count.toLocaleString()}</span>
+        </div>
+        {health && (
+          <div className="ml-auto">
+            <HealthGrade health={health} />
+          </div>
+        )}
+      </div>
+
+      <footer className="flex justify-between items-center pt-4 border-t border-slate-100 mt-auto">
+        {language ? (
+          <span className="flex items-center gap-2 text-xs font-medium text-slate-500">
+            <LanguageDot language={language} />
+            {language}
+          </span>
+        ) : <span></span>}
+        
+        <div className="flex items-center gap-3">
+          <button
+            className={`text-sm font-medium flex items-center gap-1 transition-colors ${
+              isCompared ? 'text-purple-600' : 'text-slate-400 hover:text-slate-600'
+            }`}
+            onClick={(e) => {
+              e.stopPropagation();
+              onCompareToggle(repository);
+            }}
+            title={isCompared ? "Remove from comparison" : "Add to comparison"}
+            aria-pressed={isCompared}
+          >
+            <GitCompare size={14} /> {isCompared ? 'Comparing' : 'Compare'}
+          </button>
+          <button className="text-blue-600 text-sm font-medium flex items-center gap-1 hover:underline">
+            Analyze <TrendingUp size={14} />
+          </button>
+        </div>
+      </footer>
+    </article>
+  );
+};
+
+const inputClass = "px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500";
+
+const BookmarkToggle = ({ repository, isBookmarked, onBookmarkToggle, size = 18 }) => (
+  <button
+    className={`p-1.5 rounded-full transition-colors ${
+      isBookmarked
+        ? 'text-amber-500 bg-amber-50'
+        : 'text-slate-300 hover:text-slate-500 hover:bg-slate-50'
+    }`}
+    onClick={(e) => {
+      e.stopPropagation();
+      onBookmarkToggle(repository);
+    }}
+    aria-label={isBookmarked ? "Remove bookmark" : "Bookmark"}
+    aria-pressed={isBookmarked}
+  >
+    <Bookmark className={isBookmarked ? "fill-current" : ""} size={size} />
+  </button>
+);
+
+// One line per repository; takes the same props as RepositoryCard
+const RepositoryListItem = ({
+  repository,
+  isBookmarked,
+  onBookmarkToggle,
+  onDetailsOpen,
+  health,
+  syncStatus,
+  isNew,
+  insight
+}) => {
+  const { full_name, owner, description, stargazers_count, language, pushed_at } = repository;
+
+  return (
+    <div
+      className={`group flex items-center gap-4 bg-white border rounded-lg px-4 py-3 cursor-pointer transition-colors hover:border-blue-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+        isNew ? 'border-emerald-300' : 'border-slate-200'
+      }`}
+      tabIndex={0}
+      aria-label={full_name}
+      data-repo-card
+      onClick={() => onDetailsOpen(repository)}
+      onKeyDown={(e) => handleRepositoryKeys(e, repository, { onDetailsOpen, onBookmarkToggle })}
+    >
+      <img src={owner.avatar_url} alt="" className="w-8 h-8 rounded-full border border-slate-100 shrink-0" />
+      <div className="min-w-0 flex-grow">
+        <div className="flex items-center gap-2">
+          <span className="font-semibold text-slate-800 group-hover:text-blue-600 truncate">{full_name}</span>
+          <ForgeBadge repository={repository} />
+          {isNew && <span className="text-[10px] font-bold uppercase bg-emerald-100 text-emerald-700 px-1.5 py-0.5 rounded shrink-0">New</span>}
+          {insight && (
+            <span className="text-[10px] font-semibold bg-violet-50 text-violet-700 px-1.5 py-0.5 rounded whitespace-nowrap" title={insight.title}>
+              {insight.label}
+            </span>
+          )}
+        </div>
+        <p className="text-xs text-slate-500 truncate">{description || "No description available for this repository."}</p>
+      </div>
+      {language && (
+        <span className="hidden md:flex items-center gap-1.5 text-xs font-medium text-slate-500 w-24">
+          <LanguageDot language={language} />
+          <span className="truncate">{language}</span>
+        </span>
+      )}
+      <span className="hidden md:flex items-center gap-1 text-sm text-slate-600 w-16">
+        <Star size={14} className="text-amber-500" />
+        {formatCompact(stargazers_count)}
+      </span>
+      <span className="hidden lg:block text-xs text-slate-400 w-16">{pushed_at ? formatAge(pushed_at) : "—"}</span>
+      {health && <HealthGrade health={health} />}
+      {syncStatus !== 'saved' && <SyncStatus status={syncStatus} compact />}
+      <BookmarkToggle repository={repository} isBookmarked={isBookmarked} onBookmarkToggle={onBookmarkToggle} />
+    </div>
+  );
+};
+
+const tableTemplate = (columns) =>
+  ['minmax(14rem, 1fr)', ...columns.map(id => TABLE_COLUMNS[id].width), '3rem'].join(' ');
+
+const RepositoryTableRow = ({ columns, repository, isBookmarked, onBookmarkToggle, onDetailsOpen, health, isNew }) => (
+  <div
+    role="row"
+    className={`grid items-center gap-3 px-4 py-2.5 border-b border-slate-100 bg-white cursor-pointer text-sm hover:bg-blue-50/40 focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500 ${
+      isNew ? 'border-l-2 border-l-emerald-400' : ''
+    }`}
+    style={{ gridTemplateColumns: tableTemplate(columns) }}
+    tabIndex={0}
+    aria-label={repository.full_name}
+    data-repo-card
+    onClick={() => onDetailsOpen(repository)}
+    onKeyDown={(e) => handleRepositoryKeys(e, repository, { onDetailsOpen, onBookmarkToggle })}
+  >
+    <div role="cell" className="flex items-center gap-2 min-w-0">
+      <img src={repository.owner.avatar_url} alt="" className="w-6 h-6 rounded-full shrink-0" />
+      <span className="font-medium text-slate-800 truncate" title={repository.description || undefined}>{repository.full_name}</span>
+    </div>
+    {columns.map(id => {
+      const { value, format } = TABLE_COLUMNS[id];
+      if (id === 'health') {
+        return <div key={id} role="cell">{health ? <HealthGrade health={health} /> : "—"}</div>;
+      }
+      if (id === 'language' && repository.language) {
+        return (
+          <div key={id} role="cell" className="flex items-center gap-1.5 text-slate-600 min-w-0">
+            <LanguageDot language={repository.language} />
+            <span className="truncate">{repository.language}</span>
+          </div>
+        );
+      }
+      const cell = value(repository);
+      return (
+        <div key={id} role="cell" className="text-slate-600 truncate tabular-nums">
+          {cell === null ? "—" : format ? format(cell) : cell}
+        </div>
+      );
+    })}
+    <div role="cell">
+      <BookmarkToggle repository={repository} isBookmarked={isBookmarked} onBookmarkToggle={onBookmarkToggle} size={16} />
+    </div>
+  </div>
+);
+
+const TableHeader = ({ columns, sort, onSort }) => {
+  const header = (id, label) => {
+    const direction = sort.column === id ? sort.direction : null;
+    const Arrow = direction === 'asc' ? ChevronUp : ChevronDown;
+    return (
+      <div key={id} role="columnheader" aria-sort={direction ? `${direction}ending` : 'none'}>
+        <button
+          onClick={() => onSort(id)}
+          className={`flex items-center gap-1 text-xs font-semibold uppercase tracking-wide transition-colors ${
+            direction ? 'text-blue-600' : 'text-slate-400 hover:text-slate-600'
+          }`}
+        >
+          {label}
+          {direction && <Arrow size={12} />}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      role="row"
+      className="grid items-center gap-3 px-4 py-2 bg-slate-50 border-b border-slate-200"
+      style={{ gridTemplateColumns: tableTemplate(columns) }}
+    >
+      {header('name', "Repository")}
+      {columns.map(id => header(id, TABLE_COLUMNS[id].label))}
+      <div role="columnheader"><span className="sr-only">Bookmark</span></div>
+    </div>
+  );
+};
+
+const ColumnPicker = ({ columns, onChange }) => {
+  const [open, setOpen] = useState(false);
+
+  // Keeps the table's column order regardless of the order columns were ticked in
+  const toggle = (id) => onChange(Object.keys(TABLE_COLUMNS).filter(column =>
+    (column === id ? !columns.includes(id) : columns.includes(column))));
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(current => !current)}
+        aria-expanded={open}
+        className="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm text-slate-600 hover:border-slate-300 flex items-center gap-1.5 transition-colors"
+      >
+        Columns <ChevronDown size={14} />
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-48 bg-white rounded-xl shadow-2xl border border-slate-200 p-2 z-20">
+          {Object.entries(TABLE_COLUMNS).map(([id, { label }]) => (
+            <label key={id} className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm text-slate-600 hover:bg-slate-50 cursor-pointer">
+              <input type="checkbox" checked={columns.includes(id)} onChange={() => toggle(id)} />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LayoutBar = ({ layout, columns, count, onLayoutChange, onColumnsChange }) => (
+  <div className="flex items-center justify-between gap-3 mb-4">
+    <p className="text-sm text-slate-400">
+      {count.toLocaleString()} {count === 1 ? 'repository' : 'repositories'}
+    </p>
+    <div className="flex items-center gap-2">
+      {layout === 'table' && <ColumnPicker columns={columns} onChange={onColumnsChange} />}
+      <div className="flex items-center gap-1 bg-white border border-slate-200 p-1 rounded-lg" role="group" aria-label="Layout">
+        {Object.entries(RESULT_LAYOUTS).map(([id, { label, icon: Icon }]) => (
+          <button
+            key={id}
+            onClick={() => onLayoutChange(id)}
+            aria-pressed={layout === id}
+            title={label}
+            className={`p-1.5 rounded-md transition-colors ${
+              layout === id ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-slate-700 hover:bg-slate-50'
+            }`}
+          >
+            <Icon size={16} />
+          </button>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+const ROW_ESTIMATES = { grid: 330, list: 66, table: 46 };
+
+// `getItemProps(repo)` returns the RepositoryCard props for one repository; list and table rows
+// take the same ones. Only the rows near the viewport are mounted.
+const ResultsView = ({ layout, columns, repos, getItemProps }) => {
+  const [sort, setSort] = useState({ column: null, direction: 'desc' });
+  const viewportWidth = useViewportWidth();
+  const gridColumns = layout === 'grid' ? getGridColumns(viewportWidth) : 1;
+
+  const items = layout === 'table'
+    ? sortTableRows(repos, sort, (repo) => getItemProps(repo).health)
+    : repos;
+  const rows = chunkRows(items, gridColumns);
+  const { containerRef, measureRow, start, end, paddingTop, paddingBottom } = useWindowedRows({
+    count: rows.length,
+    estimate: ROW_ESTIMATES[layout],
+    resetKey: `${layout}:${gridColumns}:${columns.join(',')}`
+  });
+
+  // Numbers start high-to-low, text A-Z; a third click restores the original order
+  const handleSort = (column) => setSort(current => {
+    const initial = column === 'name' || column === 'language' || column === 'license' ? 'asc' : 'desc';
+    if (current.column !== column) return { column, direction: initial };
+    if (current.direction === initial) return { column, direction: initial === 'asc' ? 'desc' : 'asc' };
+    return { column: null, direction: 'desc' };
+  });
+
+  const renderRow = (row, index) => {
+    if (layout === 'grid') {
+      return (
+        <div key={row[0].id} ref={measureRow(index)} data-row-index={index} className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 pb-6">
+          {row.map(repo => <RepositoryCard key={repo.id} {...getItemProps(repo)} />)}
+        </div>
+      );
+    }
+    const [repo] = row;
+    return (
+      <div key={repo.id} ref={measureRow(index)} data-row-index={index} className={layout === 'list' ? 'pb-2' : ''}>
+        {layout === 'list'
+          ? <RepositoryListItem {...getItemProps(repo)} />
+          : <RepositoryTableRow columns={columns} {...getItemProps(repo)} />}
+      </div>
+    );
+  };
+
+  const windowed = (
+    <div ref={containerRef} style={{ paddingTop, paddingBottom }} role={layout === 'table' ? 'rowgroup' : undefined}>
+      {rows.slice(start, end).map((row, i) => renderRow(row, start + i))}
+    </div>
+  );
+
+  if (layout !== 'table') return windowed;
+  return (
+    <div role="table" aria-label="Repositories" aria-rowcount={items.length + 1} className="border border-slate-200 rounded-xl overflow-x-auto">
+      <div role="rowgroup">
+        <TableHeader columns={columns} sort={sort} onSort={handleSort} />
+      </div>
+      {windowed}
+    </div>
+  );
+};
+
+const RangeField = ({ label, type = "number", min, max, onChange }) => (
+  <div>
+    <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-1">{label}</label>
+    <div className="flex items-center gap-2">
+      <input
+        type={type}
+        value={min}
+        onChange={(e) => onChange(e.target.value, max)}
+        placeholder="Min"
+        className={`${inputClass} w-full`}
+      />
+      <span className="text-slate-400">–</span>
+      <input
+        type={type}
+        value={max}
+        onChange={(e) => onChange(min, e.target.value)}
+        placeholder="Max"
+        className={`${inputClass} w-full`}
+      />
+    </div>
+  </div>
+);
+
+const AdvancedFilters = ({ filters, onFiltersChange }) => (
+  <div className="max-w-7xl mx-auto mt-4 pt-4 border-t border-slate-100 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+    <RangeField
+      label="Stars"
+      min={filters.minStars}
+      max={filters.maxStars}
+      onChange={(minStars, maxStars) => onFiltersChange({ minStars, maxStars })}
+    />
+    <RangeField
+      label="Forks"
+      min={filters.minForks}
+      max={filters.maxForks}
+      onChange={(minForks, maxForks) => onFiltersChange({ minForks, maxForks })}
+    />
+    <div>
+      <RangeField
+        label="Last pushed"
+        type="date"
+        min={filters.pushedFrom}
+        max={filters.pushedTo}
+        onChange={(pushedFrom, pushedTo) => onFiltersChange({ pushedFrom, pushedTo })}
+      />
+      <div className="flex gap-2 mt-1">
+        {[['1m', 30], ['6m', 182], ['1y', 365]].map(([label, days]) => (
+          <button
+            key={label}
+            onClick={() => onFiltersChange({ pushedFrom: daysAgo(days), pushedTo: "" })}
+            className="text-xs text-blue-600 hover:underline"
+          >
+            Last {label}
+          </button>
+        ))}
+      </div>
+    </div>
+    <RangeField
+      label="Created"
+      type="date"
+      min={filters.createdFrom}
+      max={filters.createdTo}
+      onChange={(createdFrom, createdTo) => onFiltersChange({ createdFrom, createdTo })}
+    />
+
+    <div>
+      <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-1">Topics</label>
+      <input
+        type="text"
+        value={filters.topic}
+        onChange={(e) => onFiltersChange({ topic: e.target.value })}
+        placeholder="e.g. state-management, hooks"
+        className={`${inputClass} w-full`}
+      />
+    </div>
+    <div>
+      <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-1">License</label>
+      <input
+        type="text"
+        value={filters.license}
+        onChange={(e) => onFiltersChange({ license: e.target.value })}
+        placeholder="e.g. mit, apache-2.0"
+        className={`${inputClass} w-full`}
+      />
+    </div>
+    <div>
+      <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-1">Owner</label>
+      <div className="flex gap-2">
+        <select
+          value={filters.ownerType}
+          onChange={(e) => onFiltersChange({ ownerType: e.target.value })}
+          className={`${inputClass} cursor-pointer`}
+        >
+          <option value="user">User</option>
+          <option value="org">Org</option>
+        </select>
+        <input
+          type="text"
+          value={filters.owner}
+          onChange={(e) => onFiltersChange({ owner: e.target.value })}
+          placeholder="login"
+          className={`${inputClass} w-full`}
+        />
+      </div>
+    </div>
+    <div className="flex flex-col justify-end gap-2 text-sm text-slate-700">
+      <label className="flex items-center gap-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={filters.excludeArchived}
+          onChange={(e) => onFiltersChange({ excludeArchived: e.target.checked })}
+        />
+        Hide archived
+      </label>
+      <label className="flex items-center gap-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={filters.templateOnly}
+          onChange={(e) => onFiltersChange({ templateOnly: e.target.checked })}
+        />
+        Templates only
+      </label>
+    </div>
+
+    <div className="md:col-span-2 lg:col-span-4 flex justify-between items-center gap-4">
+      <code className="text-xs text-slate-500 bg-slate-50 px-2 py-1 rounded truncate">
+        {buildSearchQuery(filters) || "—"}
+      </code>
+      <button
+        onClick={() => onFiltersChange(QUALIFIER_DEFAULTS)}
+        className="text-sm text-slate-500 hover:text-slate-700 shrink-0"
+      >
+        Clear qualifiers
+      </button>
+    </div>
+  </div>
+);
+
+const SavedSearchBar = ({ savedSearches, activeId, onRun, onSave, onDelete }) => {
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState("");
+  const [rolling, setRolling] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const sorted = Array.from(savedSearches.entries()).sort(([, a], [, b]) => a.name.localeCompare(b.name));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setError(null);
+    setBusy(true);
+    try {
+      await onSave({ name: name.trim(), rolling });
+      setName("");
+      setSaving(false);
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto flex flex-wrap items-center gap-2 mt-3">
+      {sorted.map(([id, saved]) => (
+        <span
+          key={id}
+          className={`flex items-center gap-1 text-xs rounded-full border transition-colors ${
+            id === activeId
+              ? 'bg-blue-600 border-blue-600 text-white'
+              : 'bg-slate-50 border-slate-200 text-slate-600 hover:border-blue-300'
+          }`}
+        >
+          <button
+            onClick={() => onRun(id)}
+            className="flex items-center gap-1.5 pl-2.5 py-1"
+            title={`Last run ${new Date(saved.lastRunAt).toLocaleString()}`}
+          >
+            {saved.name}
+            {saved.newIds?.length > 0 && (
+              <span className="bg-emerald-500 text-white text-[10px] px-1.5 rounded-full">{saved.newIds.length} new</span>
+            )}
+          </button>
+          <button onClick={() => onDelete(id)} className="pr-2 py-1 opacity-60 hover:opacity-100" title="Delete saved search">
+            <X size={12} />
+          </button>
+        </span>
+      ))}
+
+      {saving ? (
+        <form onSubmit={handleSave} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name this search"
+            autoFocus
+            className="w-48 px-3 py-1 bg-slate-50 border border-slate-200 rounded-lg text-xs focus:outline-none focus:border-blue-500"
+          />
+          <label
+            className="flex items-center gap-1.5 text-xs text-slate-600 whitespace-nowrap"
+            title="Move pushed/created dates forward as time passes"
+          >
+            <input type="checkbox" checked={rolling} onChange={(e) => setRolling(e.target.checked)} />
+            Relative dates
+          </label>
+          <button
+            type="submit"
+            disabled={busy || !name.trim()}
+            className="text-xs font-medium text-blue-600 hover:underline disabled:opacity-60 flex items-center gap-1"
+          >
+            {busy && <Loader size={12} className="animate-spin" />} Save
+          </button>
+          <button type="button" onClick={() => setSaving(false)} className="text-xs text-slate-400 hover:text-slate-600">
+            Cancel
+          </button>
+        </form>
+      ) : !activeId && (
+        <button
+          onClick={() => setSaving(true)}
+          className="flex items-center gap-1.5 text-xs text-slate-500 hover:text-blue-600 px-2 py-1"
+        >
+          <Save size={12} /> Save this search
+        </button>
+      )}
+
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+const DiscoverFeedBar = ({ feed, language, loading, error, onFeedChange, onLanguageChange }) => {
+  const [similarDraft, setSimilarDraft] = useState(feed.similarTo);
+  const [draftError, setDraftError] = useState(null);
+  const { type, period } = feed;
+
+  // Keep the box in step when the target changes from outside (modal button, back/forward)
+  useEffect(() => {
+    setSimilarDraft(feed.similarTo);
+    setDraftError(null);
+  }, [feed.similarTo]);
+
+  const submitSimilar = (e) => {
+    e.preventDefault();
+    const fullName = findGitHubRepo(similarDraft);
+    if (!fullName) {
+      setDraftError("Enter a repository as owner/repo or a GitHub URL.");
+      return;
+    }
+    setDraftError(null);
+    setSimilarDraft(fullName);
+    onFeedChange({ similarTo: fullName });
+  };
+
+  const chipClass = (active) => `px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+    active
+      ? 'bg-blue-600 border-blue-600 text-white'
+      : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'
+  }`;
+
+  return (
+    <div className="bg-white border-b border-slate-200 px-4 pt-3 md:px-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex gap-1 overflow-x-auto -mb-px">
+          {Object.entries(DISCOVER_FEEDS).map(([id, { label, icon: Icon }]) => (
+            <button
+              key={id}
+              onClick={() => onFeedChange({ type: id })}
+              className={`px-3 py-2 text-sm font-medium border-b-2 whitespace-nowrap flex items-center gap-1.5 transition-colors ${
+                type === id
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              <Icon size={14} />
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {(type === 'trending' || type === 'new') && (
+          <div className="flex flex-wrap items-center gap-2 py-3">
+            <select
+              value={period}
+              onChange={(e) => onFeedChange({ period: e.target.value })}
+              className="px-3 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
+            >
+              {Object.entries(FEED_PERIODS).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <button onClick={() => onLanguageChange("")} className={chipClass(!language)}>All</button>
+            {LANGUAGE_OPTIONS.map(({ value, label }) => (
+              <button key={value} onClick={() => onLanguageChange(value)} className={`${chipClass(language === value)} flex items-center gap-1.5`}>
+                <LanguageDot language={value} />
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {type === 'similar' && (
+          <form onSubmit={submitSimilar} className="flex flex-wrap items-center gap-2 py-3">
+            <input
+              type="text"
+              value={similarDraft}
+              onChange={(e) => setSimilarDraft(e.target.value)}
+              placeholder="owner/repo"
+              className="w-64 px-3 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <button
+              type="submit"
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors"
+            >
+              Find similar
+            </button>
+            {draftError && <span className="text-xs text-red-600">{draftError}</span>}
+          </form>
+        )}
+
+        {type !== 'search' && (loading || error) && (
+          <p className={`text-xs pb-3 flex items-center gap-1.5 ${error ? 'text-red-600' : 'text-slate-400'}`}>
+            {error
+              ? <><AlertCircle size={12} /> {error}</>
+              : <><Loader size={12} className="animate-spin" /> Loading feed...</>}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SearchFilters = ({
+  filters,
+  onFiltersChange,
+  savedSearches,
+  activeSavedSearchId,
+  onSavedSearchRun,
+  onSavedSearchSave,
+  onSavedSearchDelete
+}) => {
+  const { provider, query, sort, order, language } = filters;
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const forge = FORGE_PROVIDERS[provider];
+  const activeCount = countActiveQualifiers(filters);
+
+  // Raw qualifiers typed into the search box are lifted into the structured filters
+  const applyTypedQualifiers = () => {
+    if (!forge.qualifiers) return;
+    const parsed = parseSearchQuery(query);
+    if (parsed.query !== query) onFiltersChange(parsed);
+  };
+
+  const handleProviderChange = (next) => onFiltersChange({
+    provider: next,
+    sort: FORGE_PROVIDERS[next].sorts.includes(sort) ? sort : 'stars'
+  });
+
+  const languageOptions = language && !LANGUAGE_OPTIONS.some(o => o.value === language)
+    ? [...LANGUAGE_OPTIONS, { value: language, label: language }]
+    : LANGUAGE_OPTIONS;
+
+  return (
+    <div className="bg-white border-b border-slate-200 sticky top-0 z-30 px-4 py-4 md:px-8 shadow-sm">
+      <div className="max-w-7xl mx-auto flex flex-col md:flex-row gap-4">
+        <div className="relative flex-grow max-w-md">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => onFiltersChange({ query: e.target.value })}
+            onBlur={applyTypedQualifiers}
+            onKeyDown={(e) => e.key === 'Enter' && applyTypedQualifiers()}
+            placeholder={forge.qualifiers
+              ? "Search repositories... (qualifiers like stars:>500 work too)"
+              : `Search ${forge.label} repositories...`}
+            className="w-full pl-10 pr-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+          />
+        </div>
+
+        <div className="flex gap-3 overflow-x-auto pb-2 md:pb-0">
+          <select
+            value={provider}
+            onChange={(e) => handleProviderChange(e.target.value)}
+            aria-label="Forge"
+            className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
+          >
+            {FORGE_IDS.map(id => (
+              <option key={id} value={id}>{FORGE_PROVIDERS[id].label}</option>
+            ))}
+          </select>
+
+          <select
+            value={sort}
+            onChange={(e) => onFiltersChange({ sort: e.target.value })}
+            className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
+          >
+            {forge.sorts.map(value => (
+              <option key={value} value={value}>{SORT_LABELS[value]}</option>
+            ))}
+          </select>
+
+          <select
+            value={order}
+            onChange={(e) => onFiltersChange({ order: e.target.value })}
+            className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
+          >
+            <option value="desc">Descending</option>
+            <option value="asc">Ascending</option>
+          </select>
+
+          {forge.languageFilter && (
+            <select
+              value={language}
+              onChange={(e) => onFiltersChange({ language: e.target.value })}
+              className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
+            >
+              <option value="">All Languages</option>
+              {languageOptions.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          )}
+
+          {forge.qualifiers && (
+            <button
+              onClick={() => setShowAdvanced(open => !open)}
+              className={`px-4 py-2.5 border rounded-lg text-sm font-medium flex items-center gap-2 transition-colors ${
+                showAdvanced || activeCount > 0
+                  ? 'bg-blue-50 border-blue-200 text-blue-700'
+                  : 'bg-slate-50 border-slate-200 text-slate-700 hover:border-slate-300'
+              }`}
+            >
+              <Filter size={16} />
+              Filters
+              {activeCount > 0 && (
+                <span className="bg-blue-600 text-white text-[10px] px-1.5 py-0.5 rounded-full">{activeCount}</span>
+              )}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <SavedSearchBar
+        savedSearches={savedSearches}
+        activeId={activeSavedSearchId}
+        onRun={onSavedSearchRun}
+        onSave={onSavedSearchSave}
+        onDelete={onSavedSearchDelete}
+      />
+
+      {showAdvanced && forge.qualifiers && (
+        <AdvancedFilters filters={filters} onFiltersChange={onFiltersChange} />
+      )}
+    </div>
+  );
+};
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+const useNow = (intervalMs = 1000) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return now;
+};
+
+const RateLimitCountdown = ({ resetAt, onRetry }) => {
+  const now = useNow();
+  const remainingMs = resetAt - now;
+
+  if (remainingMs > 0) {
+    return <span className="font-medium">Quota resets in {formatCountdown(remainingMs)}.</span>;
+  }
+  return (
+    <button onClick={onRetry} className="font-medium underline hover:text-red-900">
+      Quota has reset — retry now
+    </button>
+  );
+};
+
+const RateLimitIndicator = ({ rateLimits }) => {
+  const quota = rateLimits.search || rateLimits.core;
+  if (!quota) return null;
+
+  const ratio = quota.limit ? quota.remaining / quota.limit : 0;
+  const colorClass = ratio > 0.5
+    ? 'text-emerald-400'
+    : ratio > 0.2 ? 'text-amber-400' : 'text-red-400';
+  const details = Object.values(rateLimits)
+    .map(({ resource, remaining, limit, reset }) =>
+      `${resource}: ${remaining}/${limit}, resets ${new Date(reset).toLocaleTimeString()}`)
+    .join('\n');
+
+  return (
+    <div className="hidden md:flex items-center gap-1.5 text-xs text-slate-400" title={details}>
+      <Gauge size={14} className={colorClass} />
+      <span className={`font-semibold ${colorClass}`}>{quota.remaining}</span>
+      <span>/ {quota.limit} {quota.resource}</span>
+    </div>
+  );
+};
+
+const OfflineNotice = ({ cachedAt, online }) => (
+  <div
+    className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg flex items-center gap-2 mb-6"
+    role="status"
+  >
+    <CloudOff size={20} className="shrink-0" />
+    <span>
+      <span className="font-semibold">{online ? "Couldn't reach the server" : "Offline"}</span>
+      {" — cached at "}
+      <time dateTime={new Date(cachedAt).toISOString()}>{new Date(cachedAt).toLocaleString()}</time>
+    </span>
+  </div>
+);
+
+const ThemeSettings = ({ theme, onChange }) => (
+  <div className="space-y-3">
+    <p className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+      <Sun size={16} /> Appearance
+    </p>
+    <div className="grid grid-cols-3 gap-1 bg-slate-50 border border-slate-200 p-1 rounded-lg" role="radiogroup" aria-label="Theme">
+      {Object.entries(THEME_MODES).map(([id, { label, icon: Icon }]) => (
+        <button
+          key={id}
+          role="radio"
+          aria-checked={theme.mode === id}
+          onClick={() => onChange({ mode: id })}
+          className={`px-3 py-1.5 rounded-md text-sm font-medium flex items-center justify-center gap-1.5 transition-colors ${
+            theme.mode === id ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+          }`}
+        >
+          <Icon size={14} /> {label}
+        </button>
+      ))}
+    </div>
+    <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={theme.highContrast}
+        onChange={(e) => onChange({ highContrast: e.target.checked })}
+      />
+      High contrast
+    </label>
+    <p className="text-xs text-slate-500 leading-relaxed">
+      "System" follows your operating system's light or dark setting. The theme is saved with your account.
+    </p>
+  </div>
+);
+
+const SettingsPanel = ({
+  isOpen,
+  githubToken,
+  healthConfig,
+  theme,
+  forges,
+  onSave,
+  onHealthSave,
+  onThemeChange,
+  onForgeSave,
+  onClose
+}) => {
+  const [draft, setDraft] = useState(githubToken);
+
+  useEffect(() => {
+    if (isOpen) setDraft(githubToken);
+  }, [isOpen, githubToken]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-white rounded-2xl w-full max-w-md max-h-[90vh] overflow-y-auto shadow-2xl" onClick={e => e.stopPropagation()}>
+        <header className="sticky top-0 bg-white border-b border-slate-100 px-6 py-4 flex justify-between items-center">
+          <h2 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+            <Settings size={18} className="text-slate-500" /> Settings
+          </h2>
+          <button
+            className="p-2 hover:bg-slate-100 rounded-full text-slate-400 hover:text-slate-600 transition-colors"
+            onClick={onClose}
+          >
+            <X size={20} />
+          </button>
+        </header>
+
+        <div className="p-6 space-y-3">
+          <label className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+            <Key size={16} /> GitHub personal access token
+          </label>
+          <input
+            type="password"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="ghp_... or github_pat_..."
+            autoComplete="off"
+            className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+          />
+          <p className="text-xs text-slate-500 leading-relaxed">
+            Optional. A token without any scopes raises the search quota from 10 to 30 requests per minute
+            and the REST quota from 60 to 5,000 per hour. It is stored with your account data in Firestore.
+          </p>
+          <div className="flex justify-end gap-2 pt-2">
+            {githubToken && (
+              <button
+                onClick={() => onSave("")}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 transition-colors"
+              >
+                Remove token
+              </button>
+            )}
+            <button
+              onClick={() => onSave(draft.trim())}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Check size={16} /> Save
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 border-t border-slate-100">
+          <ThemeSettings theme={theme} onChange={onThemeChange} />
+        </div>
+
+        <div className="p-6 border-t border-slate-100">
+          <ForgeSettings forges={forges} onSave={onForgeSave} />
+        </div>
+
+        <div className="p-6 border-t border-slate-100">
+          <HealthSettings config={healthConfig} onSave={onHealthSave} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const BookmarkFilters = ({
+  bookmarkFilters,
+  bookmarks,
+  collections,
+  onChange,
+  onCollectionCreate,
+  onCollectionDelete,
+  refreshStatus,
+  onRefresh,
+  onImportExport
+}) => {
+  const { text, tags, collection, language, sort } = bookmarkFilters;
+  const [newCollection, setNewCollection] = useState("");
+  const all = Array.from(bookmarks.values());
+  const tagCounts = countBy(all, repo => getBookmarkMeta(repo).tags);
+  const languageCounts = countBy(all, repo => (repo.language ? [repo.language] : []));
+
+  const toggleTag = (tag) => onChange({
+    tags: tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag]
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newCollection.trim()) return;
+    onCollectionCreate(newCollection.trim());
+    setNewCollection("");
+  };
+
+  return (
+    <div className="bg-white border-b border-slate-200 sticky top-0 z-30 px-4 py-4 md:px-8 shadow-sm">
+      <div className="max-w-7xl mx-auto flex flex-col md:flex-row gap-4">
+        <div className="relative flex-grow max-w-md">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => onChange({ text: e.target.value })}
+            placeholder="Search bookmarks, tags and notes..."
+            className="w-full pl-10 pr-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+          />
+        </div>
+
+        <div className="flex gap-3 overflow-x-auto pb-2 md:pb-0">
+          <select
+            value={collection}
+            onChange={(e) => onChange({ collection: e.target.value })}
+            className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
+          >
+            <option value="">All Collections</option>
+            {Array.from(collections.entries()).map(([id, { name }]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+            <option value="unfiled">Unfiled</option>
+          </select>
+
+          {collection && collection !== 'unfiled' && (
+            <button
+              onClick={() => onCollectionDelete(collection)}
+              className="px-3 py-2.5 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+              title="Delete collection"
+            >
+              <Trash2 size={16} />
+            </button>
+          )}
+
+          <select
+            value={language}
+            onChange={(e) => onChange({ language: e.target.value })}
+            className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
+          >
+            <option value="">All Languages</option>
+            {languageCounts.map(([lang, count]) => (
+              <option key={lang} value={lang}>{lang} ({count})</option>
+            ))}
+          </select>
+
+          <select
+            value={sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+            className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500 cursor-pointer"
+          >
+            <option value="bookmarkedAt">Recently Bookmarked</option>
+            <option value="stars">Most Stars</option>
+            <option value="pushed">Recently Pushed</option>
+            <option value="health">Healthiest</option>
+          </select>
+        </div>
+
+        <form onSubmit={handleCreate} className="flex gap-2 md:ml-auto">
+          <input
+            type="text"
+            value={newCollection}
+            onChange={(e) => setNewCollection(e.target.value)}
+            placeholder="New collection"
+            className="w-40 px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-slate-600 hover:border-blue-300 hover:text-blue-600 transition-colors"
+            title="Create collection"
+          >
+            <FolderPlus size={16} />
+          </button>
+        </form>
+
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onRefresh}
+            disabled={refreshStatus.running}
+            className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-600 hover:border-blue-300 hover:text-blue-600 transition-colors flex items-center gap-2 disabled:opacity-60"
+            title="Re-fetch every bookmark from GitHub"
+          >
+            <RefreshCw size={16} className={refreshStatus.running ? "animate-spin" : ""} />
+            {refreshStatus.running ? `${refreshStatus.done}/${refreshStatus.total}` : 'Refresh'}
+          </button>
+          <button
+            onClick={onImportExport}
+            className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-600 hover:border-blue-300 hover:text-blue-600 transition-colors flex items-center gap-2 whitespace-nowrap"
+            title="Import or export bookmarks and notes"
+          >
+            <ArrowDownUp size={16} /> Import / Export
+          </button>
+          {refreshStatus.pausedUntil > Date.now() && (
+            <span className="text-xs text-amber-600 whitespace-nowrap">
+              Paused for rate limit until {new Date(refreshStatus.pausedUntil).toLocaleTimeString()}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {tagCounts.length > 0 && (
+        <div className="max-w-7xl mx-auto flex flex-wrap gap-2 mt-3">
+          {tagCounts.map(([tag, count]) => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className={`text-xs px-2.5 py-1 rounded-full border transition-colors ${
+                tags.includes(tag)
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-slate-50 border-slate-200 text-slate-600 hover:border-blue-300'
+              }`}
+            >
+              #{tag} <span className="opacity-70">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SCAN_STAGES = {
+  registry: "Looking up packages",
+  github: "Fetching repositories"
+};
+
+const DependencyScanner = ({ scan, collections, canEdit, hasToken, onScan, onBookmark, onHealthCheck, onClear }) => {
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [editing, setEditing] = useState(!scan);
+  const [phase, setPhase] = useState('idle'); // idle | scanning | checking | bookmarking
+  const [progress, setProgress] = useState(null);
+  const [collectionName, setCollectionName] = useState("");
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setText(await file.text());
+      setFileName(file.name);
+    }
+    e.target.value = "";
+  };
+
+  const handleScan = async () => {
+    setError(null);
+    setMessage(null);
+    setPhase('scanning');
+    try {
+      await onScan(text, fileName, setProgress);
+      setEditing(false);
+    } catch (err) {
+      setError(err.message);
+    }
+    setPhase('idle');
+    setProgress(null);
+  };
+
+  const handleHealthCheck = async () => {
+    setError(null);
+    setMessage(null);
+    setPhase('checking');
+    try {
+      const checked = await onHealthCheck((done, total) => setProgress({ done, total }));
+      setMessage(checked ? `Checked ${checked} repositories.` : "Health signals are already up to date.");
+    } catch (err) {
+      setError(err.message);
+    }
+    setPhase('idle');
+    setProgress(null);
+  };
+
+  const handleBookmark = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    setPhase('bookmarking');
+    try {
+      const added = await onBookmark(collectionName.trim());
+      setMessage(`Added ${added} bookmark(s)${collectionName.trim() ? ` to "${collectionName.trim()}"` : ""}.`);
+    } catch (err) {
+      setError(err.message);
+    }
+    setPhase('idle');
+  };
+
+  const busy = phase !== 'idle';
+
+  return (
+    <div className="bg-white border-b border-slate-200 px-4 py-4 md:px-8 shadow-sm">
+      <div className="max-w-7xl mx-auto space-y-3">
+        {editing || !scan ? (
+          <>
+            <p className="text-xs text-slate-500 leading-relaxed">
+              Paste or upload a <code>package.json</code>, <code>requirements.txt</code>, <code>go.mod</code> or <code>Cargo.toml</code>.
+              Each dependency is traced to its GitHub repository through the manifest or its package registry.
+            </p>
+            <textarea
+              value={text}
+              onChange={(e) => {
+                setText(e.target.value);
+                setFileName("");
+              }}
+              placeholder={'{\n  "dependencies": { "react": "^18.2.0" }\n}'}
+              disabled={busy}
+              className="w-full h-32 p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm font-mono focus:outline-none focus:border-blue-500 resize-y"
+            />
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-2">
+              <input
+                type="file"
+                accept=".json,.txt,.in,.mod,.toml"
+                onChange={handleFile}
+                disabled={busy}
+                className="text-xs text-slate-500 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-slate-100 file:text-slate-700"
+              />
+              <div className="flex justify-end gap-2">
+                {scan && (
+                  <button
+                    onClick={() => setEditing(false)}
+                    disabled={busy}
+                    className="px-4 py-2 rounded-lg text-sm font-medium text-slate-500 hover:bg-slate-100 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                )}
+                <button
+                  onClick={handleScan}
+                  disabled={!text.trim() || busy}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 whitespace-nowrap"
+                >
+                  {phase === 'scanning'
+                    ? <><Loader size={16} className="animate-spin" /> {progress ? `${SCAN_STAGES[progress.stage]} ${progress.done}/${progress.total}` : "Reading..."}</>
+                    : <><Package size={16} /> Scan dependencies</>}
+                </button>
+              </div>
+            </div>
+          </>
+        ) : (
+          <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+            <div className="flex items-center gap-2 text-sm min-w-0">
+              <Package size={16} className="text-slate-400 shrink-0" />
+              <span className="font-medium text-slate-800 truncate">{scan.fileName}</span>
+              <span className="text-slate-400 whitespace-nowrap">
+                {scan.repos.length} repositories · scanned {new Date(scan.scannedAt).toLocaleString()}
+              </span>
+              <button onClick={() => setEditing(true)} className="text-blue-600 hover:underline whitespace-nowrap">New scan</button>
+              <button onClick={onClear} className="p-1 text-slate-400 hover:text-red-600" title="Clear results">
+                <X size={14} />
+              </button>
+            </div>
+
+            <div className="flex flex-col md:flex-row md:items-center gap-2 lg:ml-auto">
+              <button
+                onClick={handleHealthCheck}
+                disabled={busy || scan.repos.length === 0}
+                className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-600 hover:border-blue-300 hover:text-blue-600 transition-colors flex items-center gap-2 whitespace-nowrap disabled:opacity-60"
+                title={hasToken ? "Collect health signals for every repository" : "Uses about six requests per repository; add a GitHub token in Settings for large manifests"}
+              >
+                <HeartPulse size={16} className={phase === 'checking' ? "animate-pulse" : ""} />
+                {phase === 'checking' && progress ? `${progress.done}/${progress.total}` : "Check health"}
+              </button>
+              <form onSubmit={handleBookmark} className="flex gap-2">
+                <input
+                  type="text"
+                  list="dependency-collections"
+                  value={collectionName}
+                  onChange={(e) => setCollectionName(e.target.value)}
+                  placeholder="Into collection (optional)"
+                  className="w-52 px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                />
+                <datalist id="dependency-collections">
+                  {Array.from(collections.values()).map(({ name }) => <option key={name} value={name} />)}
+                </datalist>
+                <button
+                  type="submit"
+                  disabled={busy || !canEdit || scan.repos.length === 0}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 whitespace-nowrap"
+                  title={canEdit ? "Bookmark every repository listed below" : VIEW_ONLY_MESSAGE}
+                >
+                  {phase === 'bookmarking' ? <Loader size={16} className="animate-spin" /> : <Bookmark size={16} />}
+                  Bookmark all
+                </button>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        {message && (
+          <p className="text-sm text-emerald-700 flex items-center gap-2">
+            <Check size={16} /> {message}
+          </p>
+        )}
+
+        {scan?.unresolved.length > 0 && !editing && (
+          <details className="text-xs text-slate-500">
+            <summary className="cursor-pointer hover:text-slate-700">
+              {scan.unresolved.length} dependencies could not be matched to a GitHub repository
+            </summary>
+            <ul className="mt-2 grid md:grid-cols-2 gap-x-6 gap-y-1">
+              {scan.unresolved.map(({ name, version, reason }) => (
+                <li key={name} className="flex gap-2 min-w-0">
+                  <span className="font-mono text-slate-700 truncate">{name}</span>
+                  {version && <span className="text-slate-400 truncate">{version}</span>}
+                  <span className="ml-auto shrink-0">{reason}</span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const IMPORT_STATUS_STYLES = {
+  create: { label: "Create", className: "bg-emerald-50 text-emerald-700" },
+  update: { label: "Update", className: "bg-blue-50 text-blue-700" },
+  duplicate: { label: "Duplicate", className: "bg-slate-100 text-slate-500" },
+  error: { label: "Error", className: "bg-red-50 text-red-700" }
+};
+
+const GitHubImport = ({ bookmarks, syncs, onFetch, onImport, onSyncNow, onSyncStop }) => {
+  const [kind, setKind] = useState('starred');
+  const [login, setLogin] = useState("");
+  const [phase, setPhase] = useState('idle'); // idle | loading | pick | importing | done
+  const [items, setItems] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [collectionName, setCollectionName] = useState("");
+  const [autoSync, setAutoSync] = useState(true);
+  const [error, setError] = useState(null);
+  const [imported, setImported] = useState(0);
+
+  const isBookmarked = (repo) => bookmarks.has(String(repo.id));
+
+  const handleFetch = async (e) => {
+    e.preventDefault();
+    if (!login.trim()) return;
+    setError(null);
+    setPhase('loading');
+    try {
+      const fetched = await onFetch(kind, login.trim());
+      setItems(fetched);
+      setSelected(new Set(fetched.filter(({ repo }) => !isBookmarked(repo)).map(({ repo }) => repo.id)));
+      setPhase('pick');
+    } catch (err) {
+      setError(err.message);
+      setPhase('idle');
+    }
+  };
+
+  const toggle = (id) => setSelected(current => {
+    const next = new Set(current);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const handleImport = async () => {
+    setError(null);
+    setPhase('importing');
+    try {
+      const picked = items.filter(({ repo }) => selected.has(repo.id) && !isBookmarked(repo));
+      setImported(await onImport({ kind, login: login.trim(), items, picked, collectionName: collectionName.trim(), autoSync }));
+      setPhase('done');
+    } catch (err) {
+      setError(err.message);
+      setPhase('pick');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+        <Github size={16} /> Import from GitHub
+      </h3>
+
+      {(phase === 'idle' || phase === 'loading' || phase === 'done') && (
+        <form onSubmit={handleFetch} className="flex flex-col md:flex-row gap-2">
+          <select
+            value={kind}
+            onChange={(e) => setKind(e.target.value)}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:border-blue-500"
+          >
+            {Object.entries(GITHUB_SOURCES).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={login}
+            onChange={(e) => setLogin(e.target.value)}
+            placeholder={kind === 'org' ? "Organization" : "Username"}
+            className="flex-grow px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={!login.trim() || phase === 'loading'}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            {phase === 'loading' ? <Loader size={16} className="animate-spin" /> : <Search size={16} />} Load
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {phase === 'done' && (
+        <p className="text-sm text-emerald-700 flex items-center gap-2">
+          <Check size={16} /> Added {imported} bookmark(s).
+        </p>
+      )}
+
+      {(phase === 'pick' || phase === 'importing') && (
+        <>
+          <div className="flex items-center justify-between text-xs text-slate-500">
+            <span>{items.length} repositories, {selected.size} selected</span>
+            <span className="flex gap-3">
+              <button
+                onClick={() => setSelected(new Set(items.filter(({ repo }) => !isBookmarked(repo)).map(({ repo }) => repo.id)))}
+                className="hover:text-blue-600"
+              >
+                Select all
+              </button>
+              <button onClick={() => setSelected(new Set())} className="hover:text-blue-600">None</button>
+            </span>
+          </div>
+          <ul className="max-h-64 overflow-y-auto divide-y divide-slate-100 border border-slate-200 rounded-lg">
+            {items.map(({ repo }) => {
+              const already = isBookmarked(repo);
+              return (
+                <li key={repo.id}>
+                  <label className={`flex items-center gap-3 px-3 py-2 text-sm ${already ? 'opacity-50' : 'cursor-pointer hover:bg-slate-50'}`}>
+                    <input
+                      type="checkbox"
+                      checked={already || selected.has(repo.id)}
+                      disabled={already}
+                      onChange={() => toggle(repo.id)}
+                    />
+                    <span className="font-medium text-slate-700 truncate">{repo.full_name}</span>
+                    <span className="text-xs text-slate-400 ml-auto shrink-0">
+                      {already ? "Already bookmarked" : `★ ${formatCompact(repo.stargazers_count)}`}
+                    </span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+          <div className="flex flex-col md:flex-row md:items-center gap-3">
+            <input
+              type="text"
+              value={collectionName}
+              onChange={(e) => setCollectionName(e.target.value)}
+              placeholder="Add to collection (optional)"
+              className="flex-grow px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <label className="flex items-center gap-2 text-sm text-slate-600 whitespace-nowrap">
+              <input type="checkbox" checked={autoSync} onChange={(e) => setAutoSync(e.target.checked)} />
+              Keep in sync
+            </label>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setPhase('idle')}
+              disabled={phase === 'importing'}
+              className="px-4 py-2 rounded-lg text-sm font-medium text-slate-500 hover:bg-slate-100 transition-colors"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={phase === 'importing' || (selected.size === 0 && !autoSync)}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              {phase === 'importing' ? <Loader size={16} className="animate-spin" /> : <Check size={16} />}
+              Add {selected.size} bookmark(s)
+            </button>
+          </div>
+        </>
+      )}
+
+      {syncs.size > 0 && (
+        <div className="pt-2">
+          <p className="text-xs text-slate-500 mb-2">
+            Kept in sync: new repositories are bookmarked automatically about every hour.
+          </p>
+          <ul className="space-y-1">
+            {Array.from(syncs.entries()).map(([id, sync]) => (
+              <li key={id} className="flex items-center gap-2 text-sm">
+                <span className="font-medium text-slate-700">{sync.login}</span>
+                <span className="text-xs text-slate-400">{GITHUB_SOURCES[sync.kind]?.label}</span>
+                <span className="text-xs text-slate-400 ml-auto">
+                  {sync.lastSyncedAt ? `synced ${new Date(sync.lastSyncedAt).toLocaleString()}` : "not synced yet"}
+                </span>
+                <button onClick={() => onSyncNow(id)} className="p-1 text-slate-400 hover:text-blue-600" title="Sync now">
+                  <RefreshCw size={14} />
+                </button>
+                <button onClick={() => onSyncStop(id)} className="p-1 text-slate-400 hover:text-red-600" title="Stop syncing">
+                  <X size={14} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ImportExportPanel = ({ isOpen, bookmarks, githubSyncs, onExport, onPreview, onImport, githubImport, onClose }) => {
+  const bookmarkCount = bookmarks.size;
+  const [text, setText] = useState("");
+  const [phase, setPhase] = useState('idle'); // idle | resolving | preview | importing | done
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState(null);
+  const [imported, setImported] = useState(0);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setText("");
+    setPhase('idle');
+    setItems([]);
+    setError(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const counts = countBy(items, item => [item.status]);
+  const writable = items.filter(item => item.status === 'create' || item.status === 'update').length;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) setText(await file.text());
+    e.target.value = "";
+  };
+
+  const handlePreview = async () => {
+    setError(null);
+    setPhase('resolving');
+    setProgress({ done: 0, total: 0 });
+    try {
+      setItems(await onPreview(text, (done, total) => setProgress({ done, total })));
+      setPhase('preview');
+    } catch (err) {
+      setError(err.message);
+      setPhase('idle');
+    }
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    setPhase('importing');
+    try {
+      setImported(await onImport(items));
+      setPhase('done');
+    } catch (err) {
+      setError(err.message);
+      setPhase('preview');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl" onClick={e => e.stopPropagation()}>
+        <header className="sticky top-0 bg-white border-b border-slate-100 px-6 py-4 flex justify-between items-center z-10">
+          <h2 className="font-bold text-lg text-slate-800 flex items-center gap-2">
+            <ArrowDownUp size={18} className="text-slate-500" /> Import & Export
+          </h2>
+          <button
+            className="p-2 hover:bg-slate-100 rounded-full text-slate-400 hover:text-slate-600 transition-colors"
+            onClick={onClose}
+          >
+            <X size={20} />
+          </button>
+        </header>
+
+        <section className="p-6 space-y-3">
+          <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+            <Download size={16} /> Export {bookmarkCount} bookmark(s) with their notes
+          </h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {EXPORT_FORMATS.map(({ id, label, hint }) => (
+              <button
+                key={id}
+                onClick={() => onExport(id)}
+                disabled={bookmarkCount === 0}
+                className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-left hover:border-blue-300 transition-colors disabled:opacity-50"
+              >
+                <span className="block text-sm font-medium text-slate-700">{label}</span>
+                <span className="block text-xs text-slate-400">{hint}</span>
+              </button>
+            ))}
+          </div>
+        </section>
+
+        <section className="p-6 border-t border-slate-100 space-y-3">
+          <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+            <Upload size={16} /> Import
+          </h3>
+          <p className="text-xs text-slate-500 leading-relaxed">
+            Accepts this app's JSON, CSV, Markdown and OPML exports, a GitHub starred-repos JSON dump,
+            or one <code>owner/repo</code> (or GitHub URL) per line. Every entry is looked up on GitHub before anything is written.
+          </p>
+
+          {(phase === 'idle' || phase === 'resolving') && (
+            <>
+              <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={"facebook/react\nhttps://github.com/vercel/next.js"}
+                disabled={phase === 'resolving'}
+                className="w-full h-32 p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm font-mono focus:outline-none focus:border-blue-500 resize-y"
+              />
+              <div className="flex items-center justify-between gap-2">
+                <input
+                  type="file"
+                  accept=".json,.csv,.md,.markdown,.opml,.xml,.txt"
+                  onChange={handleFile}
+                  disabled={phase === 'resolving'}
+                  className="text-xs text-slate-500 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-slate-100 file:text-slate-700"
+                />
+                <button
+                  onClick={handlePreview}
+                  disabled={!text.trim() || phase === 'resolving'}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 whitespace-nowrap"
+                >
+                  {phase === 'resolving'
+                    ? <><Loader size={16} className="animate-spin" /> Resolving {progress.done}/{progress.total}</>
+                    : <><Search size={16} /> Preview</>}
+                </button>
+              </div>
+            </>
+          )}
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          {(phase === 'preview' || phase === 'importing') && (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {counts.map(([status, count]) => (
+                  <span key={status} className={`text-xs font-medium px-2 py-0.5 rounded-full ${IMPORT_STATUS_STYLES[status].className}`}>
+                    {count} {IMPORT_STATUS_STYLES[status].label.toLowerCase()}
+                  </span>
+                ))}
+              </div>
+              <ul className="max-h-64 overflow-y-auto divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                {items.map((item, i) => (
+                  <li key={i} className="flex items-center gap-3 px-3 py-2 text-sm">
+                    <span className={`text-xs font-medium px-2 py-0.5 rounded-full shrink-0 ${IMPORT_STATUS_STYLES[item.status].className}`}>
+                      {IMPORT_STATUS_STYLES[item.status].label}
+                    </span>
+                    <span className="font-medium text-slate-700 truncate">{item.repo?.full_name || item.fullName}</span>
+                    <span className="text-xs text-slate-400 ml-auto shrink-0">{item.reason}</span>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex justify-end gap-2">
+                <button
+                  onClick={() => setPhase('idle')}
+                  disabled={phase === 'importing'}
+                  className="px-4 py-2 rounded-lg text-sm font-medium text-slate-500 hover:bg-slate-100 transition-colors"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={writable === 0 || phase === 'importing'}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+                >
+                  {phase === 'importing' ? <Loader size={16} className="animate-spin" /> : <Check size={16} />}
+                  Import {writable} bookmark(s)
+                </button>
+              </div>
+            </>
+          )}
+
+          {phase === 'done' && (
+            <p className="text-sm text-emerald-700 flex items-center gap-2">
+              <Check size={16} /> Imported {imported} bookmark(s).
+            </p>
+          )}
+        </section>
+
+        <section className="p-6 border-t border-slate-100">
+          <GitHubImport bookmarks={bookmarks} syncs={githubSyncs} {...githubImport} />
+        </section>
+      </div>
+    </div>
+  );
+};
+
+const BookmarkOrganizer = ({ meta, collections, onMetaChange, onCollectionCreate }) => {
+  const [tagDraft, setTagDraft] = useState("");
+
+  const toggleCollection = (id) => onMetaChange({
+    collections: meta.collections.includes(id)
+      ? meta.collections.filter(c => c !== id)
+      : [...meta.collections, id]
+  });
+
+  const addTags = (e) => {
+    e.preventDefault();
+    const added = tagDraft.split(',').map(normalizeTag).filter(Boolean);
+    if (added.length) onMetaChange({ tags: Array.from(new Set([...meta.tags, ...added])) });
+    setTagDraft("");
+  };
+
+  return (
+    <section className="bg-slate-50 rounded-xl p-6 border border-slate-200 space-y-4">
+      <div>
+        <h3 className="flex items-center gap-2 font-semibold text-slate-800 mb-3">
+          <Folder size={18} className="text-slate-500" /> Collections
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          {Array.from(collections.entries()).map(([id, { name }]) => (
+            <button
+              key={id}
+              onClick={() => toggleCollection(id)}
+              className={`text-sm px-3 py-1 rounded-lg border transition-colors ${
+                meta.collections.includes(id)
+                  ? 'bg-blue-50 border-blue-300 text-blue-700'
+                  : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+          <button
+            onClick={() => {
+              const name = window.prompt("Collection name");
+              if (name?.trim()) onCollectionCreate(name.trim());
+            }}
+            className="text-sm px-3 py-1 rounded-lg border border-dashed border-slate-300 text-slate-500 hover:text-blue-600 hover:border-blue-300 flex items-center gap-1"
+          >
+            <Plus size={14} /> New
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="flex items-center gap-2 font-semibold text-slate-800 mb-3">
+          <Tag size={18} className="text-slate-500" /> Tags
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          {meta.tags.map(tag => (
+            <span key={tag} className="text-xs px-2.5 py-1 rounded-full bg-white border border-slate-200 text-slate-600 flex items-center gap-1">
+              #{tag}
+              <button
+                onClick={() => onMetaChange({ tags: meta.tags.filter(t => t !== tag) })}
+                className="text-slate-400 hover:text-red-500"
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          <form onSubmit={addTags}>
+            <input
+              type="text"
+              value={tagDraft}
+              onChange={(e) => setTagDraft(e.target.value)}
+              placeholder="Add tags, comma separated"
+              className="text-sm px-3 py-1 bg-white border border-slate-200 rounded-lg focus:outline-none focus:border-blue-500"
+            />
+          </form>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+const MultiTrendChart = ({ series }) => {
+  const all = series.flatMap(s => s.points);
+  if (all.length < 2) return null;
+
+  const [minX, maxX] = [Math.min(...all.map(p => p.x)), Math.max(...all.map(p => p.x))];
+  const maxY = Math.max(...all.map(p => p.y), 1);
+  const scaleX = (x) => ((x - minX) / (maxX - minX || 1)) * CHART_WIDTH;
+  const scaleY = (y) => CHART_HEIGHT - 4 - (y / maxY) * (CHART_HEIGHT - 8);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-40">
+        {series.map(({ label, points, strokeClass }) => (
+          <path
+            key={label}
+            d={points.map((p, i) => `${i ? 'L' : 'M'}${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`).join(' ')}
+            fill="none"
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+            className={strokeClass}
+          />
+        ))}
+      </svg>
+      <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+        <span>{new Date(minX).toLocaleDateString()}</span>
+        <span>max {formatCompact(maxY)} stars</span>
+        <span>{new Date(maxX).toLocaleDateString()}</span>
+      </div>
+    </div>
+  );
+};
+
+const CompareTray = ({ repos, onRemove, onClear, onCompare }) => (
+  <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 bg-slate-900 text-white rounded-xl shadow-2xl px-4 py-3 flex items-center gap-4 max-w-[95vw]">
+    <div className="flex items-center gap-2 overflow-x-auto">
+      {repos.map(repo => (
+        <span key={repo.id} className="flex items-center gap-1.5 bg-slate-800 rounded-lg pl-1 pr-2 py-1 text-sm whitespace-nowrap">
+          <img src={repo.owner.avatar_url} alt="" className="w-5 h-5 rounded-full" />
+          {repo.name}
+          <button onClick={() => onRemove(repo)} className="text-slate-400 hover:text-white">
+            <X size={14} />
+          </button>
+        </span>
+      ))}
+    </div>
+    <button onClick={onClear} className="text-sm text-slate-400 hover:text-white">Clear</button>
+    <button
+      onClick={onCompare}
+      disabled={repos.length < COMPARE_MIN}
+      className="bg-blue-600 hover:bg-blue-500 disabled:bg-slate-700 disabled:text-slate-400 px-4 py-1.5 rounded-lg text-sm font-medium flex items-center gap-2 whitespace-nowrap"
+    >
+      <GitCompare size={16} />
+      Compare {repos.length}/{COMPARE_MAX}
+    </button>
+  </div>
+);
+
+const ComparisonView = ({ repos, details, loading, deferred, onLoad, onRemove, onDetailsOpen }) => {
+  if (repos.length < COMPARE_MIN) {
+    return (
+      <div className="flex flex-col items-center justify-center py-20 text-slate-400 text-center">
+        <GitCompare size={64} className="mb-4 opacity-50" />
+        <h3 className="text-xl font-semibold text-slate-600 mb-2">Pick at least {COMPARE_MIN} repositories</h3>
+        <p className="max-w-sm mx-auto">
+          Use the compare toggle on cards in Discover or Bookmarks to select up to {COMPARE_MAX} repositories.
+        </p>
+      </div>
+    );
+  }
+
+  const series = repos.map((repo, i) => ({
+    label: repo.full_name,
+    points: details.get(String(repo.id))?.starHistory || [],
+    strokeClass: SERIES_COLORS[i].stroke
+  }));
+
+  return (
+    <div className="space-y-6">
+      {deferred && (
+        <div className="flex items-center justify-between gap-3 bg-blue-50 border border-blue-200 rounded-xl px-4 py-3 text-sm text-blue-800">
+          <span>Release cadence, contributors and star growth take about seven GitHub requests per repository. With a token in Settings, they load on their own.</span>
+          <button
+            onClick={onLoad}
+            className="shrink-0 px-3 py-1.5 text-xs font-medium text-blue-600 bg-white border border-blue-200 rounded-lg hover:border-blue-300"
+          >
+            Load details
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white border border-slate-200 rounded-xl overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200">
+              <th className="text-left font-medium text-slate-500 px-4 py-3 w-40">
+                {loading && <Loader size={14} className="animate-spin inline" />}
+              </th>
+              {repos.map((repo, i) => (
+                <th key={repo.id} className="text-left px-4 py-3 min-w-[160px]">
+                  <div className="flex items-center gap-2">
+                    <span className={`w-2 h-2 rounded-full ${SERIES_COLORS[i].dot}`}></span>
+                    <button
+                      onClick={() => onDetailsOpen(repo)}
+                      className="font-semibold text-slate-800 hover:text-blue-600 truncate"
+                    >
+                      {repo.full_name}
+                    </button>
+                    <button onClick={() => onRemove(repo)} className="text-slate-300 hover:text-slate-500 ml-auto">
+                      <X size={14} />
+                    </button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARE_ROWS.map(row => {
+              const values = repos.map(repo => row.value(repo, details.get(String(repo.id))));
+              const best = getBestValue(row, values);
+              return (
+                <tr key={row.label} className="border-b border-slate-100 last:border-0">
+                  <td className="px-4 py-2.5 text-slate-500 font-medium">{row.label}</td>
+                  {values.map((value, i) => (
+                    <td
+                      key={repos[i].id}
+                      className={`px-4 py-2.5 ${
+                        best !== null && value === best
+                          ? 'bg-emerald-50 text-emerald-700 font-semibold'
+                          : 'text-slate-700'
+                      }`}
+                    >
+                      {value === null || value === undefined ? "—" : (row.format ? row.format(value) : value)}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white border border-slate-200 rounded-xl p-6">
+        <div className="flex items-center gap-2 mb-4 text-slate-800 font-semibold">
+          <TrendingUp className="w-5 h-5 text-slate-500" />
+          Star growth
+        </div>
+        {loading
+          ? <p className="text-xs text-slate-400">Loading stargazer history...</p>
+          : deferred
+            ? <p className="text-xs text-slate-400">Star growth loads with the details above.</p>
+            : <MultiTrendChart series={series} />}
+      </div>
+    </div>
+  );
+};
+
+const HealthGrade = ({ health }) => (
+  <span
+    className={`text-xs font-bold px-2 py-0.5 rounded-md ${health.className}`}
+    title={`Health score ${health.score}/100`}
+  >
+    {health.grade} <span className="font-medium opacity-75">{health.score}</span>
+  </span>
+);
+
+const HealthBreakdown = ({ health, loading, error, onCheck }) => (
+  <div className="bg-slate-50 rounded-xl p-6 border border-slate-200">
+    <div className="flex items-center justify-between mb-4 text-slate-800 font-semibold">
+      <span className="flex items-center gap-2">
+        <HeartPulse className="w-5 h-5 text-slate-500" />
+        Health Score
+      </span>
+      {health && <HealthGrade health={health} />}
+      {!health && loading && <Loader size={16} className="animate-spin text-slate-400" />}
+    </div>
+
+    {error && <p className="text-xs text-red-600 mb-3">{error}</p>}
+
+    {!health && !loading && onCheck && (
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-xs text-slate-500">Uses about six GitHub requests. With a token in Settings, it runs on its own.</p>
+        <button
+          onClick={onCheck}
+          className="shrink-0 px-3 py-1.5 text-xs font-medium text-blue-600 bg-white border border-slate-200 rounded-lg hover:border-blue-300"
+        >
+          Check health
+        </button>
+      </div>
+    )}
+
+    {health && (
+      <ul className="space-y-3">
+        {health.breakdown.map(({ id, label, weight, score, detail }) => (
+          <li key={id}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="font-medium text-slate-700">{label}</span>
+              <span className="text-slate-400 text-xs">weight {weight}</span>
+            </div>
+            <div className="h-1.5 bg-slate-200 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full ${score >= 0.75 ? 'bg-emerald-500' : score >= 0.4 ? 'bg-amber-500' : 'bg-red-500'}`}
+                style={{ width: `${Math.round(score * 100)}%` }}
+              />
+            </div>
+            <p className="text-xs text-slate-500 mt-1">{detail}</p>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const HEALTH_WEIGHT_LABELS = Object.fromEntries(HEALTH_CRITERIA.map(c => [c.id, c.label]));
+const HEALTH_THRESHOLD_LABELS = {
+  maxDaysSincePush: "Full marks if pushed within (days)",
+  minIssueCloseRate: "Full marks at issue close rate (0–1)",
+  maxDaysSinceRelease: "Full marks if released within (days)",
+  minBusFactor: "Full marks at bus factor"
+};
+
+const HealthSettings = ({ config, onSave }) => {
+  const [draft, setDraft] = useState(config);
+
+  useEffect(() => {
+    setDraft(config);
+  }, [config]);
+
+  const updateField = (group, key, value) => setDraft(current => ({
+    ...current,
+    [group]: { ...current[group], [key]: value === "" ? "" : Number(value) }
+  }));
+
+  const renderFields = (group, labels, step) => Object.entries(labels).map(([key, label]) => (
+    <label key={key} className="flex items-center justify-between gap-3 text-sm text-slate-600">
+      {label}
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={draft[group][key]}
+        onChange={(e) => updateField(group, key, e.target.value)}
+        className="w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg text-sm text-right focus:outline-none focus:border-blue-500"
+      />
+    </label>
+  ));
+
+  return (
+    <div className="space-y-3">
+      <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+        <HeartPulse size={16} /> Health score criteria
+      </h3>
+      <p className="text-xs text-slate-500">Weights</p>
+      {renderFields('weights', HEALTH_WEIGHT_LABELS, 1)}
+      <p className="text-xs text-slate-500 pt-2">Thresholds</p>
+      {renderFields('thresholds', HEALTH_THRESHOLD_LABELS, 'any')}
+      <div className="flex justify-end gap-2 pt-2">
+        <button
+          onClick={() => onSave(HEALTH_DEFAULTS)}
+          className="px-4 py-2 rounded-lg text-sm font-medium text-slate-500 hover:bg-slate-100 transition-colors"
+        >
+          Reset to defaults
+        </button>
+        <button
+          onClick={() => onSave(draft)}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+        >
+          <Check size={16} /> Save criteria
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// The github.com token field sits above; a GitHub Enterprise server gets its own token here
+const ForgeSettings = ({ forges, onSave }) => {
+  const [draft, setDraft] = useState(forges);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(forges);
+  }, [forges]);
+
+  const updateField = (provider, key, value) => setDraft(current => ({
+    ...current,
+    [provider]: { ...current[provider], [key]: value }
+  }));
+
+  const handleSave = () => {
+    const invalid = FORGE_IDS.find(id => draft[id].apiBase.trim() && !/^https?:\/\/[^/]+/i.test(draft[id].apiBase.trim()));
+    if (invalid) {
+      setError(`The ${FORGE_PROVIDERS[invalid].label} API URL must start with http:// or https://`);
+      return;
+    }
+    setError(null);
+    onSave(draft);
+  };
+
+  return (
+    <div className="space-y-3">
+      <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+        <Server size={16} /> Forge servers
+      </h3>
+      <p className="text-xs text-slate-500 leading-relaxed">
+        Discover can also search GitLab and Gitea. Leave a URL empty for github.com, gitlab.com or gitea.com.
+        Tokens are optional, are only sent to their own server and are stored with your account data in Firestore.
+      </p>
+      {FORGE_IDS.map(id => (
+        <fieldset key={id} className="space-y-1.5">
+          <legend className="text-xs font-medium text-slate-600 mb-1">
+            {id === 'github' ? "GitHub Enterprise" : FORGE_PROVIDERS[id].label}
+          </legend>
+          <input
+            type="url"
+            value={draft[id].apiBase}
+            onChange={(e) => updateField(id, 'apiBase', e.target.value)}
+            placeholder={FORGE_PROVIDERS[id].apiBasePlaceholder}
+            aria-label={`${FORGE_PROVIDERS[id].label} API URL`}
+            className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+          />
+          {'token' in draft[id] && (
+            <input
+              type="password"
+              value={draft[id].token}
+              onChange={(e) => updateField(id, 'token', e.target.value)}
+              placeholder="Access token (optional)"
+              aria-label={`${id === 'github' ? "GitHub Enterprise" : FORGE_PROVIDERS[id].label} access token`}
+              autoComplete="off"
+              className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+          )}
+        </fieldset>
+      ))}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end pt-2">
+        <button
+          onClick={handleSave}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+        >
+          <Check size={16} /> Save servers
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const PROVIDER_LABELS = {
+  'github.com': "GitHub",
+  password: "email"
+};
+
+const AccountMenu = ({ user, status, onLink, onSignOut }) => {
+  const [open, setOpen] = useState(false);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+
+  if (!user) return null;
+
+  const providers = user.providerData.map(p => p.providerId);
+  const label = user.isAnonymous ? "Guest" : (user.displayName || user.email || "Account");
+  const verb = user.isAnonymous ? "Continue" : "Link";
+
+  const handleEmailSubmit = (e) => {
+    e.preventDefault();
+    if (email.trim() && password) onLink('email', { email: email.trim(), password });
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(current => !current)}
+        className="flex items-center gap-2 p-1.5 rounded-lg text-slate-300 hover:text-white hover:bg-slate-800 transition-colors"
+        title="Account"
+      >
+        {user.photoURL
+          ? <img src={user.photoURL} alt="" className="w-6 h-6 rounded-full" />
+          : <User size={18} />}
+        <span className="hidden md:inline text-sm font-medium max-w-[120px] truncate">{label}</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-80 bg-white text-slate-800 rounded-xl shadow-2xl border border-slate-200 p-4 z-50 space-y-4">
+          <div>
+            <p className="font-semibold text-sm">{label}</p>
+            <p className="text-xs text-slate-500 leading-relaxed">
+              {user.isAnonymous
+                ? "Guest data only lives in this browser. Sign in to keep it and use it on other devices."
+                : `Signed in with ${providers.map(id => PROVIDER_LABELS[id] || id).join(" and ")}.`}
+            </p>
+          </div>
+
+          {status.error && <p className="text-xs text-red-600">{status.error}</p>}
+
+          {!providers.includes('github.com') && (
+            <button
+              onClick={() => onLink('github')}
+              disabled={status.busy}
+              className="w-full bg-slate-900 hover:bg-slate-800 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2"
+            >
+              {status.busy ? <Loader size={16} className="animate-spin" /> : <Github size={16} />}
+              {verb} with GitHub
+            </button>
+          )}
+
+          {!providers.includes('password') && (
+            <form onSubmit={handleEmailSubmit} className="space-y-2">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email"
+                autoComplete="email"
+                className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="current-password"
+                className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={status.busy}
+                className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2"
+              >
+                <Mail size={16} /> {verb} with email
+              </button>
+            </form>
+          )}
+
+          <button
+            onClick={onSignOut}
+            className="w-full px-4 py-2 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 transition-colors flex items-center justify-center gap-2"
+          >
+            <LogOut size={16} /> Sign out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WorkspaceSwitcher = ({ workspaces, activeWorkspace, userId, onSwitch, onCreate, onManage }) => {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+  const active = workspaces.get(activeWorkspace);
+  const sorted = Array.from(workspaces.entries()).sort(([, a], [, b]) => a.name.localeCompare(b.name));
+
+  const choose = (id) => {
+    setOpen(false);
+    onSwitch(id);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setError(null);
+    try {
+      await onCreate(name.trim());
+      setName("");
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const itemClass = (selected) => `w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ${
+    selected ? 'bg-blue-50 text-blue-700 font-medium' : 'text-slate-600 hover:bg-slate-50'
+  }`;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(current => !current)}
+        className="flex items-center gap-2 px-2.5 py-1.5 rounded-lg text-sm font-medium text-slate-300 hover:text-white hover:bg-slate-800 transition-colors"
+        title="Switch workspace"
+      >
+        {active ? <Users size={16} /> : <User size={16} />}
+        <span className="hidden md:inline max-w-[140px] truncate">{active ? active.name : "Personal"}</span>
+        <ChevronDown size={14} />
+      </button>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-2 w-72 bg-white text-slate-800 rounded-xl shadow-2xl border border-slate-200 p-2 z-50">
+          <button onClick={() => choose(null)} className={itemClass(!active)}>
+            <User size={16} /> Personal
+            <span className="ml-auto text-xs text-slate-400">Private</span>
+          </button>
+          {sorted.map(([id, workspace]) => (
+            <button key={id} onClick={() => choose(id)} className={itemClass(id === activeWorkspace)}>
+              <Users size={16} />
+              <span className="truncate">{workspace.name}</span>
+              <span className="ml-auto text-xs text-slate-400">
+                {WORKSPACE_ROLES[getWorkspaceRole(workspace, userId)]?.label}
+              </span>
+            </button>
+          ))}
+
+          {active && (
+            <button
+              onClick={() => {
+                setOpen(false);
+                onManage();
+              }}
+              className={itemClass(false)}
+            >
+              <Settings size={16} /> Members & invites
+            </button>
+          )}
+
+          <form onSubmit={handleCreate} className="flex gap-2 pt-2 mt-2 border-t border-slate-100">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="New team workspace"
+              maxLength={100}
+              className="flex-1 min-w-0 px-3 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center gap-1"
+            >
+              <Plus size={14} /> Create
+            </button>
+          </form>
+          {error && <p className="text-xs text-red-600 px-1 pt-2">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WorkspacePanel = ({
+  isOpen,
+  workspaceId,
+  workspace,
+  user,
+  onInvite,
+  onInviteRevoke,
+  onRoleChange,
+  onMemberRemove,
+  onLeave,
+  onDelete,
+  onClose
+}) => {
+  const role = getWorkspaceRole(workspace, user?.uid);
+  const canManage = Boolean(WORKSPACE_ROLES[role]?.canManage);
+  const invites = useWorkspaceInvites({ workspaceId, enabled: isOpen && canManage });
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setCopied(null);
+    setError(null);
+  }, [isOpen]);
+
+  if (!isOpen || !workspace) return null;
+
+  const members = Object.entries(workspace.members)
+    .sort(([, a], [, b]) => a.joinedAt.localeCompare(b.joinedAt));
+
+  // Every action reports its failure here rather than behind the panel
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const copyLink = (code) => run(async () => {
+    await navigator.clipboard.writeText(buildInviteLink(workspaceId, code));
+    setCopied(code);
+  });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-white rounded-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto shadow-2xl" onClick={e => e.stopPropagation()}>
+        <header className="sticky top-0 bg-white border-b border-slate-100 px-6 py-4 flex justify-between items-center">
+          <h2 className="font-bold text-lg text-slate-800 flex items-center gap-2 min-w-0">
+            <Users size={18} className="text-slate-500 shrink-0" />
+            <span className="truncate">{workspace.name}</span>
+          </h2>
+          <button
+            className="p-2 hover:bg-slate-100 rounded-full text-slate-400 hover:text-slate-600 transition-colors"
+            onClick={onClose}
+          >
+            <X size={20} />
+          </button>
+        </header>
+
+        <div className="p-6 space-y-6">
+          <p className="text-xs text-slate-500 leading-relaxed">
+            Bookmarks, collections, GitHub syncs and comments here are shared with every member.
+            Editors and owners can change bookmarks, viewers can only read and comment.
+            Personal notes always stay private.
+          </p>
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          <section className="space-y-2">
+            <h3 className="text-sm font-semibold text-slate-700">Members</h3>
+            <ul className="divide-y divide-slate-100">
+              {members.map(([uid, member]) => (
+                <li key={uid} className="flex items-center gap-3 py-2 text-sm">
+                  <User size={16} className="text-slate-400 shrink-0" />
+                  <span className="truncate text-slate-700">
+                    {member.name}{uid === user.uid && <span className="text-slate-400"> (you)</span>}
+                  </span>
+                  {canManage && uid !== user.uid ? (
+                    <>
+                      <select
+                        value={member.role}
+                        onChange={(e) => run(() => onRoleChange(uid, e.target.value))}
+                        className="ml-auto px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg text-xs focus:outline-none focus:border-blue-500"
+                      >
+                        {Object.entries(WORKSPACE_ROLES).map(([id, { label }]) => (
+                          <option key={id} value={id}>{label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => run(() => onMemberRemove(uid))}
+                        className="text-slate-300 hover:text-red-500"
+                        title="Remove member"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </>
+                  ) : (
+                    <span className="ml-auto text-xs text-slate-400">{WORKSPACE_ROLES[member.role]?.label}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          {canManage && (
+            <section className="space-y-2">
+              <h3 className="text-sm font-semibold text-slate-700">Invite links</h3>
+              <div className="flex gap-2">
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className="px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                >
+                  {INVITE_ROLES.map(id => <option key={id} value={id}>{WORKSPACE_ROLES[id].label}</option>)}
+                </select>
+                <button
+                  onClick={() => run(async () => copyLink(await onInvite(inviteRole)))}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+                >
+                  <UserPlus size={16} /> Create invite link
+                </button>
+              </div>
+              <p className="text-xs text-slate-500">
+                Anyone with a link can join with its role until you revoke it. New links are copied to the clipboard.
+              </p>
+              <ul className="divide-y divide-slate-100">
+                {invites.map(invite => (
+                  <li key={invite.id} className="flex items-center gap-3 py-2 text-sm">
+                    <span className="text-slate-700">{WORKSPACE_ROLES[invite.role]?.label}</span>
+                    <span className="text-xs text-slate-400">{new Date(invite.createdAt).toLocaleString()}</span>
+                    <button
+                      onClick={() => copyLink(invite.id)}
+                      className="ml-auto text-xs font-medium text-blue-600 hover:text-blue-700 flex items-center gap-1"
+                    >
+                      {copied === invite.id ? <Check size={14} /> : <Copy size={14} />}
+                      {copied === invite.id ? "Copied" : "Copy link"}
+                    </button>
+                    <button
+                      onClick={() => run(() => onInviteRevoke(invite.id))}
+                      className="text-slate-300 hover:text-red-500"
+                      title="Revoke invite"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <div className="flex justify-end gap-2 pt-2 border-t border-slate-100">
+            <button
+              onClick={() => run(onLeave)}
+              className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100 transition-colors flex items-center gap-2"
+            >
+              <LogOut size={16} /> Leave
+            </button>
+            {canManage && (
+              <button
+                onClick={() => run(onDelete)}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 transition-colors flex items-center gap-2"
+              >
+                <Trash2 size={16} /> Delete workspace
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const SavedSearchMenu = ({ savedSearches, onRun }) => {
+  const [open, setOpen] = useState(false);
+  const total = countNewResults(savedSearches);
+  const sorted = Array.from(savedSearches.entries()).sort(([, a], [, b]) => a.name.localeCompare(b.name));
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(current => !current)}
+        className="relative p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+        title={total > 0 ? `${total} new results in saved searches` : "Saved searches"}
+      >
+        <Bell size={18} />
+        {total > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 bg-emerald-500 text-white text-[10px] font-bold min-w-[16px] h-4 px-1 rounded-full flex items-center justify-center">
+            {total}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 bg-white text-slate-800 rounded-xl shadow-2xl border border-slate-200 p-2 z-50">
+          <p className="px-3 py-1.5 text-xs font-semibold text-slate-400 uppercase tracking-wide">Saved searches</p>
+          {sorted.map(([id, saved]) => (
+            <button
+              key={id}
+              onClick={() => {
+                setOpen(false);
+                onRun(id);
+              }}
+              className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-left text-slate-600 hover:bg-slate-50 transition-colors"
+            >
+              <Search size={14} className="text-slate-400 shrink-0" />
+              <span className="truncate">{saved.name}</span>
+              {saved.newIds?.length > 0 ? (
+                <span className="ml-auto shrink-0 text-xs font-medium bg-emerald-100 text-emerald-700 px-2 py-0.5 rounded-full">
+                  {saved.newIds.length} new
+                </span>
+              ) : (
+                <span className="ml-auto shrink-0 text-xs text-slate-400">Up to date</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Navigation = ({
+  view,
+  bookmarksCount,
+  compareCount,
+  user,
+  accountStatus,
+  rateLimits,
+  online,
+  queuedWrites,
+  workspaces,
+  activeWorkspace,
+  savedSearches,
+  onViewChange,
+  onSettingsOpen,
+  onAccountLink,
+  onSignOut,
+  onWorkspaceSwitch,
+  onWorkspaceCreate,
+  onWorkspaceManage,
+  onSavedSearchRun,
+  onPaletteOpen
+}) => (
+  <nav className="bg-slate-900 text-white px-4 py-3 md:px-8">
+    <div className="max-w-7xl mx-auto flex justify-between items-center">
+      <div className="flex items-center gap-3">
+        <div className="bg-blue-600 p-1.5 rounded-lg">
+          <Github size={24} className="text-white" />
+        </div>
+        <div>
+          <h1 className="font-bold text-lg leading-none">GitHub Explorer</h1>
+          <p className="text-xs text-slate-400 font-medium">Pro Edition</p>
+        </div>
+        {user && (
+          <WorkspaceSwitcher
+            workspaces={workspaces}
+            activeWorkspace={activeWorkspace}
+            userId={user.uid}
+            onSwitch={onWorkspaceSwitch}
+            onCreate={onWorkspaceCreate}
+            onManage={onWorkspaceManage}
+          />
+        )}
+      </div>
+      
+      <div className="flex items-center gap-4">
+        <div className="flex items-center gap-1 bg-slate-800/50 p-1 rounded-lg">
+          <button 
+            className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all ${
+              view === 'discover' 
+                ? 'bg-blue-600 text-white shadow-lg' 
+                : 'text-slate-400 hover:text-white hover:bg-slate-800'
+            }`}
+            onClick={() => onViewChange('discover')}
+          >
+            Discover
+          </button>
+          <button 
+            className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${
+              view === 'bookmarks' 
+                ? 'bg-blue-600 text-white shadow-lg' 
+                : 'text-slate-400 hover:text-white hover:bg-slate-800'
+            }`}
+            onClick={() => onViewChange('bookmarks')}
+          >
+            Bookmarks
+            {bookmarksCount > 0 && (
+              <span className="bg-slate-900 text-white text-[10px] px-1.5 py-0.5 rounded-full border border-slate-700">
+                {bookmarksCount}
+              </span>
+            )}
+          </button>
+          <button 
+            className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all ${
+              view === 'dependencies' 
+                ? 'bg-blue-600 text-white shadow-lg' 
+                : 'text-slate-400 hover:text-white hover:bg-slate-800'
+            }`}
+            onClick={() => onViewChange('dependencies')}
+          >
+            Dependencies
+          </button>
+          {(compareCount > 0 || view === 'compare') && (
+            <button 
+              className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${
+                view === 'compare' 
+                  ? 'bg-blue-600 text-white shadow-lg' 
+                  : 'text-slate-400 hover:text-white hover:bg-slate-800'
+              }`}
+              onClick={() => onViewChange('compare')}
+            >
+              Compare
+              <span className="bg-slate-900 text-white text-[10px] px-1.5 py-0.5 rounded-full border border-slate-700">
+                {compareCount}
+              </span>
+            </button>
+          )}
+        </div>
+
+        {!online && (
+          <span
+            className="flex items-center gap-1.5 text-xs font-medium text-amber-300 bg-amber-500/10 px-2.5 py-1 rounded-full"
+            title="Changes are saved on this device and sync when you reconnect"
+          >
+            <CloudOff size={14} />
+            Offline{queuedWrites > 0 && ` · ${queuedWrites} queued`}
+          </span>
+        )}
+
+        <RateLimitIndicator rateLimits={rateLimits} />
+
+        {savedSearches.size > 0 && <SavedSearchMenu savedSearches={savedSearches} onRun={onSavedSearchRun} />}
+
+        <button
+          className="hidden md:flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs text-slate-400 border border-slate-700 hover:text-white hover:border-slate-500 transition-colors"
+          onClick={onPaletteOpen}
+          title="Command palette (press ? for all shortcuts)"
+        >
+          <Keyboard size={14} />
+          Ctrl K
+        </button>
+
+        <button
+          className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+          onClick={onSettingsOpen}
+          title="Settings"
+        >
+          <Settings size={18} />
+        </button>
+
+        <AccountMenu user={user} status={accountStatus} onLink={onAccountLink} onSignOut={onSignOut} />
+      </div>
+    </div>
+  </nav>
+);
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 96;
+
+const TrendLineChart = ({ points, strokeClass, fillClass }) => {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  const [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+  const scaleX = (x) => ((x - minX) / (maxX - minX || 1)) * CHART_WIDTH;
+  const scaleY = (y) => CHART_HEIGHT - 4 - ((y - minY) / (maxY - minY || 1)) * (CHART_HEIGHT - 8);
+
+  const line = points
+    .map((p, i) => `${i ? 'L' : 'M'}${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`)
+    .join(' ');
+  const area = `${line} L${CHART_WIDTH},${CHART_HEIGHT} L0,${CHART_HEIGHT} Z`;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-24">
+        <path d={area} className={`${fillClass} opacity-10`} />
+        <path d={line} fill="none" strokeWidth="2" vectorEffect="non-scaling-stroke" className={strokeClass} />
+      </svg>
+      <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+        <span>{new Date(minX).toLocaleDateString()}</span>
+        <span>{formatCompact(minY)} → {formatCompact(ys[ys.length - 1])}</span>
+        <span>{new Date(maxX).toLocaleDateString()}</span>
+      </div>
+    </div>
+  );
+};
+
+const WeeklyBarChart = ({ values, highlights, barClass, highlightClass }) => {
+  const max = Math.max(...values, 1);
+  const barWidth = CHART_WIDTH / values.length;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-24">
+      {values.map((value, i) => {
+        const height = (value / max) * CHART_HEIGHT;
+        const highlightHeight = highlights ? (highlights[i] / max) * CHART_HEIGHT : 0;
+        return (
+          <g key={i}>
+            <rect x={i * barWidth} y={CHART_HEIGHT - height} width={barWidth * 0.8} height={height} className={barClass}>
+              <title>{value} commits</title>
+            </rect>
+            {highlightHeight > 0 && (
+              <rect
+                x={i * barWidth}
+                y={CHART_HEIGHT - highlightHeight}
+                width={barWidth * 0.8}
+                height={highlightHeight}
+                className={highlightClass}
+              />
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const TrendPanel = ({ icon: Icon, title, children, emptyMessage }) => (
+  <div>
+    <div className="flex items-center gap-2 mb-2 text-sm font-medium text-slate-700">
+      <Icon size={16} className="text-slate-400" />
+      {title}
+    </div>
+    {children || <p className="text-xs text-slate-400 py-4">{emptyMessage}</p>}
+  </div>
+);
+
+const RepositoryTrends = ({ repository, dataPath, isBookmarked, request, autoLoad }) => {
+  const {
+    samples,
+    starHistory,
+    commitActivity,
+    participation,
+    loading,
+    error,
+    deferred,
+    load
+  } = useRepositoryTrends({ repository, dataPath, isBookmarked, request, autoLoad });
+
+  const starPoints = [
+    ...starHistory,
+    ...samples.map(sample => ({ x: Date.parse(sample.at), y: sample.stars }))
+  ].sort((a, b) => a.x - b.x);
+  const issuePoints = samples.map(sample => ({ x: Date.parse(sample.at), y: sample.issues }));
+  const weeklyCommits = commitActivity?.map(week => week.total) || [];
+  const yearCommits = weeklyCommits.reduce((sum, n) => sum + n, 0);
+  const ownerCommits = participation?.owner?.reduce((sum, n) => sum + n, 0) || 0;
+
+  return (
+    <div className="bg-slate-50 rounded-xl p-6 border border-slate-200 space-y-6">
+      <div className="flex items-center justify-between text-slate-800 font-semibold">
+        <span className="flex items-center gap-2">
+          <TrendingUp className="w-5 h-5 text-slate-500" />
+          Trends
+        </span>
+        {loading && <Loader size={16} className="animate-spin text-slate-400" />}
+        {deferred && (
+          <button
+            onClick={load}
+            className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-white border border-slate-200 rounded-lg hover:border-blue-300"
+            title="Uses about seven GitHub requests. With a token in Settings, charts load on their own."
+          >
+            Load GitHub history
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <TrendPanel
+        icon={Star}
+        title="Star growth"
+        emptyMessage={loading ? "Loading stargazer history..." : "No star history available."}
+      >
+        {starPoints.length >= 2 && (
+          <TrendLineChart points={starPoints} strokeClass="stroke-amber-500" fillClass="fill-amber-500" />
+        )}
+      </TrendPanel>
+
+      <TrendPanel
+        icon={BarChart2}
+        title="Weekly commits, last 52 weeks"
+        emptyMessage={loading
+          ? "Loading commit activity..."
+          : "GitHub is still computing commit statistics. Reopen this repository in a minute."}
+      >
+        {weeklyCommits.length > 0 && (
+          <>
+            <WeeklyBarChart
+              values={weeklyCommits}
+              highlights={participation?.owner}
+              barClass="fill-blue-300"
+              highlightClass="fill-blue-600"
+            />
+            <p className="text-[10px] text-slate-400 mt-1">
+              {yearCommits.toLocaleString()} commits this year
+              {yearCommits > 0 && participation && `, ${Math.round((ownerCommits / yearCommits) * 100)}% by the owner (dark)`}
+            </p>
+          </>
+        )}
+      </TrendPanel>
+
+      <TrendPanel
+        icon={AlertCircle}
+        title="Open issues"
+        emptyMessage={isBookmarked
+          ? "Not enough history yet. A sample is recorded each time you open or refresh this bookmark."
+          : "Bookmark this repository to start recording its issue history."}
+      >
+        {issuePoints.length >= 2 && (
+          <TrendLineChart points={issuePoints} strokeClass="stroke-red-500" fillClass="fill-red-500" />
+        )}
+      </TrendPanel>
+    </div>
+  );
+};
+
+const MarkdownContent = ({ source, resolveUrl = (url) => url, className = "" }) => (
+  <div className={`text-slate-700 break-words ${className}`}>
+    {renderBlocks((source || '').replace(/\r\n?/g, '\n').split('\n'), { resolveUrl })}
+  </div>
+);
+
+const NoteDiff = ({ before, after }) => (
+  <pre className="text-xs font-mono bg-white border border-amber-200 rounded-lg p-3 max-h-56 overflow-auto whitespace-pre-wrap">
+    {diffLines(before, after).map((line, i) => (
+      <div
+        key={i}
+        className={
+          line.type === 'added' ? 'bg-emerald-50 text-emerald-700'
+            : line.type === 'removed' ? 'bg-red-50 text-red-700'
+            : 'text-slate-500'
+        }
+      >
+        {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text || ' '}
+      </div>
+    ))}
+  </pre>
+);
+
+const NoteConflictBanner = ({ conflict, noteText, onResolve }) => (
+  <div className="mb-3 rounded-lg border border-red-200 bg-red-50 p-3 space-y-3">
+    <p className="text-sm text-red-800">
+      This note was changed on another device
+      {conflict.updatedAt && ` (${new Date(conflict.updatedAt).toLocaleString()})`}.
+      Your unsaved edits are still here; choose how to continue.
+    </p>
+    <NoteDiff before={conflict.content} after={noteText} />
+    <div className="flex flex-wrap justify-end gap-2">
+      <button
+        onClick={() => onResolve(conflict.content)}
+        className="px-3 py-1.5 rounded-lg text-sm font-medium text-slate-600 hover:bg-red-100 transition-colors"
+      >
+        Use theirs
+      </button>
+      <button
+        onClick={() => onResolve(noteText)}
+        className="px-3 py-1.5 rounded-lg text-sm font-medium text-slate-600 hover:bg-red-100 transition-colors"
+      >
+        Keep mine
+      </button>
+      <button
+        onClick={() => onResolve(mergeNoteVersions(noteText, conflict.content))}
+        className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+      >
+        <GitMerge size={14} /> Merge both
+      </button>
+    </div>
+  </div>
+);
+
+const NOTE_TABS = [
+  { id: 'write', label: "Write" },
+  { id: 'preview', label: "Preview" },
+  { id: 'history', label: "History" }
+];
+
+const NoteEditor = ({
+  user,
+  repoId,
+  noteText,
+  noteBase,
+  conflict,
+  syncStatus,
+  focusRequested,
+  onChange,
+  onSave,
+  onConflictResolve,
+  onFocused
+}) => {
+  const [tab, setTab] = useState('write');
+  const [selectedRevisionId, setSelectedRevisionId] = useState(null);
+  const textareaRef = useRef(null);
+  const revisions = useNoteRevisions({ user, repoId, enabled: tab === 'history' });
+  const selectedRevision = revisions.find(r => r.id === selectedRevisionId) || revisions[0];
+  const isDirty = noteText !== (noteBase?.content || "");
+
+  // The textarea only exists on the Write tab, so switch there first
+  useEffect(() => {
+    if (!focusRequested) return;
+    if (tab !== 'write') {
+      setTab('write');
+      return;
+    }
+    textareaRef.current?.focus();
+    onFocused();
+  }, [focusRequested, tab, onFocused]);
+
+  return (
+    <section className="bg-amber-50 rounded-xl p-6 border border-amber-100">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="flex items-center gap-2 font-semibold text-amber-900">
+          <FileText size={18} />
+          Personal Notes
+        </h3>
+        <SyncStatus status={syncStatus} />
+      </div>
+
+      {conflict && <NoteConflictBanner conflict={conflict} noteText={noteText} onResolve={onConflictResolve} />}
+
+      <div className="flex gap-1 mb-2">
+        {NOTE_TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setTab(id)}
+            className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+              tab === id ? 'bg-white text-amber-900 shadow-sm' : 'text-amber-700 hover:bg-amber-100'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'write' && (
+        <textarea
+          ref={textareaRef}
+          value={noteText}
+          onChange={(e) => onChange(e.target.value)}
+          aria-label="Personal notes"
+          placeholder="Jot down thoughts about this project... (Markdown supported)"
+          className="w-full h-40 p-3 bg-white border border-amber-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500/20 text-slate-700 placeholder:text-slate-400 resize-y font-mono text-sm"
+        />
+      )}
+
+      {tab === 'preview' && (
+        <div className="min-h-[10rem] p-3 bg-white border border-amber-200 rounded-lg text-sm">
+          {noteText.trim()
+            ? <MarkdownContent source={noteText} />
+            : <p className="text-slate-400">Nothing to preview yet.</p>}
+        </div>
+      )}
+
+      {tab === 'history' && (
+        revisions.length === 0 ? (
+          <p className="text-sm text-amber-700 p-3">No saved revisions yet.</p>
+        ) : (
+          <div className="grid grid-cols-[10rem_1fr] gap-3">
+            <ul className="space-y-1 max-h-56 overflow-y-auto">
+              {revisions.map(revision => (
+                <li key={revision.id}>
+                  <button
+                    onClick={() => setSelectedRevisionId(revision.id)}
+                    className={`w-full text-left px-2 py-1 rounded-md text-xs transition-colors ${
+                      revision.id === selectedRevision.id ? 'bg-white text-amber-900 shadow-sm' : 'text-amber-700 hover:bg-amber-100'
+                    }`}
+                  >
+                    {new Date(revision.updatedAt).toLocaleString()}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="space-y-2 min-w-0">
+              <p className="text-xs text-amber-700">Changes from this revision to the current draft</p>
+              <NoteDiff before={selectedRevision.content} after={noteText} />
+              <div className="flex justify-end">
+                <button
+                  onClick={() => {
+                    onChange(selectedRevision.content);
+                    setTab('write');
+                  }}
+                  className="px-3 py-1.5 rounded-lg text-sm font-medium text-amber-800 hover:bg-amber-100 transition-colors flex items-center gap-2"
+                >
+                  <RotateCcw size={14} /> Restore
+                </button>
+              </div>
+            </div>
+          </div>
+        )
+      )}
+
+      <div className="flex justify-end mt-3">
+        <button 
+          onClick={onSave} 
+          disabled={!isDirty || Boolean(conflict)}
+          className="bg-amber-600 hover:bg-amber-700 disabled:bg-amber-300 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+        >
+          <Check size={16} /> Save Note
+        </button>
+      </div>
+    </section>
+  );
+};
+
+const CommentThread = ({ workspaceId, workspaceName, repoId, user, canModerate, onAdd, onDelete }) => {
+  const comments = useWorkspaceComments({ workspaceId, repoId });
+  const [draft, setDraft] = useState("");
+  const [posting, setPosting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    setPosting(true);
+    setError(null);
+    try {
+      await onAdd(draft.trim());
+      setDraft("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleDelete = (id) => onDelete(id).catch(err => setError(err.message));
+
+  return (
+    <section className="bg-slate-50 rounded-xl p-6 border border-slate-200 space-y-4">
+      <h3 className="flex items-center gap-2 font-semibold text-slate-800">
+        <MessageSquare size={18} className="text-slate-500" />
+        Discussion
+        <span className="text-xs font-normal text-slate-400">visible to everyone in {workspaceName}</span>
+      </h3>
+
+      {comments.length === 0 ? (
+        <p className="text-sm text-slate-400">No comments yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {comments.map(comment => (
+            <li key={comment.id} className="bg-white border border-slate-200 rounded-lg p-3">
+              <div className="flex items-center gap-2 text-xs text-slate-500 mb-1">
+                {comment.authorPhoto
+                  ? <img src={comment.authorPhoto} alt="" className="w-5 h-5 rounded-full" />
+                  : <User size={14} />}
+                <span className="font-semibold text-slate-700">{comment.authorName}</span>
+                <span>{new Date(comment.createdAt).toLocaleString()}</span>
+                {(comment.authorId === user?.uid || canModerate) && (
+                  <button
+                    onClick={() => handleDelete(comment.id)}
+                    className="ml-auto text-slate-300 hover:text-red-500"
+                    title="Delete comment"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </div>
+              <MarkdownContent source={comment.text} className="text-sm" />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={COMMENT_MAX_LENGTH}
+          placeholder="Add a comment... (Markdown supported)"
+          className="w-full h-20 p-3 bg-white border border-slate-200 rounded-lg focus:outline-none focus:border-blue-500 text-sm resize-y"
+        />
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={posting || !draft.trim()}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            {posting ? <Loader size={16} className="animate-spin" /> : <MessageSquare size={16} />} Comment
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+};
+
+const DetailPanel = ({ detail, notFoundMessage, children }) => {
+  if (detail.loading) {
+    return (
+      <div className="flex justify-center py-16 text-slate-400">
+        <Loader className="w-8 h-8 animate-spin" />
+      </div>
+    );
+  }
+  if (detail.error) {
+    return (
+      <p className="text-sm text-slate-500 text-center py-16">
+        {detail.error.status === 404 && notFoundMessage ? notFoundMessage : detail.error.message}
+      </p>
+    );
+  }
+  return children(detail.data);
+};
+
+const ReadmePanel = ({ repository, request }) => (
+  <DetailPanel detail={useRepositoryDetail(repository, 'readme', request)} notFoundMessage="This repository has no README.">
+    {({ path, content }) => <MarkdownContent source={content} resolveUrl={createRepoUrlResolver(repository, path)} />}
+  </DetailPanel>
+);
+
+const FilePreview = ({ repository, path, request }) => {
+  const isImage = IMAGE_FILE.test(path);
+  const file = useCachedLoad(
+    isImage ? null : `${repository.id} file ${path}`,
+    () => request(`${getRepoPath(repository)}/contents/${encodePath(path)}?ref=${encodeURIComponent(getBranch(repository))}`)
+  );
+
+  if (isImage) return <img src={getRawUrl(repository, path)} alt={path} className="max-w-full mx-auto" />;
+
+  return (
+    <DetailPanel detail={file}>
+      {({ content, encoding, size, html_url: htmlUrl }) => {
+        const text = encoding === 'base64' && size <= FILE_PREVIEW_MAX_BYTES ? decodeBase64(content) : null;
+        if (text === null || text.includes('\u0000')) {
+          return (
+            <p className="text-sm text-slate-500 text-center py-8">
+              {text === null ? `Too large to preview (${formatBytes(size)}).` : "Binary file."}{' '}
+              <a href={htmlUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                Open on GitHub
+              </a>
+            </p>
+          );
+        }
+        return MARKDOWN_FILE.test(path)
+          ? <MarkdownContent source={text} resolveUrl={createRepoUrlResolver(repository, path)} />
+          : <pre className="bg-slate-50 border border-slate-200 rounded-lg p-4 overflow-x-auto text-xs font-mono text-slate-700">{text}</pre>;
+      }}
+    </DetailPanel>
+  );
+};
+
+const FileBrowser = ({ repository, request }) => {
+  const tree = useRepositoryDetail(repository, 'files', request);
+  const [dir, setDir] = useState('');
+  const [filePath, setFilePath] = useState(null);
+  const crumbs = dir ? dir.split('/') : [];
+
+  return (
+    <DetailPanel detail={tree}>
+      {({ tree: entries, truncated }) => (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-1 text-sm">
+            <button onClick={() => { setDir(''); setFilePath(null); }} className="font-semibold text-blue-600 hover:underline">
+              {repository.name}
+            </button>
+            {crumbs.map((crumb, i) => (
+              <React.Fragment key={i}>
+                <span className="text-slate-400">/</span>
+                <button
+                  onClick={() => {
+                    setDir(crumbs.slice(0, i + 1).join('/'));
+                    setFilePath(null);
+                  }}
+                  className="text-blue-600 hover:underline"
+                >
+                  {crumb}
+                </button>
+              </React.Fragment>
+            ))}
+            {filePath && (
+              <>
+                <span className="text-slate-400">/</span>
+                <span className="text-slate-700">{filePath.split('/').pop()}</span>
+              </>
+            )}
+          </div>
+
+          {truncated && (
+            <p className="text-xs text-amber-700">GitHub truncated the tree for this large repository, so some files are missing.</p>
+          )}
+
+          {filePath ? (
+            <FilePreview key={filePath} repository={repository} path={filePath} request={request} />
+          ) : (
+            <ul className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+              {listDirectory(entries, dir).map(entry => (
+                <li key={entry.path}>
+                  <button
+                    onClick={() => (entry.type === 'tree' ? setDir(entry.path) : setFilePath(entry.path))}
+                    disabled={entry.type === 'commit'}
+                    className="w-full flex items-center gap-2 px-3 py-2 text-sm text-left hover:bg-slate-50 disabled:hover:bg-transparent"
+                  >
+                    {entry.type === 'tree'
+                      ? <Folder size={16} className="text-blue-400 shrink-0" />
+                      : <FileText size={16} className="text-slate-400 shrink-0" />}
+                    <span className="truncate text-slate-700">{entry.name}</span>
+                    {entry.type === 'commit' && <span className="text-xs text-slate-400">submodule</span>}
+                    {entry.type === 'blob' && <span className="ml-auto text-xs text-slate-400">{formatBytes(entry.size)}</span>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </DetailPanel>
+  );
+};
+
+const ReleaseList = ({ repository, request }) => (
+  <DetailPanel detail={useRepositoryDetail(repository, 'releases', request)}>
+    {(releases) => (releases.length === 0 ? (
+      <p className="text-sm text-slate-500 text-center py-16">No releases published.</p>
+    ) : (
+      <ul className="space-y-3">
+        {releases.map((release, i) => (
+          <li key={release.id} className="border border-slate-200 rounded-lg">
+            <details open={i === 0}>
+              <summary className="flex flex-wrap items-center gap-2 px-4 py-3 cursor-pointer">
+                <span className="font-semibold text-slate-800">{release.name || release.tag_name}</span>
+                <span className="text-xs font-mono bg-slate-100 text-slate-600 px-2 py-0.5 rounded">{release.tag_name}</span>
+                {release.prerelease && (
+                  <span className="text-xs bg-amber-100 text-amber-700 px-2 py-0.5 rounded">Pre-release</span>
+                )}
+                <span className="ml-auto text-xs text-slate-400">
+                  {release.published_at ? new Date(release.published_at).toLocaleDateString() : "Draft"}
+                </span>
+              </summary>
+              <div className="px-4 pb-4 border-t border-slate-100">
+                {release.body?.trim()
+                  ? <MarkdownContent source={release.body} resolveUrl={createRepoUrlResolver(repository)} className="text-sm" />
+                  : <p className="text-sm text-slate-400 pt-3">No release notes.</p>}
+                <a
+                  href={release.html_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline"
+                >
+                  View release <ExternalLink size={14} />
+                </a>
+              </div>
+            </details>
+          </li>
+        ))}
+      </ul>
+    ))}
+  </DetailPanel>
+);
+
+const LanguageBreakdown = ({ repository, request }) => {
+  const forge = FORGE_PROVIDERS[getRepoForge(repository)];
+  return (
+    <DetailPanel detail={useRepositoryDetail(repository, 'languages', request)}>
+      {(languages) => {
+        const entries = Object.entries(languages).sort((a, b) => b[1] - a[1]);
+        const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+        if (!total) return <p className="text-sm text-slate-500 text-center py-16">{forge.label} detected no languages.</p>;
+
+        // The largest few get a color (linguist's where known); the long tail is summed up as "Other"
+        const shown = entries.slice(0, SERIES_COLORS.length);
+        const other = entries.slice(SERIES_COLORS.length).reduce((sum, [, bytes]) => sum + bytes, 0);
+        const rows = [
+          ...shown.map(([name, bytes], i) => ({ name, bytes, dot: SERIES_COLORS[i].dot, color: getLanguageColor(name, null) })),
+          ...(other ? [{ name: "Other", bytes: other, dot: "bg-slate-400", color: null }] : [])
+        ];
+
+        return (
+          <div className="space-y-4">
+            <div className="flex h-3 rounded-full overflow-hidden">
+              {rows.map(row => (
+                <div
+                  key={row.name}
+                  className={row.dot}
+                  style={{ width: `${(row.bytes / total) * 100}%`, backgroundColor: row.color || undefined }}
+                  title={row.name}
+                />
+              ))}
+            </div>
+            <ul className="space-y-2">
+              {rows.map(row => (
+                <li key={row.name} className="flex items-center gap-2 text-sm">
+                  <span className={`w-2.5 h-2.5 rounded-full ${row.dot}`} style={{ backgroundColor: row.color || undefined }}></span>
+                  <span className="font-medium text-slate-700">{row.name}</span>
+                  <span className="text-slate-500">{((row.bytes / total) * 100).toFixed(1)}%</span>
+                  {!forge.languagePercentages && <span className="ml-auto text-xs text-slate-400">{formatBytes(row.bytes)}</span>}
+                </li>
+              ))}
+            </ul>
+            {entries.length > shown.length && (
+              <p className="text-xs text-slate-400">
+                Other: {entries.slice(shown.length).map(([name]) => name).join(', ')}
+              </p>
+            )}
+          </div>
+        );
+      }}
+    </DetailPanel>
+  );
+};
+
+const TopicList = ({ repository, request, onTopicSearch }) => (
+  <DetailPanel detail={useRepositoryDetail(repository, 'topics', request)}>
+    {(topics) => (topics.length === 0 ? (
+      <p className="text-sm text-slate-500 text-center py-16">This repository has no topics.</p>
+    ) : (
+      <div className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {topics.map(topic => (
+            <button
+              key={topic}
+              onClick={() => onTopicSearch(topic)}
+              className="text-sm px-3 py-1 rounded-full bg-blue-50 text-blue-700 hover:bg-blue-100 transition-colors"
+            >
+              {topic}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-slate-400">Pick a topic to search Discover for it.</p>
+      </div>
+    ))}
+  </DetailPanel>
+);
+
+const ActivityStat = ({ label, value, detail }) => (
+  <div className="bg-slate-50 border border-slate-200 rounded-lg p-3">
+    <p className="text-xs text-slate-500">{label}</p>
+    <p className="text-xl font-bold text-slate-800">{value}</p>
+    <p className="text-[11px] text-slate-400">{detail}</p>
+  </div>
+);
+
+const ActivityList = ({ title, icon: Icon, items, total }) => (
+  <section className="space-y-2">
+    <h4 className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+      <Icon size={16} className="text-slate-500" /> {title}
+      <span className="text-xs font-normal text-slate-400">{total}</span>
+    </h4>
+    {items.length === 0 ? (
+      <p className="text-sm text-slate-400">Nothing open.</p>
+    ) : (
+      <ul className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+        {items.slice(0, ACTIVITY_LIST_LIMIT).map(item => (
+          <li key={item.id} className="px-3 py-2 space-y-1">
+            <a
+              href={item.html_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-sm font-medium text-slate-800 hover:text-blue-600"
+            >
+              {item.title}
+            </a>
+            <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+              <span>#{item.number}</span>
+              <span>opened {formatAge(item.created_at)}</span>
+              <span className="flex items-center gap-1"><MessageSquare size={12} /> {item.comments}</span>
+              {item.labels.map(label => (
+                <span
+                  key={label.id}
+                  className="flex items-center gap-1 px-2 py-0.5 rounded-full border text-slate-600"
+                  style={{ borderColor: `#${label.color}` }}
+                >
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: `#${label.color}` }}></span>
+                  {label.name}
+                </span>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+    )}
+    {items.length > ACTIVITY_LIST_LIMIT && (
+      <p className="text-xs text-slate-400">Showing {ACTIVITY_LIST_LIMIT} of {items.length}.</p>
+    )}
+  </section>
+);
+
+const ActivityPanel = ({ repository, request, hasToken }) => {
+  const activity = useCachedLoad(
+    `${repository.id} activity${hasToken ? '' : ' unsampled'}`,
+    () => fetchActivity(request, repository, { sampleResponses: hasToken })
+  );
+  const [label, setLabel] = useState("");
+
+  return (
+    <DetailPanel detail={activity}>
+      {({ issues, pulls, ...stats }) => {
+        const labels = countBy([...issues, ...pulls], item => item.labels.map(l => l.name));
+        const matches = (item) => !label || item.labels.some(l => l.name === label);
+
+        return (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <ActivityStat
+                label="Median time to close issues"
+                value={formatDuration(stats.medianCloseDays)}
+                detail={`last ${stats.closedSampled} closed issues`}
+              />
+              <ActivityStat
+                label="Median PR merge time"
+                value={formatDuration(stats.medianMergeDays)}
+                detail={`last ${stats.mergedSampled} merged PRs`}
+              />
+              <ActivityStat
+                label="Maintainer response"
+                value={stats.responseRate === null ? "—" : `${Math.round(stats.responseRate * 100)}%`}
+                detail={stats.responseSkipped ? "add a GitHub token to sample issues" : `of ${stats.responseSampled} recent issues`}
+              />
+            </div>
+
+            {labels.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {[["", issues.length + pulls.length], ...labels].map(([name, count]) => (
+                  <button
+                    key={name || 'all'}
+                    onClick={() => setLabel(name)}
+                    className={`text-xs px-2.5 py-1 rounded-full border transition-colors ${
+                      label === name
+                        ? 'bg-blue-50 border-blue-300 text-blue-700'
+                        : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'
+                    }`}
+                  >
+                    {name || "All"} <span className="text-slate-400">{count}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <ActivityList title="Open issues" icon={AlertCircle} items={issues.filter(matches)} total={issues.length} />
+            <ActivityList title="Open pull requests" icon={GitPullRequest} items={pulls.filter(matches)} total={pulls.length} />
+            <p className="text-xs text-slate-400">
+              Based on the latest 100 open items. A maintainer response is a comment by the owner, an organization member or a collaborator.
+            </p>
+          </div>
+        );
+      }}
+    </DetailPanel>
+  );
+};
+
+const RepositoryModal = ({ 
+  isOpen, 
+  repository, 
+  noteText, 
+  noteBase,
+  noteConflict,
+  onClose, 
+  onNoteChange,
+  onNoteSave,
+  onNoteConflictResolve,
+  noteSyncStatus,
+  focusNote,
+  onNoteFocus,
+  onNoteFocused,
+  bookmarkMeta,
+  collections,
+  onBookmarkMetaChange,
+  onCollectionCreate,
+  user,
+  dataPath,
+  workspaceId,
+  workspace,
+  onCommentAdd,
+  onCommentDelete,
+  onTopicSearch,
+  onFindSimilar,
+  request,
+  health,
+  healthLoading,
+  healthError,
+  onHealthCheck,
+  hasToken
+}) => {
+  // Remembered per repo, so opening another repository starts on the overview again
+  const [tabState, setTabState] = useState({ repoId: null, tab: 'overview' });
+  const dialogRef = useRef(null);
+  const handleDialogKeyDown = useDialogFocus(dialogRef, Boolean(isOpen && repository), onClose);
+  const tab = repository && tabState.repoId === repository.id ? tabState.tab : 'overview';
+
+  // The note editor lives on the overview tab
+  useEffect(() => {
+    if (focusNote && tab !== 'overview') setTabState({ repoId: repository.id, tab: 'overview' });
+  }, [focusNote, tab, repository]);
+
+  if (!isOpen || !repository) return null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'n' && !isTypingTarget(e.target) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      onNoteFocus();
+      return;
+    }
+    handleDialogKeyDown(e);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm animate-in fade-in duration-200" onClick={onClose}>
+      <div 
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="repository-modal-title"
+        tabIndex={-1}
+        className="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl animate-in zoom-in-95 duration-200 focus:outline-none" 
+        onClick={e => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="sticky top-0 bg-white border-b border-slate-100 px-6 pt-4 z-10">
+          <div className="flex justify-between items-center">
+            <div className="flex items-center gap-3">
+              <img src={repository.owner.avatar_url} className="w-8 h-8 rounded-full" alt="" />
+              <h2 id="repository-modal-title" className="font-bold text-xl text-slate-800 truncate max-w-[300px]">{repository.full_name}</h2>
+              <ForgeBadge repository={repository} />
+            </div>
+            <div className="flex items-center gap-1">
+              {!repository.forge && (
+                <button
+                  className="px-3 py-1.5 hover:bg-slate-100 rounded-lg text-sm text-slate-500 hover:text-slate-700 flex items-center gap-1.5 transition-colors"
+                  onClick={() => onFindSimilar(repository)}
+                  title="Find repositories with similar topics"
+                >
+                  <Network size={16} />
+                  Similar
+                </button>
+              )}
+              <button 
+                className="p-2 hover:bg-slate-100 rounded-full text-slate-400 hover:text-slate-600 transition-colors"
+                onClick={onClose}
+                aria-label="Close"
+              >
+                <X size={20} />
+              </button>
+            </div>
+          </div>
+          <div className="flex gap-1 overflow-x-auto mt-3 -mb-px" role="tablist" aria-label="Repository details">
+            {DETAIL_TABS.filter(({ id }) => isGitHubRepo(repository) || !GITHUB_ONLY_TABS.includes(id)).map(({ id, label }) => (
+              <button
+                key={id}
+                role="tab"
+                aria-selected={tab === id}
+                onClick={() => setTabState({ repoId: repository.id, tab: id })}
+                className={`px-3 py-2 text-sm font-medium border-b-2 whitespace-nowrap transition-colors ${
+                  tab === id
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-slate-500 hover:text-slate-800'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </header>
+
+        {tab === 'readme' && <div className="p-6"><ReadmePanel repository={repository} request={request} /></div>}
+        {tab === 'activity' && <div className="p-6"><ActivityPanel key={repository.id} repository={repository} request={request} hasToken={hasToken} /></div>}
+        {tab === 'files' && <div className="p-6"><FileBrowser key={repository.id} repository={repository} request={request} /></div>}
+        {tab === 'releases' && <div className="p-6"><ReleaseList repository={repository} request={request} /></div>}
+        {tab === 'languages' && <div className="p-6"><LanguageBreakdown repository={repository} request={request} /></div>}
+        {tab === 'topics' && (
+          <div className="p-6"><TopicList repository={repository} request={request} onTopicSearch={onTopicSearch} /></div>
+        )}
+
+        {tab === 'overview' && <div className="p-6 space-y-8">
+          <section>
+            <p className="text-slate-600 text-lg leading-relaxed">
+              {repository.description}
+            </p>
+            <a 
+              href={repository.html_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-2 mt-4 text-blue-600 font-semibold hover:text-blue-700 hover:underline"
+            >
+              View on {FORGE_PROVIDERS[getRepoForge(repository)].label} <ExternalLink size={16} />
+            </a>
+          </section>
+
+          <NoteEditor
+            key={repository.id}
+            user={user}
+            repoId={String(repository.id)}
+            noteText={noteText}
+            noteBase={noteBase}
+            conflict={noteConflict}
+            syncStatus={noteSyncStatus}
+            focusRequested={focusNote}
+            onChange={onNoteChange}
+            onSave={onNoteSave}
+            onConflictResolve={onNoteConflictResolve}
+            onFocused={onNoteFocused}
+          />
+
+          {bookmarkMeta && (
+            <BookmarkOrganizer
+              meta={bookmarkMeta}
+              collections={collections}
+              onMetaChange={onBookmarkMetaChange}
+              onCollectionCreate={onCollectionCreate}
+            />
+          )}
+
+          {workspace && (
+            <CommentThread
+              workspaceId={workspaceId}
+              workspaceName={workspace.name}
+              repoId={String(repository.id)}
+              user={user}
+              canModerate={Boolean(WORKSPACE_ROLES[getWorkspaceRole(workspace, user?.uid)]?.canManage)}
+              onAdd={onCommentAdd}
+              onDelete={onCommentDelete}
+            />
+          )}
+
+          {isGitHubRepo(repository) && (
+            <HealthBreakdown
+              health={health}
+              loading={healthLoading}
+              error={healthError}
+              onCheck={() => onHealthCheck(repository)}
+            />
+          )}
+
+          <RepositoryMetrics 
+            metrics={{
+              stars: repository.stargazers_count,
+              forks: repository.forks_count,
+              issues: repository.open_issues_count,
+              watchers: repository.watchers_count,
+              license: repository.license?.name,
+              updatedAt: new Date(repository.updated_at).toLocaleDateString()
+            }}
+          />
+
+          <RepositoryTrends
+            key={repository.id}
+            repository={repository}
+            dataPath={dataPath}
+            isBookmarked={Boolean(bookmarkMeta)}
+            request={request}
+            autoLoad={hasToken}
+          />
+        </div>}
+      </div>
+    </div>
+  );
+};
+
+const CommandPalette = ({ isOpen, repos, bookmarks, savedSearches, compareCount, actions, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const dialogRef = useRef(null);
+  const listRef = useRef(null);
+  const handleDialogKeyDown = useDialogFocus(dialogRef, isOpen, onClose);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery("");
+    setActiveIndex(0);
+  }, [isOpen]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  if (!isOpen) return null;
+  const items = getPaletteItems(query, { repos, bookmarks, savedSearches, compareCount }, actions);
+  const active = Math.min(activeIndex, items.length - 1);
+
+  const runItem = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + step + items.length) % items.length);
+    } else if (e.key === 'Enter' && items[active]) {
+      e.preventDefault();
+      runItem(items[active]);
+    } else {
+      handleDialogKeyDown(e);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-start justify-center p-4 pt-[15vh] bg-slate-900/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        tabIndex={-1}
+        className="bg-white rounded-xl w-full max-w-xl shadow-2xl overflow-hidden focus:outline-none"
+        onClick={e => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <div className="flex items-center gap-3 px-4 border-b border-slate-100">
+          <Search size={18} className="text-slate-400 shrink-0" />
+          <input
+            autoFocus
+            type="text"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-options"
+            aria-autocomplete="list"
+            aria-activedescendant={items[active] ? `command-${items[active].id}` : undefined}
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setActiveIndex(0);
+            }}
+            placeholder="Search repositories, bookmarks, saved searches and views..."
+            className="flex-grow py-3.5 text-sm text-slate-800 focus:outline-none"
+          />
+          <kbd className="text-[10px] font-medium text-slate-400 border border-slate-200 rounded px-1.5 py-0.5">Esc</kbd>
+        </div>
+
+        <ul id="command-palette-options" role="listbox" aria-label="Commands" ref={listRef} className="max-h-80 overflow-y-auto py-2">
+          {items.map((item, index) => {
+            const { id, group, label, hint, icon: Icon } = item;
+            return (
+              <React.Fragment key={id}>
+                {group !== items[index - 1]?.group && (
+                  <li role="presentation" className="px-4 pt-2 pb-1 text-[10px] font-bold uppercase tracking-wide text-slate-400">
+                    {group}
+                  </li>
+                )}
+                <li
+                  id={`command-${id}`}
+                  role="option"
+                  aria-selected={index === active}
+                  onMouseMove={() => index !== active && setActiveIndex(index)}
+                  onClick={() => runItem(item)}
+                  className={`mx-2 px-3 py-2 rounded-lg flex items-center gap-3 cursor-pointer text-sm ${
+                    index === active ? 'bg-blue-50 text-blue-700' : 'text-slate-700'
+                  }`}
+                >
+                  <Icon size={16} className="shrink-0 opacity-70" />
+                  <span className="truncate font-medium">{label}</span>
+                  {hint && <span className="truncate text-xs text-slate-400">{hint}</span>}
+                  {index === active && <CornerDownLeft size={14} className="ml-auto shrink-0" />}
+                </li>
+              </React.Fragment>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+const ShortcutHelp = ({ isOpen, onClose }) => {
+  const dialogRef = useRef(null);
+  const handleKeyDown = useDialogFocus(dialogRef, isOpen, onClose);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        tabIndex={-1}
+        className="bg-white rounded-2xl w-full max-w-md shadow-2xl focus:outline-none"
+        onClick={e => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="flex justify-between items-center px-6 py-4 border-b border-slate-100">
+          <h2 id="shortcut-help-title" className="font-bold text-lg text-slate-800 flex items-center gap-2">
+            <Keyboard size={20} />
+            Keyboard Shortcuts
+          </h2>
+          <button
+            className="p-2 hover:bg-slate-100 rounded-full text-slate-400 hover:text-slate-600 transition-colors"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            <X size={20} />
+          </button>
+        </header>
+        <dl className="p-6 space-y-3">
+          {SHORTCUTS.map(({ keys, description }) => (
+            <div key={description} className="flex justify-between items-center gap-4 text-sm">
+              <dt className="flex gap-1 shrink-0">
+                {keys.map(key => (
+                  <kbd key={key} className="min-w-[1.75rem] text-center text-xs font-semibold text-slate-700 bg-slate-50 border border-slate-200 rounded px-1.5 py-0.5">
+                    {key}
+                  </kbd>
+                ))}
+              </dt>
+              <dd className="text-slate-600 text-right">{description}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+};
+
+// --- Main App Component ---
+export default function GitHubExplorer() {
+  const [state, dispatch] = useReducer(appReducer, initialState, initFromLocation);
+  const { request, requestPage, fetchRepositories, fetchRepository, fetchRepositoryByName } = useGitHubAPI({
+    token: state.settings.githubToken,
+    forges: state.settings.forges,
+    dispatch
+  });
+  const searchTimeoutRef = useRef();
+  const searchRequestRef = useRef(0);
+  const healthRequestRef = useRef(0); // Bumped per check, so a slower check for an earlier repo is ignored
+  const loadMoreRef = useRef(null);
+  const autoRefreshRef = useRef(new Set()); // data paths already refreshed this session
+  const githubSyncRef = useRef(new Set()); // sync ids currently running
+  const savedSearchCheckRef = useRef(false); // true while saved searches are being checked
+  // One note save at a time; edits made meanwhile are queued, and autosaves share a revision
+  const noteSaveRef = useRef({ inFlight: false, queued: null, revision: null });
+  // Latest state for callbacks that outlive a render (popstate, deep-link fetches)
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const deepLinkRef = useRef(false); // true once the URL's repo and comparison have been opened
+  const lastLocationRef = useRef(null);
+  if (!lastLocationRef.current) {
+    lastLocationRef.current = {
+      view: state.filters.view,
+      feed: state.discoverFeed.type,
+      repoName: readLocationState().repoName,
+      workspaceId: state.activeWorkspace
+    };
+  }
+  // An invite link (?join=) is picked up once; the URL sync below drops it from the address bar
+  const inviteRef = useRef(undefined);
+  if (inviteRef.current === undefined) inviteRef.current = readLocationState().invite;
+
+  const {
+    user,
+    repos,
+    pagination,
+    bookmarks,
+    notes,
+    syncStates,
+    collections,
+    githubSyncs,
+    workspaces,
+    activeWorkspace,
+    settings,
+    healthSignals,
+    rateLimits,
+    filters,
+    discoverFeed,
+    compare,
+    dependencyScan,
+    savedSearches,
+    savedSearchRun,
+    bookmarkFilters,
+    snapshotSources,
+    ui
+  } = state;
+  const workspace = workspaces.get(activeWorkspace) || null;
+  // Null until the active workspace has loaded, so nothing is read from or written to the wrong tree
+  const dataPath = user && (!activeWorkspace || workspace) ? getDataPath(user.uid, activeWorkspace) : null;
+  const canEdit = !workspace || Boolean(WORKSPACE_ROLES[getWorkspaceRole(workspace, user?.uid)]?.canEdit);
+  const compareDetails = useComparisonDetails({
+    repos: compare,
+    active: filters.view === 'compare',
+    autoLoad: compare.every(repo => !isGitHubRepo(repo) || hasGitHubToken(repo, settings)),
+    request,
+    requestPage
+  });
+  const feedResult = useDiscoveryFeed({
+    feed: discoverFeed,
+    active: filters.view === 'discover',
+    language: filters.language,
+    bookmarks,
+    fetchRepositoryByName,
+    fetchRepositories
+  });
+
+  // 1. Authentication Setup
+  useEffect(() => {
+    const initAuth = async () => {
+      try {
+        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
+          await signInWithCustomToken(auth, __initial_auth_token);
+        } else {
+          // Restore a persisted session (guest or linked) before falling back to a new guest
+          await auth.authStateReady();
+          if (!auth.currentUser) await signInAnonymously(auth);
+        }
+      } catch (err) {
+        console.error("Auth failed:", err);
+        dispatch({ type: 'SET_ERROR', payload: "Authentication failed. Some features may be unavailable." });
+      }
+    };
+
+    initAuth();
+    const unsubscribe = onAuthStateChanged(auth, (u) => {
+      dispatch({ type: 'SET_USER', payload: u });
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // 2. Real-time Data Sync (Bookmarks, Notes, Settings & Workspaces)
+  useEffect(() => {
+    if (!dataPath) return;
+
+    // Listen to Bookmarks
+    const bookmarksRef = collection(db, dataPath, 'bookmarks');
+    const unsubBookmarks = onSnapshot(bookmarksRef, { includeMetadataChanges: true },
+      (snapshot) => {
+        dispatch({ type: 'SYNC_SNAPSHOT', scope: 'bookmarks', ...readPendingWrites(snapshot) });
+        // Metadata-only events just report write progress; an empty tree confirmed by the server
+        // still has to replace a device snapshot restored below
+        if (!snapshot.docChanges().length && !(snapshot.empty && !snapshot.metadata.fromCache)) return;
+
+        const newBookmarks = new Map();
+        snapshot.forEach(doc => {
+          newBookmarks.set(doc.id, doc.data());
+        });
+        dispatch({ type: 'SET_BOOKMARKS', payload: newBookmarks, fromCache: snapshot.metadata.fromCache });
+      },
+      (error) => console.error("Bookmark sync error:", error)
+    );
+
+    // Show this device's last copy until Firestore answers, which offline on a cold cache it never does
+    let restoring = true;
+    readOfflineEntry('snapshots', `bookmarks:${dataPath}`).then(snapshot => {
+      if (!restoring || !snapshot) return;
+      dispatch({ type: 'RESTORE_SNAPSHOT', scope: 'bookmarks', payload: new Map(snapshot.entries), cachedAt: snapshot.cachedAt });
+    });
+
+    // Listen to Collections
+    const collectionsRef = collection(db, dataPath, 'collections');
+    const unsubCollections = onSnapshot(collectionsRef,
+      (snapshot) => {
+        const newCollections = new Map();
+        snapshot.forEach(doc => {
+          newCollections.set(doc.id, doc.data());
+        });
+        dispatch({ type: 'SET_COLLECTIONS', payload: newCollections });
+      },
+      (error) => console.error("Collection sync error:", error)
+    );
+
+    // Listen to GitHub Star/Repo Syncs
+    const githubSyncsRef = collection(db, dataPath, 'githubSyncs');
+    const unsubGitHubSyncs = onSnapshot(githubSyncsRef,
+      (snapshot) => {
+        const newSyncs = new Map();
+        snapshot.forEach(doc => {
+          newSyncs.set(doc.id, doc.data());
+        });
+        dispatch({ type: 'SET_GITHUB_SYNCS', payload: newSyncs });
+      },
+      (error) => console.error("GitHub sync listener error:", error)
+    );
+
+    return () => {
+      restoring = false;
+      unsubBookmarks();
+      unsubCollections();
+      unsubGitHubSyncs();
+    };
+  }, [dataPath]);
+
+  // Notes, settings, saved searches and the workspace list always belong to the user
+  useEffect(() => {
+    if (!user) return;
+
+    // Listen to Notes
+    const notesRef = collection(db, 'artifacts', appId, 'users', user.uid, 'notes');
+    const unsubNotes = onSnapshot(notesRef, { includeMetadataChanges: true },
+      (snapshot) => {
+        dispatch({ type: 'SYNC_SNAPSHOT', scope: 'notes', ...readPendingWrites(snapshot) });
+        if (!snapshot.docChanges().length && !(snapshot.empty && !snapshot.metadata.fromCache)) return;
+
+        const newNotes = new Map();
+        snapshot.forEach(doc => {
+          newNotes.set(doc.id, doc.data());
+        });
+        dispatch({ type: 'SET_NOTES', payload: newNotes, fromCache: snapshot.metadata.fromCache });
+      },
+      (error) => console.error("Note sync error:", error)
+    );
+
+    let restoring = true;
+    readOfflineEntry('snapshots', `notes:${user.uid}`).then(snapshot => {
+      if (!restoring || !snapshot) return;
+      dispatch({ type: 'RESTORE_SNAPSHOT', scope: 'notes', payload: new Map(snapshot.entries), cachedAt: snapshot.cachedAt });
+    });
+
+    // Listen to Workspaces the user belongs to
+    const workspacesRef = collection(db, 'artifacts', appId, 'workspaces');
+    const unsubWorkspaces = onSnapshot(query(workspacesRef, where('memberIds', 'array-contains', user.uid)),
+      (snapshot) => {
+        const newWorkspaces = new Map();
+        snapshot.forEach(doc => {
+          newWorkspaces.set(doc.id, doc.data());
+        });
+        dispatch({ type: 'SET_WORKSPACES', payload: newWorkspaces });
+      },
+      (error) => console.error("Workspace sync error:", error)
+    );
+
+    // Listen to Saved Searches
+    const savedSearchesRef = collection(db, 'artifacts', appId, 'users', user.uid, 'savedSearches');
+    const unsubSavedSearches = onSnapshot(savedSearchesRef,
+      (snapshot) => {
+        const newSavedSearches = new Map();
+        snapshot.forEach(doc => {
+          newSavedSearches.set(doc.id, doc.data());
+        });
+        dispatch({ type: 'SET_SAVED_SEARCHES', payload: newSavedSearches });
+      },
+      (error) => console.error("Saved search sync error:", error)
+    );
+
+    // Listen to GitHub Settings
+    const githubSettingsRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'github');
+    const unsubSettings = onSnapshot(githubSettingsRef,
+      (snapshot) => {
+        dispatch({ type: 'SET_SETTINGS', payload: { githubToken: snapshot.data()?.token || "" } });
+      },
+      (error) => console.error("Settings sync error:", error)
+    );
+
+    // Listen to Health Score Criteria
+    const healthSettingsRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'health');
+    const unsubHealthSettings = onSnapshot(healthSettingsRef,
+      (snapshot) => {
+        const data = snapshot.data();
+        dispatch({
+          type: 'SET_SETTINGS',
+          payload: {
+            health: {
+              weights: { ...HEALTH_DEFAULTS.weights, ...data?.weights },
+              thresholds: { ...HEALTH_DEFAULTS.thresholds, ...data?.thresholds }
+            }
+          }
+        });
+      },
+      (error) => console.error("Health settings sync error:", error)
+    );
+
+    // Listen to Result Layout Preferences
+    const displaySettingsRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'display');
+    const unsubDisplaySettings = onSnapshot(displaySettingsRef,
+      (snapshot) => {
+        dispatch({ type: 'SET_SETTINGS', payload: { display: readDisplaySettings(snapshot.data()) } });
+      },
+      (error) => console.error("Display settings sync error:", error)
+    );
+
+    // Listen to Theme Preference
+    const themeSettingsRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'theme');
+    const unsubThemeSettings = onSnapshot(themeSettingsRef,
+      (snapshot) => {
+        dispatch({ type: 'SET_SETTINGS', payload: { theme: readThemeSettings(snapshot.data()) } });
+      },
+      (error) => console.error("Theme settings sync error:", error)
+    );
+
+    // Listen to Forge Servers (GitHub Enterprise, GitLab, Gitea)
+    const forgeSettingsRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'forges');
+    const unsubForgeSettings = onSnapshot(forgeSettingsRef,
+      (snapshot) => {
+        dispatch({ type: 'SET_SETTINGS', payload: { forges: readForgeSettings(snapshot.data()) } });
+      },
+      (error) => console.error("Forge settings sync error:", error)
+    );
+
+    return () => {
+      restoring = false;
+      unsubNotes();
+      unsubWorkspaces();
+      unsubSavedSearches();
+      unsubSettings();
+      unsubHealthSettings();
+      unsubDisplaySettings();
+      unsubThemeSettings();
+      unsubForgeSettings();
+    };
+  }, [user]);
+
+  // 3. Derived State
+  const showsFeed = filters.view === 'discover' && discoverFeed.type !== 'search';
+  const displayedRepos = filters.view === 'bookmarks' 
+    ? filterBookmarks(bookmarks, notes, bookmarkFilters, settings.health)
+    : filters.view === 'dependencies'
+      ? (dependencyScan?.repos || []).map(({ repo }) => repo)
+      : showsFeed
+        ? feedResult.items.map(({ repo }) => repo)
+        : repos;
+  const feedInsights = new Map(feedResult.items.map(({ repo, insight }) => [repo.id, insight]));
+  const layout = settings.display.layouts[filters.view] || 'grid';
+  const scannedPackages = new Map((dependencyScan?.repos || []).map(({ repo, packages }) => [repo.id, packages]));
+  const activeSavedSearchId = filters.view === 'discover' ? findSavedSearchId(savedSearches, filters) : null;
+  // Ids seen before the current run of the active saved search; anything else is new
+  const previouslySeenIds = activeSavedSearchId && savedSearchRun?.id === activeSavedSearchId ? savedSearchRun.previousIds : null;
+  const selectedBookmark = ui.selectedRepo && bookmarks.get(String(ui.selectedRepo.id));
+
+  const showsSearch = filters.view === 'discover' && !showsFeed;
+  const hasMore = showsSearch && pagination.page < getMaxPage(pagination.totalCount);
+  const reachedSearchCap = showsSearch && pagination.totalCount > SEARCH_RESULT_CAP && !hasMore && repos.length > 0;
+
+  // 4. Actions & Handlers
+  // Every run of a saved search's filters counts; results become "seen" and the pending count resets
+  const recordSavedSearchResults = useCallback((items) => {
+    const { savedSearches: current, savedSearchRun: run, filters: currentFilters } = stateRef.current;
+    const id = findSavedSearchId(current, currentFilters);
+    if (!user || !id) {
+      if (run) dispatch({ type: 'SET_SAVED_SEARCH_RUN', payload: null });
+      return;
+    }
+
+    const saved = current.get(id);
+    // Coming back to the same results (e.g. from another view) keeps the highlights
+    if (run?.id !== id) {
+      dispatch({ type: 'SET_SAVED_SEARCH_RUN', payload: { id, previousIds: new Set(saved.seenIds) } });
+    }
+    // Results from this device's cache were recorded when they were first fetched
+    if (!isBrowserOnline()) return;
+    // Merged against the stored lists, since a "load more" can follow page 1 before its write echoes back
+    const savedRef = doc(db, 'artifacts', appId, 'users', user.uid, 'savedSearches', id);
+    runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(savedRef);
+      if (!snapshot.exists()) return;
+      const latest = snapshot.data();
+      transaction.update(savedRef, {
+        seenIds: mergeSeenIds(latest.seenIds || [], [...(latest.newIds || []), ...items.map(repo => repo.id)]),
+        newIds: [],
+        lastRunAt: new Date().toISOString()
+      });
+    }).catch(err => console.error("Saved search run error", err));
+  }, [user]);
+
+  const handleSearch = useCallback(async () => {
+    if (filters.view !== 'discover' || discoverFeed.type !== 'search') return;
+
+    // Invalidate any in-flight "load more" request for the previous filters
+    const requestId = ++searchRequestRef.current;
+    dispatch({ type: 'SET_LOADING', payload: true });
+    dispatch({ type: 'SET_LOADING_MORE', payload: false });
+    dispatch({ type: 'SET_ERROR', payload: null });
+
+    try {
+      const { items, totalCount, cachedAt } = await fetchRepositories(filters, 1);
+      if (requestId !== searchRequestRef.current) return;
+      dispatch({ type: 'SET_REPOS', payload: items, totalCount, cachedAt });
+      recordSavedSearchResults(items);
+    } catch (error) {
+      if (requestId !== searchRequestRef.current) return;
+      dispatch({ type: 'SET_ERROR', payload: error.message, resetAt: error.resetAt });
+    } finally {
+      if (requestId === searchRequestRef.current) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+      }
+    }
+  }, [filters, discoverFeed.type, fetchRepositories, recordSavedSearchResults]);
+
+  const handleLoadMore = useCallback(async () => {
+    if (!hasMore || ui.loading || ui.loadingMore) return;
+
+    const requestId = searchRequestRef.current;
+    const nextPage = pagination.page + 1;
+    dispatch({ type: 'SET_LOADING_MORE', payload: true });
+
+    try {
+      const { items, totalCount, cachedAt } = await fetchRepositories(filters, nextPage);
+      if (requestId !== searchRequestRef.current) return;
+      dispatch({ type: 'APPEND_REPOS', payload: items, page: nextPage, totalCount, cachedAt });
+      recordSavedSearchResults(items);
+    } catch (error) {
+      if (requestId !== searchRequestRef.current) return;
+      dispatch({ type: 'SET_ERROR', payload: error.message, resetAt: error.resetAt });
+    } finally {
+      if (requestId === searchRequestRef.current) {
+        dispatch({ type: 'SET_LOADING_MORE', payload: false });
+      }
+    }
+  }, [hasMore, ui.loading, ui.loadingMore, pagination.page, filters, fetchRepositories, recordSavedSearchResults]);
+
+  const handleBookmarkToggle = useCallback(async (repo) => {
+    if (!dataPath) {
+      dispatch({ type: 'SET_ERROR', payload: "Please wait for login to complete." });
+      return;
+    }
+    if (!canEdit) {
+      dispatch({ type: 'SET_ERROR', payload: VIEW_ONLY_MESSAGE });
+      return;
+    }
+
+    const repoId = String(repo.id);
+    const isBookmarked = bookmarks.has(repoId);
+    const docRef = doc(db, dataPath, 'bookmarks', repoId);
+    const syncKey = `bookmarks/${repoId}`;
+
+    // Offline, these promises only settle once the queued write reaches the server
+    dispatch({ type: 'SET_SYNC_STATE', key: syncKey, status: 'saving' });
+    try {
+      if (isBookmarked) {
+        await deleteDoc(docRef);
+      } else {
+        const now = new Date().toISOString();
+        await setDoc(docRef, {
+          ...repo,
+          bookmark: {
+            tags: [],
+            collections: [],
+            bookmarkedAt: now,
+            baseline: takeMetricsSnapshot(repo, now)
+          }
+        });
+      }
+      // No need to dispatch here, onSnapshot handles the update
+    } catch (err) {
+      console.error("Bookmark error", err);
+      dispatch({ type: 'SET_SYNC_STATE', key: syncKey, status: 'failed' });
+      dispatch({ type: 'SET_ERROR', payload: "Failed to update bookmark." });
+    }
+  }, [dataPath, canEdit, bookmarks]);
+
+  const refreshBookmark = useCallback(async (repoId, repo) => {
+    const docRef = doc(db, dataPath, 'bookmarks', repoId);
+    const meta = getBookmarkMeta(repo);
+    const now = new Date().toISOString();
+
+    try {
+      const fresh = await fetchRepository(repo);
+      const previous = takeMetricsSnapshot(repo, meta.refreshedAt || meta.bookmarkedAt);
+      // Health checks cost several requests each, so they only ride along with an authenticated quota
+      const healthSignals = isGitHubRepo(fresh) && hasGitHubToken(fresh, settings) && areHealthSignalsStale(meta.healthSignals)
+        ? await fetchHealthSignals(request, fresh)
+        : meta.healthSignals;
+      await setDoc(docRef, {
+        ...fresh,
+        bookmark: {
+          baseline: meta.baseline || previous,
+          previous,
+          refreshedAt: now,
+          missing: false,
+          healthSignals
+        }
+      }, { merge: true });
+      await recordMetricsSample(dataPath, repoId, fresh);
+    } catch (err) {
+      if (err.status === 404) {
+        await updateDoc(docRef, { 'bookmark.missing': true, 'bookmark.refreshedAt': now });
+        return;
+      }
+      throw err;
+    }
+  }, [dataPath, request, fetchRepository, settings]);
+
+  const handleBookmarkRefresh = useCallback(async ({ staleOnly = false } = {}) => {
+    if (!dataPath || stateRef.current.ui.refresh.running) return;
+    if (!canEdit) {
+      dispatch({ type: 'SET_ERROR', payload: VIEW_ONLY_MESSAGE });
+      return;
+    }
+    if (!isBrowserOnline()) {
+      dispatch({ type: 'SET_ERROR', payload: "You're offline. Refresh bookmarks once you reconnect." });
+      return;
+    }
+
+    const now = Date.now();
+    const targets = Array.from(bookmarks.entries())
+      .filter(([, repo]) => !staleOnly || isBookmarkStale(repo, now));
+    if (targets.length === 0) return;
+
+    dispatch({
+      type: 'SET_REFRESH_STATUS',
+      payload: { running: true, done: 0, total: targets.length, pausedUntil: null }
+    });
+
+    let done = 0;
+    try {
+      for (let i = 0; i < targets.length; i += REFRESH_BATCH_SIZE) {
+        const core = stateRef.current.rateLimits.core;
+        if (core && core.remaining < REFRESH_BATCH_SIZE + REFRESH_QUOTA_RESERVE && core.reset > Date.now()) {
+          dispatch({ type: 'SET_REFRESH_STATUS', payload: { pausedUntil: core.reset } });
+          break;
+        }
+
+        const batch = targets.slice(i, i + REFRESH_BATCH_SIZE);
+        const results = await Promise.allSettled(
+          batch.map(([repoId, repo]) => refreshBookmark(repoId, repo))
+        );
+        done += batch.length;
+        dispatch({ type: 'SET_REFRESH_STATUS', payload: { done } });
+
+        const rateLimited = results.find(r => r.status === 'rejected' && r.reason.resetAt);
+        if (rateLimited) {
+          dispatch({ type: 'SET_REFRESH_STATUS', payload: { pausedUntil: rateLimited.reason.resetAt } });
+          break;
+        }
+        results
+          .filter(r => r.status === 'rejected')
+          .forEach(r => console.error("Bookmark refresh error", r.reason));
+      }
+    } finally {
+      dispatch({ type: 'SET_REFRESH_STATUS', payload: { running: false } });
+    }
+  }, [dataPath, canEdit, bookmarks, refreshBookmark]);
+
+  const handleBookmarkMetaChange = useCallback(async (updates) => {
+    if (!dataPath || !ui.selectedRepo) return;
+    if (!canEdit) {
+      dispatch({ type: 'SET_ERROR', payload: VIEW_ONLY_MESSAGE });
+      return;
+    }
+
+    const repoId = String(ui.selectedRepo.id);
+    const docRef = doc(db, dataPath, 'bookmarks', repoId);
+    const fields = Object.fromEntries(
+      Object.entries(updates).map(([key, value]) => [`bookmark.${key}`, value])
+    );
+
+    try {
+      await updateDoc(docRef, fields);
+    } catch (err) {
+      console.error("Bookmark metadata error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to update tags or collections." });
+    }
+  }, [dataPath, canEdit, ui.selectedRepo]);
+
+  const handleCollectionCreate = useCallback(async (name) => {
+    if (!dataPath) return;
+    if (!canEdit) {
+      dispatch({ type: 'SET_ERROR', payload: VIEW_ONLY_MESSAGE });
+      return;
+    }
+
+    try {
+      await addDoc(collection(db, dataPath, 'collections'), {
+        name,
+        createdAt: new Date().toISOString()
+      });
+    } catch (err) {
+      console.error("Collection create error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to create collection." });
+    }
+  }, [dataPath, canEdit]);
+
+  const handleCollectionDelete = useCallback(async (collectionId) => {
+    if (!dataPath) return;
+    if (!canEdit) {
+      dispatch({ type: 'SET_ERROR', payload: VIEW_ONLY_MESSAGE });
+      return;
+    }
+    const name = collections.get(collectionId)?.name;
+    if (!window.confirm(`Delete the "${name}" collection? Bookmarks in it are kept.`)) return;
+
+    // Batches hold at most 500 writes, so members are detached in chunks and the collection itself
+    // goes in the last one; if a chunk fails, the collection is still there to retry the delete
+    const memberIds = [...bookmarks.entries()]
+      .filter(([, repo]) => getBookmarkMeta(repo).collections.includes(collectionId))
+      .map(([repoId]) => repoId);
+
+    try {
+      for (let i = 0; i === 0 || i < memberIds.length; i += MERGE_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        memberIds.slice(i, i + MERGE_BATCH_SIZE).forEach(repoId => batch.update(doc(db, dataPath, 'bookmarks', repoId), {
+          'bookmark.collections': arrayRemove(collectionId)
+        }));
+        if (i + MERGE_BATCH_SIZE >= memberIds.length) batch.delete(doc(db, dataPath, 'collections', collectionId));
+        await batch.commit();
+      }
+      dispatch({ type: 'UPDATE_BOOKMARK_FILTERS', payload: { collection: "" } });
+    } catch (err) {
+      console.error("Collection delete error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to delete collection." });
+    }
+  }, [dataPath, canEdit, collections, bookmarks]);
+
+  const saveNote = useCallback(async (repoId, content, base) => {
+    if (!user) return;
+
+    const saving = noteSaveRef.current;
+    if (saving.inFlight) {
+      saving.queued = { repoId, content };
+      return;
+    }
+
+    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'notes', repoId);
+    const syncKey = `notes/${repoId}`;
+    const note = { content, updatedAt: new Date().toISOString() };
+    const baseVersion = base?.updatedAt || null;
+
+    const now = Date.now();
+    if (saving.revision?.repoId !== repoId || now - saving.revision.startedAt > NOTE_REVISION_WINDOW_MS) {
+      saving.revision = { repoId, startedAt: now, id: doc(collection(docRef, 'revisions')).id, previousUpdatedAt: baseVersion };
+    }
+    const revisionRef = doc(docRef, 'revisions', saving.revision.id);
+    const revision = { ...note, previousUpdatedAt: saving.revision.previousUpdatedAt };
+
+    saving.inFlight = true;
+    dispatch({ type: 'SET_SYNC_STATE', key: syncKey, status: 'saving' });
+    dispatch({ type: 'NOTE_SAVING', repoId, updatedAt: note.updatedAt });
+    try {
+      if (!isBrowserOnline()) {
+        // Transactions need the server, so offline saves are queued as a plain batch
+        const batch = writeBatch(db);
+        batch.set(docRef, note);
+        batch.set(revisionRef, revision);
+        const committed = batch.commit();
+        dispatch({ type: 'NOTE_SAVED', repoId, payload: note });
+        saving.inFlight = false;
+        await committed;
+      } else {
+        // Only overwrite the version this edit started from; anything newer is a conflict
+        const conflict = await runTransaction(db, async (transaction) => {
+          const snapshot = await transaction.get(docRef);
+          const remote = snapshot.exists() ? snapshot.data() : null;
+          if ((remote?.updatedAt || null) !== baseVersion) return remote || { content: "", updatedAt: null };
+
+          transaction.set(docRef, note);
+          transaction.set(revisionRef, revision);
+          return null;
+        });
+        saving.inFlight = false;
+
+        if (conflict) {
+          saving.queued = null;
+          // Not a failure: the draft stays unsaved until the conflict prompt is answered
+          dispatch({ type: 'SET_SYNC_STATE', key: syncKey, status: null });
+          dispatch({ type: 'SET_NOTE_CONFLICT', repoId, payload: conflict });
+          if (String(stateRef.current.ui.selectedRepo?.id) !== repoId) {
+            dispatch({ type: 'SET_ERROR', payload: "A note changed on another device and your last edits were not saved." });
+          }
+          return;
+        }
+        dispatch({ type: 'SET_SYNC_STATE', key: syncKey, status: 'saved' });
+        dispatch({ type: 'NOTE_SAVED', repoId, payload: note });
+      }
+
+      const queued = saving.queued;
+      saving.queued = null;
+      if (queued?.repoId === repoId && queued.content !== content) saveNote(repoId, queued.content, note);
+    } catch (err) {
+      console.error("Note save error", err);
+      saving.inFlight = false;
+      saving.queued = null;
+      dispatch({ type: 'SET_SYNC_STATE', key: syncKey, status: 'failed' });
+      dispatch({ type: 'SET_ERROR', payload: "Failed to save note." });
+    }
+  }, [user]);
+
+  const handleNoteSave = useCallback(() => {
+    if (!ui.selectedRepo) return;
+    saveNote(String(ui.selectedRepo.id), ui.noteText, ui.noteBase);
+  }, [saveNote, ui.selectedRepo, ui.noteText, ui.noteBase]);
+
+  // Saves whatever is still unsaved before the modal goes away
+  const flushNote = useCallback(() => {
+    const { ui: currentUi } = stateRef.current;
+    if (!currentUi.selectedRepo || currentUi.noteConflict || !isNoteDirty(currentUi)) return;
+    saveNote(String(currentUi.selectedRepo.id), currentUi.noteText, currentUi.noteBase);
+  }, [saveNote]);
+
+  const handleAccountLink = useCallback(async (method, { email, password } = {}) => {
+    const current = auth.currentUser;
+    if (!current) return;
+    const emailCredential = method === 'email' ? EmailAuthProvider.credential(email, password) : null;
+
+    const link = async () => {
+      try {
+        if (method === 'github') {
+          await linkWithPopup(current, githubProvider);
+        } else {
+          await linkWithCredential(current, emailCredential);
+        }
+        // Linking keeps the uid; only the user's provider list changed
+        dispatch({ type: 'SET_USER', payload: auth.currentUser });
+      } catch (err) {
+        // Only guest trees are merged; a linked account has to sign out to switch
+        if (!ACCOUNT_IN_USE_CODES.includes(err.code) || !current.isAnonymous) throw err;
+        const credential = emailCredential || GithubAuthProvider.credentialFromError(err);
+        if (!credential) throw err;
+        if (!window.confirm("That sign-in already has an account. Sign in to it and move this guest session's bookmarks and notes into it?")) return;
+
+        // Read the guest tree while still signed in as the guest; rules only expose the user's own data
+        const guest = await readUserTree(current.uid);
+        const { user: account } = await signInWithCredential(auth, credential);
+        await writeUserTree(account.uid, mergeUserTrees(guest, await readUserTree(account.uid)));
+      }
+    };
+
+    dispatch({ type: 'SET_ACCOUNT_STATUS', busy: true });
+    try {
+      await link();
+      dispatch({ type: 'SET_ACCOUNT_STATUS', busy: false });
+    } catch (err) {
+      console.error("Account link error", err);
+      dispatch({ type: 'SET_ACCOUNT_STATUS', busy: false, error: describeAuthError(err) });
+    }
+  }, []);
+
+  const handleSignOut = useCallback(async () => {
+    if (
+      auth.currentUser?.isAnonymous &&
+      !window.confirm("You're using a guest account. Signing out loses its bookmarks and notes unless you link a sign-in first. Sign out anyway?")
+    ) return;
+
+    try {
+      await signOut(auth);
+      await clearOfflineCache();
+      responseCache.clear();
+      // Keep the app usable with a fresh guest session
+      await signInAnonymously(auth);
+    } catch (err) {
+      console.error("Sign-out error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to sign out." });
+    }
+  }, []);
+
+  // Workspace actions throw, so the switcher, panel and comment thread can show the failure in place
+  const handleWorkspaceCreate = useCallback(async (name) => {
+    if (!user) throw new Error("Please wait for login to complete.");
+
+    const docRef = doc(collection(db, 'artifacts', appId, 'workspaces'));
+    const now = new Date().toISOString();
+    try {
+      await setDoc(docRef, {
+        name,
+        members: { [user.uid]: { role: 'owner', name: getMemberName(user), joinedAt: now } },
+        memberIds: [user.uid],
+        createdAt: now
+      });
+    } catch (err) {
+      console.error("Workspace create error", err);
+      throw new Error("Failed to create the workspace.");
+    }
+    dispatch({ type: 'SET_ACTIVE_WORKSPACE', payload: docRef.id });
+  }, [user]);
+
+  const handleWorkspaceJoin = useCallback(async ({ workspaceId, code }) => {
+    if (!user) throw new Error("Please wait for login to complete.");
+    if (stateRef.current.workspaces.has(workspaceId)) {
+      dispatch({ type: 'SET_ACTIVE_WORKSPACE', payload: workspaceId });
+      return;
+    }
+
+    // Knowing the code is what grants access: the rules let anyone fetch an invite by id, never list them
+    const invite = await getDoc(getWorkspaceRef(workspaceId, 'invites', code)).catch(() => null);
+    if (!invite?.exists()) throw new Error("This invite link is invalid or has been revoked.");
+
+    const { role, workspaceName } = invite.data();
+    if (!window.confirm(`Join "${workspaceName}" as ${WORKSPACE_ROLES[role].label.toLowerCase()}?`)) return;
+
+    try {
+      await updateDoc(getWorkspaceRef(workspaceId), {
+        [`members.${user.uid}`]: { role, name: getMemberName(user), joinedAt: new Date().toISOString(), invite: code },
+        memberIds: arrayUnion(user.uid)
+      });
+    } catch (err) {
+      console.error("Workspace join error", err);
+      throw new Error(`Failed to join "${workspaceName}".`);
+    }
+    dispatch({ type: 'SET_ACTIVE_WORKSPACE', payload: workspaceId });
+  }, [user]);
+
+  const handleWorkspaceInvite = useCallback(async (role) => {
+    const code = createInviteCode();
+    try {
+      await setDoc(getWorkspaceRef(activeWorkspace, 'invites', code), {
+        role,
+        workspaceName: workspace.name,
+        createdBy: user.uid,
+        createdAt: new Date().toISOString()
+      });
+    } catch (err) {
+      console.error("Invite create error", err);
+      throw new Error("Failed to create the invite link.");
+    }
+    return code;
+  }, [user, activeWorkspace, workspace]);
+
+  const handleInviteRevoke = useCallback(async (code) => {
+    try {
+      await deleteDoc(getWorkspaceRef(activeWorkspace, 'invites', code));
+    } catch (err) {
+      console.error("Invite revoke error", err);
+      throw new Error("Failed to revoke the invite link.");
+    }
+  }, [activeWorkspace]);
+
+  const handleMemberRoleChange = useCallback(async (uid, role) => {
+    try {
+      await updateDoc(getWorkspaceRef(activeWorkspace), { [`members.${uid}.role`]: role });
+    } catch (err) {
+      console.error("Member role error", err);
+      throw new Error("Failed to change the member's role.");
+    }
+  }, [activeWorkspace]);
+
+  const removeMember = useCallback((uid) => updateDoc(getWorkspaceRef(activeWorkspace), {
+    [`members.${uid}`]: deleteField(),
+    memberIds: arrayRemove(uid)
+  }), [activeWorkspace]);
+
+  const handleMemberRemove = useCallback(async (uid) => {
+    const name = workspace.members[uid]?.name;
+    if (!window.confirm(`Remove ${name} from "${workspace.name}"?`)) return;
+
+    try {
+      await removeMember(uid);
+    } catch (err) {
+      console.error("Member remove error", err);
+      throw new Error(`Failed to remove ${name}.`);
+    }
+  }, [workspace, removeMember]);
+
+  const handleWorkspaceLeave = useCallback(async () => {
+    const owners = Object.values(workspace.members).filter(member => member.role === 'owner');
+    if (getWorkspaceRole(workspace, user.uid) === 'owner' && owners.length === 1) {
+      throw new Error("You're the only owner. Make someone else an owner first, or delete the workspace.");
+    }
+    if (!window.confirm(`Leave "${workspace.name}"? You'll need a new invite to come back.`)) return;
+
+    try {
+      await removeMember(user.uid);
+      dispatch({ type: 'TOGGLE_WORKSPACE_PANEL', payload: false });
+    } catch (err) {
+      console.error("Workspace leave error", err);
+      throw new Error("Failed to leave the workspace.");
+    }
+  }, [user, workspace, removeMember]);
+
+  const handleWorkspaceDelete = useCallback(async () => {
+    if (!window.confirm(`Delete "${workspace.name}" for everyone? Its shared bookmarks and comments can't be recovered.`)) return;
+
+    try {
+      await deleteWorkspaceTree(activeWorkspace);
+      dispatch({ type: 'TOGGLE_WORKSPACE_PANEL', payload: false });
+    } catch (err) {
+      console.error("Workspace delete error", err);
+      throw new Error("Failed to delete the workspace.");
+    }
+  }, [activeWorkspace, workspace]);
+
+  const handleCommentAdd = useCallback(async (text) => {
+    if (!user || !workspace || !ui.selectedRepo) return;
+
+    try {
+      await addDoc(collection(db, dataPath, 'comments'), {
+        repoId: String(ui.selectedRepo.id),
+        text,
+        authorId: user.uid,
+        // The rules only accept the name on our membership entry and the photo from our sign-in
+        authorName: workspace.members[user.uid]?.name || getMemberName(user),
+        authorPhoto: user.photoURL || null,
+        createdAt: new Date().toISOString()
+      });
+    } catch (err) {
+      console.error("Comment error", err);
+      throw new Error("Failed to post the comment.");
+    }
+  }, [user, workspace, dataPath, ui.selectedRepo]);
+
+  const handleCommentDelete = useCallback(async (commentId) => {
+    try {
+      await deleteDoc(doc(db, dataPath, 'comments', commentId));
+    } catch (err) {
+      console.error("Comment delete error", err);
+      throw new Error("Failed to delete the comment.");
+    }
+  }, [dataPath]);
+
+  const importWriteContext = useCallback(() => {
+    const { bookmarks: currentBookmarks, notes: currentNotes, collections: currentCollections } = stateRef.current;
+    const collectionsRef = collection(db, dataPath, 'collections');
+    return {
+      bookmarks: currentBookmarks,
+      notes: currentNotes,
+      collections: currentCollections,
+      createCollectionId: () => doc(collectionsRef).id
+    };
+  }, [dataPath]);
+
+  const handleExport = useCallback((format) => {
+    const { extension, mime } = EXPORT_FORMATS.find(f => f.id === format);
+    const rows = collectExportRows(bookmarks, notes, collections);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`github-bookmarks-${date}.${extension}`, EXPORTERS[format](rows, collections), mime);
+  }, [bookmarks, notes, collections]);
+
+  // Parse errors and lookups surface in the import panel itself
+  const handleImportPreview = useCallback(async (text, onProgress) => {
+    const entries = parseImport(text);
+    if (!entries.length) throw new Error("No repositories found in that input.");
+
+    const resolved = await resolveImportEntries(request, entries, onProgress);
+    const { bookmarks: currentBookmarks, notes: currentNotes, collections: currentCollections } = stateRef.current;
+    return planImport(resolved, currentBookmarks, currentNotes, currentCollections);
+  }, [request]);
+
+  const handleImport = useCallback(async (items) => {
+    if (!dataPath) throw new Error("Please wait for login to complete.");
+    if (!canEdit) throw new Error(VIEW_ONLY_MESSAGE);
+
+    const writes = buildImportWrites(items, importWriteContext());
+
+    try {
+      await writeUserTree(user.uid, writes, activeWorkspace);
+    } catch (err) {
+      console.error("Import error", err);
+      throw new Error("Failed to write the imported bookmarks. Entries already written are kept.");
+    }
+    return items.filter(item => item.status === 'create' || item.status === 'update').length;
+  }, [user, dataPath, canEdit, activeWorkspace, importWriteContext]);
+
+  const handleGitHubImport = useCallback(async ({ kind, login, items, picked, collectionName, autoSync }) => {
+    if (!dataPath) throw new Error("Please wait for login to complete.");
+    if (!canEdit) throw new Error(VIEW_ONLY_MESSAGE);
+
+    const writes = buildImportWrites(toGitHubImportItems(picked, collectionName), importWriteContext());
+    if (autoSync) {
+      // Everything listed now counts as seen, so later syncs only add what is new
+      writes.push({
+        segments: ['githubSyncs', getGitHubSyncId(kind, login)],
+        data: {
+          kind,
+          login,
+          collectionName,
+          seenIds: items.map(({ repo }) => repo.id),
+          lastSyncedAt: new Date().toISOString()
+        }
+      });
+    }
+
+    try {
+      await writeUserTree(user.uid, writes, activeWorkspace);
+    } catch (err) {
+      console.error("GitHub import error", err);
+      throw new Error("Failed to add the bookmarks.");
+    }
+    return picked.length;
+  }, [user, dataPath, canEdit, activeWorkspace, importWriteContext]);
+
+  const handleDependencyScan = useCallback(async (text, fileName, onProgress) => {
+    const manifest = parseManifest(text, fileName);
+    // Each dependency can cost one GitHub lookup, so don't start a scan the quota can't finish
+    const core = stateRef.current.rateLimits.core;
+    const needed = manifest.dependencies.length + REFRESH_QUOTA_RESERVE;
+    if (core && core.remaining < needed && core.reset > Date.now()) {
+      throw new Error(`This manifest needs up to ${manifest.dependencies.length} GitHub requests, but only ${core.remaining} are left until ${new Date(core.reset).toLocaleTimeString()}. Add a token in Settings or try again then.`);
+    }
+    const scan = await resolveDependencies(request, manifest, onProgress);
+    dispatch({
+      type: 'SET_DEPENDENCY_SCAN',
+      payload: { ...scan, fileName: fileName || MANIFEST_TYPES[manifest.ecosystem].label }
+    });
+  }, [request]);
+
+  // Scanned repos already bookmarked are only added to the collection
+  const handleDependencyBookmark = useCallback(async (collectionName) => {
+    if (!dataPath) throw new Error("Please wait for login to complete.");
+    if (!canEdit) throw new Error(VIEW_ONLY_MESSAGE);
+
+    const context = importWriteContext();
+    const { dependencyScan: scan, healthSignals: collected } = stateRef.current;
+    const items = scan.repos
+      .map(({ repo }) => ({
+        status: context.bookmarks.has(String(repo.id)) ? 'update' : 'create',
+        repo,
+        bookmark: {
+          collections: collectionName ? [collectionName] : [],
+          ...(collected.has(String(repo.id)) && { healthSignals: collected.get(String(repo.id)) })
+        },
+        note: null
+      }))
+      .filter(item => item.status === 'create' || collectionName);
+
+    try {
+      await writeUserTree(user.uid, buildImportWrites(items, context), activeWorkspace);
+    } catch (err) {
+      console.error("Dependency bookmark error", err);
+      throw new Error("Failed to add the bookmarks.");
+    }
+    return items.filter(item => item.status === 'create').length;
+  }, [user, dataPath, canEdit, activeWorkspace, importWriteContext]);
+
+  // One repository at a time; each check costs about six requests
+  const handleDependencyHealthCheck = useCallback(async (onProgress) => {
+    const { dependencyScan: scan, healthSignals: collected, bookmarks: saved } = stateRef.current;
+    const pending = scan.repos.map(({ repo }) => repo).filter(repo => areHealthSignalsStale(
+      collected.get(String(repo.id)) || getBookmarkMeta(saved.get(String(repo.id)) || {}).healthSignals
+    ));
+
+    for (let i = 0; i < pending.length; i++) {
+      onProgress(i, pending.length);
+      const repo = pending[i];
+      try {
+        const signals = await fetchHealthSignals(request, repo);
+        dispatch({ type: 'SET_HEALTH_SIGNALS', key: String(repo.id), payload: signals });
+        if (dataPath && canEdit && stateRef.current.bookmarks.has(String(repo.id))) {
+          await updateDoc(doc(db, dataPath, 'bookmarks', String(repo.id)), { 'bookmark.healthSignals': signals });
+        }
+      } catch (err) {
+        if (err.resetAt || err.status === 429) throw new Error(`Health check stopped after ${i} of ${pending.length}: ${err.message}`);
+        console.error("Health check error", err);
+      }
+    }
+    return pending.length;
+  }, [request, dataPath, canEdit]);
+
+  // Bookmarks what appeared since the last run; repos that were seen before and un-bookmarked stay that way
+  const runGitHubSync = useCallback(async (id) => {
+    const sync = stateRef.current.githubSyncs.get(id);
+    if (!dataPath || !canEdit || !sync || githubSyncRef.current.has(id)) return;
+
+    githubSyncRef.current.add(id);
+    try {
+      const items = await fetchGitHubSource(requestPage, sync.kind, sync.login);
+      const seen = new Set(sync.seenIds);
+      const context = importWriteContext();
+      const fresh = items.filter(({ repo }) => !seen.has(repo.id) && !context.bookmarks.has(String(repo.id)));
+
+      const writes = buildImportWrites(toGitHubImportItems(fresh, sync.collectionName), context);
+      writes.push({
+        segments: ['githubSyncs', id],
+        data: {
+          ...sync,
+          seenIds: [...new Set([...sync.seenIds, ...items.map(({ repo }) => repo.id)])],
+          lastSyncedAt: new Date().toISOString()
+        }
+      });
+      await writeUserTree(user.uid, writes, activeWorkspace);
+    } finally {
+      githubSyncRef.current.delete(id);
+    }
+  }, [user, dataPath, canEdit, activeWorkspace, requestPage, importWriteContext]);
+
+  const handleGitHubSyncStop = useCallback(async (id) => {
+    if (!dataPath) return;
+    if (!canEdit) {
+      dispatch({ type: 'SET_ERROR', payload: VIEW_ONLY_MESSAGE });
+      return;
+    }
+
+    try {
+      await deleteDoc(doc(db, dataPath, 'githubSyncs', id));
+    } catch (err) {
+      console.error("GitHub sync stop error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to stop syncing." });
+    }
+  }, [dataPath, canEdit]);
+
+  // The top results at save time form the baseline, so only later arrivals count as new
+  const handleSavedSearchSave = useCallback(async ({ name, rolling }) => {
+    if (!user) throw new Error("Please wait for login to complete.");
+    // Saved searches always reopen on Discover, so the current view isn't stored with them
+    const savedFilters = { ...filters };
+    delete savedFilters.view;
+    if (!buildSearchQuery(savedFilters)) throw new Error("Enter a search first.");
+
+    let baseline;
+    try {
+      baseline = await fetchRepositories(filters, 1, SAVED_SEARCH_SAMPLE_SIZE);
+    } catch (err) {
+      throw new Error(`Couldn't run the search: ${err.message}`);
+    }
+
+    const now = new Date().toISOString();
+    try {
+      await addDoc(collection(db, 'artifacts', appId, 'users', user.uid, 'savedSearches'), {
+        name,
+        filters: savedFilters,
+        rolling,
+        seenIds: mergeSeenIds(repos.map(repo => repo.id), baseline.items.map(repo => repo.id)),
+        newIds: [],
+        createdAt: now,
+        lastRunAt: now,
+        checkedAt: now
+      });
+    } catch (err) {
+      console.error("Saved search error", err);
+      throw new Error("Failed to save the search.");
+    }
+  }, [user, filters, repos, fetchRepositories]);
+
+  const handleSavedSearchRun = useCallback((id) => {
+    const saved = stateRef.current.savedSearches.get(id);
+    if (!saved) return;
+    // A fresh run takes a fresh "seen" snapshot
+    dispatch({ type: 'SET_SAVED_SEARCH_RUN', payload: null });
+    dispatch({ type: 'SET_DISCOVER_FEED', payload: { type: 'search' } });
+    dispatch({ type: 'UPDATE_FILTERS', payload: getSavedSearchFilters(saved) });
+  }, []);
+
+  const handleSavedSearchDelete = useCallback(async (id) => {
+    const saved = stateRef.current.savedSearches.get(id);
+    if (!user || !saved) return;
+    if (!window.confirm(`Delete the saved search "${saved.name}"?`)) return;
+
+    try {
+      await deleteDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'savedSearches', id));
+    } catch (err) {
+      console.error("Saved search delete error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to delete the saved search." });
+    }
+  }, [user]);
+
+  // Collects results that appeared since the last run without marking them as seen
+  const checkSavedSearch = useCallback(async (id) => {
+    const saved = stateRef.current.savedSearches.get(id);
+    if (!user || !saved) return;
+
+    const { items, cachedAt } = await fetchRepositories(getSavedSearchFilters(saved), 1, SAVED_SEARCH_SAMPLE_SIZE);
+    // A cached answer says nothing about what arrived since, so wait for the network
+    if (cachedAt) return;
+    // A run may have cleared newIds while this check was fetching, so merge against the stored doc
+    const savedRef = doc(db, 'artifacts', appId, 'users', user.uid, 'savedSearches', id);
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(savedRef);
+      if (!snapshot.exists()) return;
+      const latest = snapshot.data();
+      const seen = new Set(latest.seenIds);
+      const fresh = items.map(repo => repo.id).filter(repoId => !seen.has(repoId));
+      transaction.update(savedRef, {
+        newIds: mergeSeenIds(latest.newIds || [], fresh),
+        checkedAt: new Date().toISOString()
+      });
+    });
+  }, [user, fetchRepositories]);
+
+  const handleSettingsSave = useCallback(async (githubToken) => {
+    if (!user) return;
+
+    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'github');
+    try {
+      await setDoc(docRef, {
+        token: githubToken,
+        updatedAt: new Date().toISOString()
+      });
+      dispatch({ type: 'TOGGLE_SETTINGS', payload: false });
+    } catch (err) {
+      console.error("Settings save error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to save settings." });
+    }
+  }, [user]);
 
-  const {
-    user,
-    repos,
-    bookmarks,
-    notes,
-    filters,
-    ui
-  } = state;
+  const handleHealthSettingsSave = useCallback(async (config) => {
+    if (!user) return;
 
-  // 1. Authentication Setup
-  useEffect(() => {
-    const initAuth = async () => {
-      try {
-        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-          await signInWithCustomToken(auth, __initial_auth_token);
-        } else {
-          await signInAnonymously(auth);
-        }
-      } catch (err) {
-        console.error("Auth failed:", err);
-        dispatch({ type: 'SET_ERROR', payload: "Authentication failed. Some features may be unavailable." });
-      }
-    };
+    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'health');
+    try {
+      await setDoc(docRef, {
+        weights: config.weights,
+        thresholds: config.thresholds,
+        updatedAt: new Date().toISOString()
+      });
+      dispatch({ type: 'TOGGLE_SETTINGS', payload: false });
+    } catch (err) {
+      console.error("Health settings save error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to save health criteria." });
+    }
+  }, [user]);
 
-    initAuth();
-    const unsubscribe = onAuthStateChanged(auth, (u) => {
-      dispatch({ type: 'SET_USER', payload: u });
-    });
-    return () => unsubscribe();
-  }, []);
+  // Applied right away so switching layouts feels instant; the listener echoes the saved doc back
+  const handleDisplayChange = useCallback(async (updates) => {
+    const display = { ...stateRef.current.settings.display, ...updates };
+    dispatch({ type: 'SET_SETTINGS', payload: { display } });
+    if (!user) return;
 
-  // 2. Real-time Data Sync (Bookmarks & Notes)
-  useEffect(() => {
+    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'display');
+    try {
+      await setDoc(docRef, { ...display, updatedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error("Display settings save error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to save the layout." });
+    }
+  }, [user]);
+
+  const handleThemeChange = useCallback(async (updates) => {
+    const theme = { ...stateRef.current.settings.theme, ...updates };
+    dispatch({ type: 'SET_SETTINGS', payload: { theme } });
     if (!user) return;
 
-    // Listen to Bookmarks
-    const bookmarksRef = collection(db, 'artifacts', appId, 'users', user.uid, 'bookmarks');
-    const unsubBookmarks = onSnapshot(bookmarksRef, 
-      (snapshot) => {
-        const newBookmarks = new Map();
-        snapshot.forEach(doc => {
-          newBookmarks.set(doc.id, doc.data());
-        });
-        dispatch({ type: 'SET_BOOKMARKS', payload: newBookmarks });
-      },
-      (error) => console.error("Bookmark sync error:", error)
-    );
+    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'theme');
+    try {
+      await setDoc(docRef, { ...theme, updatedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error("Theme settings save error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to save the theme." });
+    }
+  }, [user]);
 
-    // Listen to Notes
-    const notesRef = collection(db, 'artifacts', appId, 'users', user.uid, 'notes');
-    const unsubNotes = onSnapshot(notesRef, 
-      (snapshot) => {
-        const newNotes = new Map();
-        snapshot.forEach(doc => {
-          newNotes.set(doc.id, doc.data());
-        });
-        dispatch({ type: 'SET_NOTES', payload: newNotes });
-      },
-      (error) => console.error("Note sync error:", error)
-    );
+  const handleForgeSettingsSave = useCallback(async (forges) => {
+    if (!user) return;
 
-    return () => {
-      unsubBookmarks();
-      unsubNotes();
-    };
+    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'forges');
+    try {
+      await setDoc(docRef, { ...readForgeSettings(forges), updatedAt: new Date().toISOString() });
+      dispatch({ type: 'TOGGLE_SETTINGS', payload: false });
+    } catch (err) {
+      console.error("Forge settings save error", err);
+      dispatch({ type: 'SET_ERROR', payload: "Failed to save the forge servers." });
+    }
   }, [user]);
 
-  // 3. Derived State
-  const displayedRepos = filters.view === 'bookmarks' 
-    ? Array.from(bookmarks.values())
-    : repos;
+  const getHealthSignals = useCallback((repo) =>
+    healthSignals.get(String(repo.id)) || getBookmarkMeta(bookmarks.get(String(repo.id)) || {}).healthSignals,
+  [healthSignals, bookmarks]);
 
-  // 4. Actions & Handlers
-  const handleSearch = useCallback(async () => {
-    if (filters.view !== 'discover') return;
+  // Takes a getRepoRef name and prefers repos we already hold over another API call.
+  // Prefixed names are looked up on the server currently configured for that forge.
+  const resolveRepoByName = useCallback(async (ref) => {
+    const { repos, bookmarks, compare, settings: { forges } } = stateRef.current;
+    const { provider, fullName } = parseRepoRef(ref);
+    const apiBase = provider ? getForgeApiBase(provider, forges) : GITHUB_API;
+    const target = ref.toLowerCase();
+    const known = [...repos, ...bookmarks.values(), ...compare]
+      .find(r => getRepoRef(r).toLowerCase() === target && (r.forge?.apiBase || GITHUB_API) === apiBase);
+    if (known) return known;
 
-    dispatch({ type: 'SET_LOADING', payload: true });
-    dispatch({ type: 'SET_ERROR', payload: null });
+    if (!isRepoName(fullName, provider)) throw new Error("not an owner/repo name.");
+    if (!provider) return request(`/repos/${encodePath(fullName)}`, { fallbackMessage: "Failed to load repository." });
+    const raw = await request(`${apiBase}${FORGE_PROVIDERS[provider].repositoryPath(fullName)}`, {
+      fallbackMessage: "Failed to load repository."
+    });
+    return toForgeRepo(provider, apiBase, raw);
+  }, [request]);
 
+  const openRepoByName = useCallback(async (fullName) => {
     try {
-      const repositories = await fetchRepositories(filters);
-      dispatch({ type: 'SET_REPOS', payload: repositories });
+      const repo = await resolveRepoByName(fullName);
+      dispatch({ type: 'OPEN_MODAL', repo });
     } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-    } finally {
-      dispatch({ type: 'SET_LOADING', payload: false });
+      dispatch({ type: 'SET_ERROR', payload: `Couldn't open ${fullName}: ${error.message}`, resetAt: error.resetAt });
     }
-  }, [filters, fetchRepositories]);
+  }, [resolveRepoByName]);
 
-  const handleBookmarkToggle = useCallback(async (repo) => {
-    if (!user) {
-      dispatch({ type: 'SET_ERROR', payload: "Please wait for login to complete." });
+  const loadCompareByNames = useCallback(async (names) => {
+    const results = await Promise.allSettled(names.map(resolveRepoByName));
+    const failed = names.filter((_, i) => results[i].status === 'rejected');
+
+    dispatch({
+      type: 'SET_COMPARE',
+      payload: results.filter(r => r.status === 'fulfilled').map(r => r.value)
+    });
+    if (failed.length) {
+      dispatch({ type: 'SET_ERROR', payload: `Couldn't load ${failed.join(', ')} for comparison.` });
+    }
+  }, [resolveRepoByName]);
+
+  const handleCompareToggle = useCallback((repo) => {
+    const selected = compare.some(r => r.id === repo.id);
+    if (!selected && compare.length >= COMPARE_MAX) {
+      dispatch({ type: 'SET_ERROR', payload: `You can compare up to ${COMPARE_MAX} repositories at once.` });
       return;
     }
+    dispatch({ type: 'TOGGLE_COMPARE', repo });
+  }, [compare]);
 
-    const repoId = String(repo.id);
-    const isBookmarked = bookmarks.has(repoId);
-    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'bookmarks', repoId);
+  const confirmNoteDiscard = useCallback(() =>
+    !stateRef.current.ui.noteConflict ||
+    window.confirm("Your note conflicts with a newer version from another device. Close and discard your edits?"),
+  []);
 
-    try {
-      if (isBookmarked) {
-        await deleteDoc(docRef);
-      } else {
-        await setDoc(docRef, repo);
-      }
-      // No need to dispatch here, onSnapshot handles the update
-    } catch (err) {
-      console.error("Bookmark error", err);
-      dispatch({ type: 'SET_ERROR', payload: "Failed to update bookmark." });
+  // Modals opened in-app own a history entry, so closing them is a "back"
+  const handleModalClose = useCallback(() => {
+    if (!confirmNoteDiscard()) return;
+
+    flushNote();
+    if (window.history.state?.modal) {
+      window.history.back();
+    } else {
+      dispatch({ type: 'CLOSE_MODAL' });
     }
-  }, [user, bookmarks]);
+  }, [confirmNoteDiscard, flushNote]);
 
-  const handleNoteSave = useCallback(async () => {
-    if (!user || !ui.selectedRepo) return;
+  // A fresh Discover search for the topic; the modal's history entry stays reachable with Back
+  const handleTopicSearch = useCallback((topic) => {
+    if (!confirmNoteDiscard()) return;
 
-    const repoId = String(ui.selectedRepo.id);
-    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'notes', repoId);
-    
-    dispatch({ type: 'SET_SYNCING', payload: true });
-    try {
-      await setDoc(docRef, {
-        content: ui.noteText,
-        updatedAt: new Date().toISOString()
+    flushNote();
+    dispatch({ type: 'CLOSE_MODAL' });
+    dispatch({ type: 'SET_DISCOVER_FEED', payload: { type: 'search' } });
+    dispatch({
+      type: 'UPDATE_FILTERS',
+      payload: { ...QUALIFIER_DEFAULTS, query: "", language: "", topic, view: 'discover' }
+    });
+  }, [confirmNoteDiscard, flushNote]);
+
+  const handleFindSimilar = useCallback((repo) => {
+    if (!confirmNoteDiscard()) return;
+
+    flushNote();
+    dispatch({ type: 'CLOSE_MODAL' });
+    dispatch({ type: 'SET_DISCOVER_FEED', payload: { type: 'similar', similarTo: repo.full_name } });
+    dispatch({ type: 'UPDATE_FILTERS', payload: { view: 'discover' } });
+  }, [confirmNoteDiscard, flushNote]);
+
+  const handleHealthCheck = useCallback((repo) => {
+    const requestId = ++healthRequestRef.current;
+    dispatch({ type: 'SET_HEALTH_STATUS', loading: true });
+    fetchHealthSignals(request, repo)
+      .then(async (signals) => {
+        dispatch({ type: 'SET_HEALTH_SIGNALS', key: String(repo.id), payload: signals });
+        if (dataPath && canEdit && stateRef.current.bookmarks.has(String(repo.id))) {
+          await updateDoc(doc(db, dataPath, 'bookmarks', String(repo.id)), { 'bookmark.healthSignals': signals });
+        }
+        if (healthRequestRef.current === requestId) dispatch({ type: 'SET_HEALTH_STATUS', loading: false });
+      })
+      .catch((err) => {
+        console.error("Health check error", err);
+        if (healthRequestRef.current !== requestId) return;
+        dispatch({ type: 'SET_HEALTH_STATUS', loading: false, error: `Health check failed: ${err.message}` });
       });
-      // Visual feedback delay
-      setTimeout(() => dispatch({ type: 'SET_SYNCING', payload: false }), 500);
-    } catch (err) {
-      console.error("Note save error", err);
-      dispatch({ type: 'SET_SYNCING', payload: false });
-      dispatch({ type: 'SET_ERROR', payload: "Failed to save note." });
-    }
-  }, [user, ui.selectedRepo, ui.noteText]);
+  }, [request, dataPath, canEdit]);
+
+  const handleNoteFocused = useCallback(() => dispatch({ type: 'FOCUS_NOTE', payload: false }), []);
+
+  // Palette commands may run over the open modal, which closes the same way as for a topic search
+  const leaveModal = useCallback(() => {
+    if (!stateRef.current.ui.modalOpen) return true;
+    if (!confirmNoteDiscard()) return false;
+    flushNote();
+    dispatch({ type: 'CLOSE_MODAL' });
+    return true;
+  }, [confirmNoteDiscard, flushNote]);
+
+  const paletteActions = {
+    onRepoOpen: (repo) => {
+      if (!confirmNoteDiscard()) return;
+      flushNote();
+      dispatch({ type: 'OPEN_MODAL', repo });
+    },
+    onViewChange: (view) => leaveModal() && dispatch({ type: 'UPDATE_FILTERS', payload: { view } }),
+    onFeedChange: (type) => {
+      if (!leaveModal()) return;
+      dispatch({ type: 'SET_DISCOVER_FEED', payload: { type } });
+      dispatch({ type: 'UPDATE_FILTERS', payload: { view: 'discover' } });
+    },
+    onSavedSearchRun: (id) => leaveModal() && handleSavedSearchRun(id),
+    onSearch: (text) => {
+      if (!leaveModal()) return;
+      dispatch({ type: 'SET_DISCOVER_FEED', payload: { type: 'search' } });
+      dispatch({ type: 'UPDATE_FILTERS', payload: { ...QUALIFIER_DEFAULTS, ...parseSearchQuery(text), view: 'discover' } });
+    },
+    onSettingsOpen: () => leaveModal() && dispatch({ type: 'TOGGLE_SETTINGS', payload: true }),
+    onShortcutsOpen: () => dispatch({ type: 'TOGGLE_SHORTCUTS', payload: true })
+  };
 
   // 5. Search Debounce Effect
   useEffect(() => {
@@ -623,59 +9278,493 @@ export default function GitHubExplorer() {
     };
   }, [filters, handleSearch]);
 
+  // 6. Infinite Scroll
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore || ui.error) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) handleLoadMore();
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, ui.error, handleLoadMore]);
+
+  // 7. Stale Bookmark Refresh (once per session and workspace, after bookmarks first arrive online)
+  useEffect(() => {
+    if (!dataPath || !canEdit || !ui.online || autoRefreshRef.current.has(dataPath) || bookmarks.size === 0) return;
+    autoRefreshRef.current.add(dataPath);
+    handleBookmarkRefresh({ staleOnly: true });
+  }, [dataPath, canEdit, ui.online, bookmarks, handleBookmarkRefresh]);
+
+  // 8. Metrics Sample on View (bookmarked repos only)
+  useEffect(() => {
+    const repo = ui.selectedRepo;
+    if (!dataPath || !canEdit || !repo || !stateRef.current.bookmarks.has(String(repo.id))) return;
+
+    recordMetricsSample(dataPath, String(repo.id), repo)
+      .catch(err => console.error("Metrics sample error", err));
+  }, [dataPath, canEdit, ui.selectedRepo]);
+
+  // 9. Health Check on View (the signals come from GitHub-only endpoints)
+  const selectedHasToken = Boolean(ui.selectedRepo) && hasGitHubToken(ui.selectedRepo, settings);
+  useEffect(() => {
+    // Each repository starts without the last one's status, and any check still running for it is dropped
+    healthRequestRef.current += 1;
+    dispatch({ type: 'SET_HEALTH_STATUS', loading: false });
+    const repo = ui.selectedRepo;
+    if (!repo || !isGitHubRepo(repo)) return;
+
+    const { healthSignals: collected, bookmarks: saved } = stateRef.current;
+    const bookmark = saved.get(String(repo.id));
+    const known = collected.get(String(repo.id)) || (bookmark && getBookmarkMeta(bookmark).healthSignals);
+    if (!areHealthSignalsStale(known)) return;
+    // About six requests per repository, so like bookmark refreshes this waits for an authenticated
+    // quota; without one the modal offers the check as a button
+    if (!selectedHasToken) return;
+    handleHealthCheck(repo);
+  }, [ui.selectedRepo, handleHealthCheck, selectedHasToken]);
+
+  // 10. URL & History Sync
+  useEffect(() => {
+    // Deep links are only resolved once, on first load
+    if (deepLinkRef.current) return;
+    deepLinkRef.current = true;
+    const { repoName, compareNames } = readLocationState();
+    if (repoName) openRepoByName(repoName);
+    if (compareNames.length) loadCompareByNames(compareNames);
+  }, [openRepoByName, loadCompareByNames]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const { filters: urlFilters, feed, repoName, compareNames, workspaceId } = readLocationState();
+      const { filters: current, discoverFeed: currentFeed, ui: currentUi, compare: currentCompare, activeWorkspace: currentWorkspace } = stateRef.current;
+      lastLocationRef.current = { view: urlFilters.view, feed: feed.type, repoName, workspaceId };
+
+      if (!sameFilters(current, urlFilters)) {
+        dispatch({ type: 'UPDATE_FILTERS', payload: urlFilters });
+      }
+      if (!sameFilters(currentFeed, feed)) {
+        dispatch({ type: 'SET_DISCOVER_FEED', payload: feed });
+      }
+      if (workspaceId !== currentWorkspace) {
+        dispatch({ type: 'SET_ACTIVE_WORKSPACE', payload: workspaceId });
+      }
+      if (!repoName) {
+        if (currentUi.modalOpen) {
+          flushNote();
+          dispatch({ type: 'CLOSE_MODAL' });
+        }
+      } else if (!currentUi.selectedRepo || getRepoRef(currentUi.selectedRepo) !== repoName) {
+        flushNote();
+        openRepoByName(repoName);
+      }
+      if (compareNames.join(',') !== currentCompare.map(getRepoRef).join(',')) {
+        loadCompareByNames(compareNames);
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [openRepoByName, loadCompareByNames, flushNote]);
+
+  useEffect(() => {
+    const search = buildLocationSearch(filters, {
+      selectedRepo: ui.selectedRepo,
+      compare,
+      workspaceId: activeWorkspace,
+      feed: discoverFeed
+    });
+    const repoName = ui.selectedRepo ? getRepoRef(ui.selectedRepo) : null;
+    const previous = lastLocationRef.current;
+    lastLocationRef.current = { view: filters.view, feed: discoverFeed.type, repoName, workspaceId: activeWorkspace };
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const isNewRepo = repoName && repoName.toLowerCase() !== previous.repoName?.toLowerCase();
+
+    // Opening a repo or switching views, feeds or workspaces gets its own entry; typing into filters does not
+    if (isNewRepo) {
+      window.history.pushState({ modal: true }, '', url);
+    } else if (filters.view !== previous.view || discoverFeed.type !== previous.feed || activeWorkspace !== previous.workspaceId) {
+      window.history.pushState({}, '', url);
+    } else {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }, [filters, discoverFeed, ui.selectedRepo, compare, activeWorkspace]);
+
+  // 11. Note Autosave
+  useEffect(() => {
+    if (!user || !ui.selectedRepo || ui.noteConflict) return;
+    if (!isNoteDirty({ noteText: ui.noteText, noteBase: ui.noteBase })) return;
+
+    const timer = setTimeout(
+      () => saveNote(String(ui.selectedRepo.id), ui.noteText, ui.noteBase),
+      NOTE_AUTOSAVE_MS
+    );
+    return () => clearTimeout(timer);
+  }, [user, ui.selectedRepo, ui.noteText, ui.noteBase, ui.noteConflict, saveNote]);
+
+  // 12. Connectivity & Unsaved Changes
+  useEffect(() => {
+    const handleOnline = () => dispatch({ type: 'SET_ONLINE', payload: true });
+    const handleOffline = () => dispatch({ type: 'SET_ONLINE', payload: false });
+    // Queued writes survive a reload, but a draft that was never saved does not
+    const handleBeforeUnload = (e) => {
+      if (!isNoteDirty(stateRef.current.ui)) return;
+      e.preventDefault();
+      e.returnValue = '';
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+    };
+  }, []);
+
+  // 13. GitHub Star/Repo Re-sync
+  useEffect(() => {
+    if (!dataPath || !canEdit || githubSyncs.size === 0) return;
+
+    // Cached GitHub answers would pass for fresh ones, so background work waits for the network
+    const syncDue = () => {
+      if (!isBrowserOnline()) return;
+      stateRef.current.githubSyncs.forEach((sync, id) => {
+        if (Date.now() - new Date(sync.lastSyncedAt || 0).getTime() < GITHUB_SYNC_INTERVAL_MS) return;
+        runGitHubSync(id).catch(err => console.error("GitHub sync error", err));
+      });
+    };
+
+    syncDue();
+    const timer = setInterval(syncDue, GITHUB_SYNC_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [dataPath, canEdit, githubSyncs.size, runGitHubSync]);
+
+  // 14. Workspace Invite Links
+  useEffect(() => {
+    const invite = inviteRef.current;
+    if (!user || !invite) return;
+    inviteRef.current = null;
+
+    handleWorkspaceJoin(invite).catch(err => dispatch({ type: 'SET_ERROR', payload: err.message }));
+  }, [user, handleWorkspaceJoin]);
+
+  // 15. Saved Search Checks
+  useEffect(() => {
+    if (!user || savedSearches.size === 0) return;
+
+    // One search at a time: the search API allows only 10 requests a minute without a token
+    const checkDue = async () => {
+      if (savedSearchCheckRef.current || !isBrowserOnline()) return;
+      savedSearchCheckRef.current = true;
+      try {
+        for (const [id, saved] of stateRef.current.savedSearches) {
+          if (Date.now() - new Date(saved.checkedAt || 0).getTime() < SAVED_SEARCH_CHECK_MS) continue;
+          await checkSavedSearch(id);
+        }
+      } catch (err) {
+        console.error("Saved search check error", err);
+      } finally {
+        savedSearchCheckRef.current = false;
+      }
+    };
+
+    checkDue();
+    const timer = setInterval(checkDue, GITHUB_SYNC_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [user, savedSearches.size, checkSavedSearch]);
+
+  // 16. Keyboard Shortcuts (cards, the modal and the palette handle their own keys)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const { ui: currentUi } = stateRef.current;
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        dispatch({ type: 'TOGGLE_PALETTE', payload: !currentUi.paletteOpen });
+        return;
+      }
+      if (currentUi.modalOpen || currentUi.paletteOpen || currentUi.shortcutsOpen) return;
+
+      if (e.key === 'Escape') {
+        if (currentUi.settingsOpen) dispatch({ type: 'TOGGLE_SETTINGS', payload: false });
+        if (currentUi.importExportOpen) dispatch({ type: 'TOGGLE_IMPORT_EXPORT', payload: false });
+        if (currentUi.workspacePanelOpen) dispatch({ type: 'TOGGLE_WORKSPACE_PANEL', payload: false });
+        return;
+      }
+      if (currentUi.settingsOpen || currentUi.importExportOpen || currentUi.workspacePanelOpen) return;
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+
+      if (e.key === 'j' || e.key === 'k') {
+        e.preventDefault();
+        moveCardFocus(e.key === 'j' ? 1 : -1);
+      } else if (e.key === '?') {
+        e.preventDefault();
+        dispatch({ type: 'TOGGLE_SHORTCUTS', payload: true });
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // 17. Theme (the "system" mode follows the OS setting as it changes)
+  useEffect(() => {
+    const { mode, highContrast } = settings.theme;
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
+    const apply = () => {
+      const root = document.documentElement;
+      root.dataset.theme = mode === 'system' ? (prefersDark.matches ? 'dark' : 'light') : mode;
+      if (highContrast) {
+        root.dataset.contrast = 'high';
+      } else {
+        delete root.dataset.contrast;
+      }
+    };
+
+    apply();
+    prefersDark.addEventListener('change', apply);
+    return () => prefersDark.removeEventListener('change', apply);
+  }, [settings.theme]);
+
+  // 18. Offline Snapshots (only of what Firestore delivered, never of a restored copy)
+  useEffect(() => {
+    if (!dataPath || snapshotSources.bookmarks !== 'live') return;
+    const timer = setTimeout(() => writeOfflineEntry('snapshots', {
+      key: `bookmarks:${dataPath}`,
+      entries: [...bookmarks],
+      cachedAt: Date.now()
+    }), OFFLINE_SNAPSHOT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [dataPath, bookmarks, snapshotSources.bookmarks]);
+
+  useEffect(() => {
+    if (!user || snapshotSources.notes !== 'live') return;
+    const timer = setTimeout(() => writeOfflineEntry('snapshots', {
+      key: `notes:${user.uid}`,
+      entries: [...notes],
+      cachedAt: Date.now()
+    }), OFFLINE_SNAPSHOT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [user, notes, snapshotSources.notes]);
+
+  // 19. Installable App (the manifest and sw.js are served next to the page)
+  useEffect(() => {
+    if (!document.querySelector('link[rel="manifest"]')) {
+      const link = document.createElement('link');
+      link.rel = 'manifest';
+      link.href = 'manifest.webmanifest';
+      document.head.appendChild(link);
+    }
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register('sw.js')
+      .catch(err => console.warn("Service worker registration failed", err));
+  }, []);
+
+  // When the view shows data from the offline cache, the time it was cached. A restored bookmark
+  // snapshot only counts offline; online, Firestore replaces it a moment later.
+  const restoredAt = Object.values(snapshotSources).filter(source => typeof source === 'number');
+  const offlineCachedAt = showsSearch
+    ? pagination.cachedAt
+    : filters.view === 'bookmarks' && !ui.online && restoredAt.length > 0 ? Math.min(...restoredAt) : null;
+
+  // Props for one result, whichever layout renders it
+  const getItemProps = (repo) => ({
+    repository: repo,
+    isBookmarked: bookmarks.has(String(repo.id)),
+    onBookmarkToggle: handleBookmarkToggle,
+    onDetailsOpen: (r, options) => dispatch({ type: 'OPEN_MODAL', repo: r, ...options }),
+    isCompared: compare.some(r => r.id === repo.id),
+    onCompareToggle: handleCompareToggle,
+    health: computeHealth(getHealthSignals(repo), settings.health),
+    syncStatus: syncStates.get(`bookmarks/${repo.id}`),
+    dependencies: filters.view === 'dependencies' ? scannedPackages.get(repo.id) : undefined,
+    isNew: Boolean(previouslySeenIds) && !previouslySeenIds.has(repo.id),
+    insight: showsFeed ? feedInsights.get(repo.id) : undefined
+  });
+
   return (
     <div className="min-h-screen bg-slate-50 font-sans text-slate-900">
+      <style>{THEME_CSS}</style>
       <Navigation 
         view={filters.view}
         bookmarksCount={bookmarks.size}
+        compareCount={compare.length}
         user={user}
+        accountStatus={ui.account}
+        rateLimits={rateLimits}
+        online={ui.online}
+        queuedWrites={[...syncStates.values()].filter(status => status === 'offline').length}
+        workspaces={workspaces}
+        activeWorkspace={activeWorkspace}
+        savedSearches={savedSearches}
         onViewChange={(view) => dispatch({ type: 'UPDATE_FILTERS', payload: { view } })}
+        onSettingsOpen={() => dispatch({ type: 'TOGGLE_SETTINGS', payload: true })}
+        onAccountLink={handleAccountLink}
+        onSignOut={handleSignOut}
+        onWorkspaceSwitch={(id) => dispatch({ type: 'SET_ACTIVE_WORKSPACE', payload: id })}
+        onWorkspaceCreate={handleWorkspaceCreate}
+        onWorkspaceManage={() => dispatch({ type: 'TOGGLE_WORKSPACE_PANEL', payload: true })}
+        onSavedSearchRun={handleSavedSearchRun}
+        onPaletteOpen={() => dispatch({ type: 'TOGGLE_PALETTE', payload: true })}
       />
 
       {filters.view === 'discover' && (
+        <DiscoverFeedBar
+          feed={discoverFeed}
+          language={filters.language}
+          loading={feedResult.loading}
+          error={feedResult.error}
+          onFeedChange={(updates) => dispatch({ type: 'SET_DISCOVER_FEED', payload: updates })}
+          onLanguageChange={(language) => dispatch({ type: 'UPDATE_FILTERS', payload: { language } })}
+        />
+      )}
+
+      {showsSearch && (
         <SearchFilters 
           filters={filters}
           onFiltersChange={(updates) => dispatch({ type: 'UPDATE_FILTERS', payload: updates })}
+          savedSearches={savedSearches}
+          activeSavedSearchId={activeSavedSearchId}
+          onSavedSearchRun={handleSavedSearchRun}
+          onSavedSearchSave={handleSavedSearchSave}
+          onSavedSearchDelete={handleSavedSearchDelete}
+        />
+      )}
+
+      {filters.view === 'bookmarks' && (
+        <BookmarkFilters
+          bookmarkFilters={bookmarkFilters}
+          bookmarks={bookmarks}
+          collections={collections}
+          onChange={(updates) => dispatch({ type: 'UPDATE_BOOKMARK_FILTERS', payload: updates })}
+          onCollectionCreate={handleCollectionCreate}
+          onCollectionDelete={handleCollectionDelete}
+          refreshStatus={ui.refresh}
+          onRefresh={() => handleBookmarkRefresh()}
+          onImportExport={() => dispatch({ type: 'TOGGLE_IMPORT_EXPORT', payload: true })}
+        />
+      )}
+
+      {filters.view === 'dependencies' && (
+        <DependencyScanner
+          scan={dependencyScan}
+          collections={collections}
+          canEdit={canEdit}
+          hasToken={Boolean(settings.githubToken)}
+          onScan={handleDependencyScan}
+          onBookmark={handleDependencyBookmark}
+          onHealthCheck={handleDependencyHealthCheck}
+          onClear={() => dispatch({ type: 'SET_DEPENDENCY_SCAN', payload: null })}
         />
       )}
 
       <main className="max-w-7xl mx-auto p-4 md:p-8">
+        {offlineCachedAt && <OfflineNotice cachedAt={offlineCachedAt} online={ui.online} />}
+
         {ui.error && (
           <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center gap-2 mb-6 animate-in fade-in slide-in-from-top-2">
             <AlertCircle size={20} className="shrink-0" />
-            {ui.error}
+            <span>
+              {ui.error}
+              {ui.errorResetAt && (
+                <> <RateLimitCountdown resetAt={ui.errorResetAt} onRetry={handleSearch} /></>
+              )}
+            </span>
           </div>
         )}
 
-        {ui.loading ? (
+        {filters.view === 'compare' ? (
+          <ComparisonView
+            repos={compare}
+            details={compareDetails.details}
+            loading={compareDetails.loading}
+            deferred={compareDetails.deferred}
+            onLoad={compareDetails.load}
+            onRemove={handleCompareToggle}
+            onDetailsOpen={(r) => dispatch({ type: 'OPEN_MODAL', repo: r })}
+          />
+        ) : ui.loading || (showsFeed && feedResult.loading) ? (
           <div className="flex flex-col items-center justify-center py-20 text-slate-400">
             <Loader className="w-10 h-10 animate-spin mb-4 text-blue-500" />
             <p className="font-medium">Scanning the octoverse...</p>
           </div>
         ) : (
           <>
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {displayedRepos.map(repo => (
-                <RepositoryCard
-                  key={repo.id}
-                  repository={repo}
-                  isBookmarked={bookmarks.has(String(repo.id))}
-                  onBookmarkToggle={handleBookmarkToggle}
-                  onDetailsOpen={(r) => dispatch({ type: 'OPEN_MODAL', repo: r })}
+            {displayedRepos.length > 0 && (
+              <>
+                <LayoutBar
+                  layout={layout}
+                  columns={settings.display.columns}
+                  count={showsSearch ? pagination.totalCount : displayedRepos.length}
+                  onLayoutChange={(id) => handleDisplayChange({ layouts: { ...settings.display.layouts, [filters.view]: id } })}
+                  onColumnsChange={(columns) => handleDisplayChange({ columns })}
                 />
-              ))}
-            </div>
+                <ResultsView
+                  key={filters.view}
+                  layout={layout}
+                  columns={settings.display.columns}
+                  repos={displayedRepos}
+                  getItemProps={getItemProps}
+                />
+              </>
+            )}
+
+            {hasMore && (
+              <div ref={loadMoreRef} className="flex flex-col items-center gap-3 pt-10">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={ui.loadingMore}
+                  className="px-5 py-2.5 bg-white border border-slate-200 rounded-lg text-sm font-medium text-slate-700 hover:border-blue-300 hover:text-blue-600 transition-colors flex items-center gap-2 disabled:opacity-60"
+                >
+                  {ui.loadingMore 
+                    ? <><Loader size={16} className="animate-spin" /> Loading...</>
+                    : 'Load more'}
+                </button>
+                <p className="text-xs text-slate-400">
+                  Showing {repos.length.toLocaleString()} of {pagination.totalCount.toLocaleString()} repositories
+                </p>
+              </div>
+            )}
+
+            {reachedSearchCap && (
+              <p className="text-center text-sm text-slate-400 pt-10">
+                GitHub only returns the first {SEARCH_RESULT_CAP.toLocaleString()} results. Refine your search to see more.
+              </p>
+            )}
 
-            {displayedRepos.length === 0 && !ui.loading && (
+            {displayedRepos.length === 0 && !ui.loading && !(showsFeed && feedResult.error) && (
               <div className="flex flex-col items-center justify-center py-20 text-slate-400 text-center">
                 <BookOpen size={64} className="mb-4 opacity-50" />
                 <h3 className="text-xl font-semibold text-slate-600 mb-2">
-                  {filters.view === 'bookmarks' ? 'No bookmarks yet' : 'No repositories found'}
+                  {filters.view === 'bookmarks' 
+                    ? (bookmarks.size > 0 ? 'No matching bookmarks' : 'No bookmarks yet')
+                    : filters.view === 'dependencies'
+                      ? (dependencyScan ? 'No dependencies found on GitHub' : 'No manifest scanned yet')
+                      : showsFeed && discoverFeed.type === 'similar' && !discoverFeed.similarTo
+                        ? 'Pick a repository'
+                        : 'No repositories found'}
                 </h3>
                 <p className="max-w-sm mx-auto">
                   {filters.view === 'bookmarks' 
-                    ? 'Star repositories in the Discover tab to save them here.' 
-                    : 'Try adjusting your search keywords or filters.'}
+                    ? (bookmarks.size > 0
+                      ? 'Try clearing the search box, tags or collection filter.'
+                      : 'Star repositories in the Discover tab to save them here.')
+                    : filters.view === 'dependencies'
+                      ? (dependencyScan
+                        ? 'None of the scanned dependencies could be matched to a GitHub repository.'
+                        : 'Scan a manifest above to see the repositories your project depends on.')
+                      : showsFeed
+                        ? (discoverFeed.type === 'similar' && !discoverFeed.similarTo
+                          ? 'Enter a repository above, or use "Similar" in any repository\'s details.'
+                          : 'Try another period or language.')
+                        : 'Try adjusting your search keywords or filters.'}
                 </p>
               </div>
             )}
@@ -683,14 +9772,105 @@ export default function GitHubExplorer() {
         )}
       </main>
 
+      {compare.length > 0 && filters.view !== 'compare' && (
+        <CompareTray
+          repos={compare}
+          onRemove={handleCompareToggle}
+          onClear={() => dispatch({ type: 'SET_COMPARE', payload: [] })}
+          onCompare={() => dispatch({ type: 'UPDATE_FILTERS', payload: { view: 'compare' } })}
+        />
+      )}
+
       <RepositoryModal
         isOpen={ui.modalOpen}
         repository={ui.selectedRepo}
         noteText={ui.noteText}
-        isSyncing={ui.syncing}
-        onClose={() => dispatch({ type: 'CLOSE_MODAL' })}
+        noteBase={ui.noteBase}
+        noteConflict={ui.noteConflict}
+        noteSyncStatus={getNoteSyncStatus(ui, syncStates)}
+        focusNote={ui.focusNote}
+        onNoteFocus={() => dispatch({ type: 'FOCUS_NOTE', payload: true })}
+        onNoteFocused={handleNoteFocused}
+        onClose={handleModalClose}
         onNoteChange={(text) => dispatch({ type: 'UPDATE_NOTE', payload: text })}
         onNoteSave={handleNoteSave}
+        onNoteConflictResolve={(text) => dispatch({ type: 'RESOLVE_NOTE_CONFLICT', payload: text })}
+        bookmarkMeta={selectedBookmark ? getBookmarkMeta(selectedBookmark) : null}
+        collections={collections}
+        onBookmarkMetaChange={handleBookmarkMetaChange}
+        onCollectionCreate={handleCollectionCreate}
+        user={user}
+        dataPath={dataPath}
+        workspaceId={activeWorkspace}
+        workspace={workspace}
+        onCommentAdd={handleCommentAdd}
+        onCommentDelete={handleCommentDelete}
+        onTopicSearch={handleTopicSearch}
+        onFindSimilar={handleFindSimilar}
+        request={request}
+        health={ui.selectedRepo && computeHealth(getHealthSignals(ui.selectedRepo), settings.health)}
+        healthLoading={ui.healthLoading}
+        healthError={ui.healthError}
+        onHealthCheck={handleHealthCheck}
+        hasToken={selectedHasToken}
+      />
+
+      <ImportExportPanel
+        isOpen={ui.importExportOpen}
+        bookmarks={bookmarks}
+        githubSyncs={githubSyncs}
+        onExport={handleExport}
+        onPreview={handleImportPreview}
+        onImport={handleImport}
+        githubImport={{
+          onFetch: (kind, login) => fetchGitHubSource(requestPage, kind, login),
+          onImport: handleGitHubImport,
+          onSyncNow: (id) => runGitHubSync(id).catch(err => dispatch({ type: 'SET_ERROR', payload: `Sync failed: ${err.message}` })),
+          onSyncStop: handleGitHubSyncStop
+        }}
+        onClose={() => dispatch({ type: 'TOGGLE_IMPORT_EXPORT', payload: false })}
+      />
+
+      <WorkspacePanel
+        isOpen={ui.workspacePanelOpen}
+        workspaceId={activeWorkspace}
+        workspace={workspace}
+        user={user}
+        onInvite={handleWorkspaceInvite}
+        onInviteRevoke={handleInviteRevoke}
+        onRoleChange={handleMemberRoleChange}
+        onMemberRemove={handleMemberRemove}
+        onLeave={handleWorkspaceLeave}
+        onDelete={handleWorkspaceDelete}
+        onClose={() => dispatch({ type: 'TOGGLE_WORKSPACE_PANEL', payload: false })}
+      />
+
+      <SettingsPanel
+        isOpen={ui.settingsOpen}
+        githubToken={settings.githubToken}
+        healthConfig={settings.health}
+        theme={settings.theme}
+        forges={settings.forges}
+        onSave={handleSettingsSave}
+        onHealthSave={handleHealthSettingsSave}
+        onThemeChange={handleThemeChange}
+        onForgeSave={handleForgeSettingsSave}
+        onClose={() => dispatch({ type: 'TOGGLE_SETTINGS', payload: false })}
+      />
+
+      <CommandPalette
+        isOpen={ui.paletteOpen}
+        repos={displayedRepos}
+        bookmarks={bookmarks}
+        savedSearches={savedSearches}
+        compareCount={compare.length}
+        actions={paletteActions}
+        onClose={() => dispatch({ type: 'TOGGLE_PALETTE', payload: false })}
+      />
+
+      <ShortcutHelp
+        isOpen={ui.shortcutsOpen}
+        onClose={() => dispatch({ type: 'TOGGLE_SHORTCUTS', payload: false })}
       />
     </div>
   );
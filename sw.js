@@ -0,0 +1,77 @@
+// Service worker for GitHub Explorer: keeps the app shell available offline.
+// GitHub API responses, bookmarks and notes are cached by the app itself in IndexedDB,
+// and Firestore keeps its own offline cache, so neither goes through here.
+
+const SHELL_CACHE = 'github-explorer-shell-v2';
+const SHELL_FILES = ['./', './manifest.webmanifest', './icon.svg'];
+// Every page of the app is the same shell, whatever its query string says
+const SHELL_URL = new URL('./', self.location).href;
+// Requests the app caches elsewhere, or that must always reach the network
+const BYPASS_HOSTS = ['api.github.com', 'googleapis.com', 'firebaseio.com', 'firebaseapp.com'];
+// CDNs the page loads its scripts, styles and fonts from. Avatars and README images are left to
+// the browser's HTTP cache, so the shell cache stays small.
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'unpkg.com', 'esm.sh'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Opaque responses (a CDN script without `crossorigin`) hide their status and could be an error
+// page, so only responses known to be good are kept
+const putInCache = async (key, response) => {
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(key, response.clone());
+  }
+  return response;
+};
+
+const isShellPage = (url) => url.origin === self.location.origin && url.pathname === new URL(SHELL_URL).pathname;
+
+// Pages: the newest version when online, the cached shell otherwise
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    return isShellPage(new URL(request.url)) ? putInCache(SHELL_URL, response) : response;
+  } catch (err) {
+    return (await caches.match(SHELL_URL)) || Response.error();
+  }
+};
+
+// Scripts, styles and other assets: answer from the cache at once and refresh it in the background
+const staleWhileRevalidate = async (event) => {
+  const cached = await caches.match(event.request);
+  const refresh = fetch(event.request).then(response => putInCache(event.request, response));
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (!url.protocol.startsWith('http')) return;
+  if (BYPASS_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`))) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});